@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// Copy the ONNX Runtime WASM binaries that transformers.js loads into public/ort, so the bundled
+// MiniLM model runs without network access. Runs before `npm start` and `npm run build`; plain Node
+// rather than shell commands so it works on Windows too.
+
+import { copyFile, mkdir, readdir } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = join(ROOT, 'node_modules', '@xenova', 'transformers', 'dist');
+const TARGET = join(ROOT, 'public', 'ort');
+
+const files = (await readdir(SOURCE)).filter(file => file.endsWith('.wasm'));
+if (files.length === 0) {
+  console.error(`No .wasm files in ${SOURCE}; run npm install first`);
+  process.exit(1);
+}
+
+await mkdir(TARGET, { recursive: true });
+await Promise.all(files.map(file => copyFile(join(SOURCE, file), join(TARGET, file))));
+console.log(`✓ Copied ${files.length} ONNX Runtime files to public/ort`);
@@ -0,0 +1,29 @@
+// Node module hooks that let plain Node import the app's src/ modules.
+// src/ is written for webpack: ES modules in .js files (the package has no "type": "module")
+// with extensionless relative imports. These hooks add the extension and load src/ files as ESM.
+
+import { existsSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const SRC_URL = pathToFileURL(fileURLToPath(new URL('../src/', import.meta.url))).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+
+  if (isRelative && context.parentURL && context.parentURL.startsWith(SRC_URL)) {
+    const url = new URL(specifier, context.parentURL);
+    const path = fileURLToPath(url);
+    if (!existsSync(path) && existsSync(`${path}.js`)) {
+      return { url: `${url.href}.js`, format: 'module', shortCircuit: true };
+    }
+  }
+
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,535 @@
+#!/usr/bin/env node
+// Headless topic map: runs the web app's pipeline (src/utils) on a document file
+// and writes the result as JSON, optionally with a standalone HTML map.
+//
+//   node scripts/topic-map.mjs titles.txt --html titles_map.html
+//
+// Embeddings default to the bundled all-MiniLM-L6-v2 model in public/models, so no network is needed.
+
+import { register, createRequire } from 'node:module';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+register('./src-loader.mjs', import.meta.url);
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const require = createRequire(import.meta.url);
+
+const USAGE = `Usage: node scripts/topic-map.mjs <input> [options]
+
+Input is a .txt (one document per line), .csv, .tsv or .jsonl file.
+
+Options:
+  -o, --output <file>     JSON result (default: <input>_topics.json)
+      --html <file>       Also write a standalone HTML topic map
+      --field <name>      CSV/JSONL field(s) to embed, repeatable (default: best guess)
+      --text <mode>       title | title+description (default: title)
+      --backend <id>      minilm | use (default: minilm; use downloads from TF Hub)
+      --variant <id>      MiniLM variant: q8 | fp32 | int8 | uint8 (default: q8)
+      --models <dir>      Directory holding Xenova/all-MiniLM-L6-v2 (default: public/models)
+      --method <name>     dbscan | kmeans | hdbscan | zeroshot (default: dbscan)
+      --k <n>             K-Means cluster count (default: auto)
+      --eps <n>           DBSCAN radius (default: auto)
+      --auto <mode>       How auto k / eps are picked: heuristic | silhouette (default: heuristic)
+      --min-pts <n>       DBSCAN core point threshold (default: 2)
+      --min-cluster-size <n>  HDBSCAN smallest cluster (default: auto, n / 20)
+      --min-samples <n>   HDBSCAN core distance neighbors (default: 1)
+      --selection <name>  HDBSCAN cluster selection: eom | leaf (default: eom)
+      --space <name>      Cluster on: 2d | umap | embeddings (default: 2d; umap and embeddings use cosine)
+      --space-dims <n>    Components of the umap clustering space (default: 5)
+      --outliers <name>   Reassign outliers: none | embeddings | c-tf-idf | neighbors (default: none)
+      --outlier-threshold <n>  Minimum similarity for a reassignment, 0-1 (default: per strategy)
+      --outlier-neighbors <n>  Voting neighbors for --outliers neighbors (default: 5)
+      --topics <n>        Merge topics along the topic hierarchy down to n (default: keep all)
+      --merge-by <name>   Topic similarity for the hierarchy: embeddings | c-tf-idf (default: embeddings)
+      --seed-topics <file>  Seed topics, one per line as "Name: term, term, ..." (default: none)
+      --seed-threshold <n>  Minimum document-seed similarity for guiding a document, 0-1 (default: 0.3)
+      --categories <file> Categories for --method zeroshot, one per line as "Name: description"
+                          (default: news desks, see src/utils/classification.js)
+      --category-threshold <n>  Minimum similarity for assigning a category, 0-1 (default: 0.2)
+      --stop-words <name> Stop-word preset for keywords: none | english | news | academic (default: academic)
+      --extra-stop-words <file>  More stop words, separated by commas or lines (default: none)
+      --normalize <name>  Merge inflections in keywords: none | lemma | stem (default: none)
+      --no-acronyms       Lowercase acronyms like "AI" and "5G" like any other word
+      --rerank            Rerank keywords by embedding similarity with Maximal Marginal Relevance
+      --diversity <n>     MMR diversity for --rerank, 0-1 (default: 0.3)
+      --llm-url <url>     Title and describe topics with a chat model behind this OpenAI-compatible API,
+                          e.g. http://localhost:11434/v1 for Ollama (default: off, keyword labels only)
+      --llm-model <name>  Model for --llm-url (default: llama3.2)
+      --llm-key <key>     API key for --llm-url (default: none; also read from LLM_API_KEY)
+      --llm-timeout <s>   Seconds to wait for each topic's reply (default: 30)
+      --time-bin <name>   Topics over time for dated documents per: auto | day | week | month (default: auto)
+      --align <file>      Rotate, mirror and scale the map onto a previous JSON result through the
+                          documents both share, and keep matching topics' colors (default: off)
+      --sweep <p=v1,v2>   Sweep a parameter over values instead of writing one map, repeatable.
+                          p: nNeighbors | minDist | k | eps | minPts | minClusterSize | minSamples
+      --seeds <list>      Seeds for each sweep configuration (default: 42,7,1234)
+  -h, --help              Show this help`;
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      html: { type: 'string' },
+      field: { type: 'string', multiple: true },
+      text: { type: 'string', default: 'title' },
+      backend: { type: 'string', default: 'minilm' },
+      variant: { type: 'string' },
+      models: { type: 'string', default: join(ROOT, 'public', 'models') },
+      method: { type: 'string', default: 'dbscan' },
+      k: { type: 'string' },
+      eps: { type: 'string' },
+      auto: { type: 'string', default: 'heuristic' },
+      'min-pts': { type: 'string', default: '2' },
+      'min-cluster-size': { type: 'string' },
+      'min-samples': { type: 'string', default: '1' },
+      selection: { type: 'string', default: 'eom' },
+      space: { type: 'string', default: '2d' },
+      'space-dims': { type: 'string', default: '5' },
+      outliers: { type: 'string', default: 'none' },
+      'outlier-threshold': { type: 'string' },
+      'outlier-neighbors': { type: 'string', default: '5' },
+      topics: { type: 'string' },
+      'merge-by': { type: 'string', default: 'embeddings' },
+      'seed-topics': { type: 'string' },
+      'seed-threshold': { type: 'string' },
+      categories: { type: 'string' },
+      'category-threshold': { type: 'string' },
+      'stop-words': { type: 'string', default: 'academic' },
+      'extra-stop-words': { type: 'string' },
+      normalize: { type: 'string', default: 'none' },
+      'no-acronyms': { type: 'boolean' },
+      rerank: { type: 'boolean' },
+      diversity: { type: 'string' },
+      'llm-url': { type: 'string' },
+      'llm-model': { type: 'string' },
+      'llm-key': { type: 'string' },
+      'llm-timeout': { type: 'string' },
+      'time-bin': { type: 'string', default: 'auto' },
+      align: { type: 'string' },
+      sweep: { type: 'string', multiple: true },
+      seeds: { type: 'string', default: '42,7,1234' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (args.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  // Imported after register() so the hooks apply to src/
+  const { parseFile, suggestTextFields, suggestMetadataFields, buildDocuments } = await import('../src/utils/fileImport.js');
+  const { runPipeline, DEFAULT_CLUSTERING_SETTINGS, CLUSTERING_METHODS, CLUSTERING_SPACES } = await import('../src/utils/pipeline.js');
+  const { getEmbeddingModelId } = await import('../src/utils/embeddings.js');
+  const { TEXT_MODES } = await import('../src/utils/documents.js');
+  const { OUTLIER_STRATEGIES, DEFAULT_OUTLIER_SETTINGS } = await import('../src/utils/outliers.js');
+  const { TOPIC_REPRESENTATIONS, DEFAULT_RERANK_SETTINGS } = await import('../src/utils/topicExtraction.js');
+  const { parseSeedTopics, DEFAULT_SEED_SETTINGS } = await import('../src/utils/seedTopics.js');
+  const { parseCategories, DEFAULT_CLASSIFICATION_SETTINGS } = await import('../src/utils/classification.js');
+  const { alignResults, createLayoutReference } = await import('../src/utils/alignment.js');
+  const { STOP_WORD_PRESETS, NORMALIZATIONS, parseStopWords } = await import('../src/utils/tokenizer.js');
+  const { DEFAULT_LLM_SETTINGS } = await import('../src/utils/llmLabels.js');
+  const { computeTopicsOverTime, TIME_BINS } = await import('../src/utils/topicsOverTime.js');
+
+  const inputPath = resolve(positionals[0]);
+  const outputPath = args.output
+    ? resolve(args.output)
+    : join(dirname(inputPath), `${basename(inputPath, extname(inputPath))}_${args.sweep ? 'sweep' : 'topics'}.json`);
+
+  if (!Object.values(TEXT_MODES).includes(args.text)) {
+    throw new Error(`Unknown --text mode "${args.text}" (expected ${Object.values(TEXT_MODES).join(' or ')})`);
+  }
+  if (!CLUSTERING_METHODS.includes(args.method)) {
+    throw new Error(`Unknown --method "${args.method}" (expected ${CLUSTERING_METHODS.join(', ')})`);
+  }
+  if (!Object.values(CLUSTERING_SPACES).includes(args.space)) {
+    throw new Error(`Unknown --space "${args.space}" (expected ${Object.values(CLUSTERING_SPACES).join(', ')})`);
+  }
+  if (!['heuristic', 'silhouette'].includes(args.auto)) {
+    throw new Error(`Unknown --auto mode "${args.auto}" (expected heuristic or silhouette)`);
+  }
+  if (!Object.values(OUTLIER_STRATEGIES).includes(args.outliers)) {
+    throw new Error(`Unknown --outliers strategy "${args.outliers}" (expected ${Object.values(OUTLIER_STRATEGIES).join(', ')})`);
+  }
+  const outlierThreshold = args['outlier-threshold'] === undefined ? null : Number(args['outlier-threshold']);
+  if (outlierThreshold !== null && !(outlierThreshold >= 0 && outlierThreshold <= 1)) {
+    throw new Error(`--outlier-threshold must be between 0 and 1, got "${args['outlier-threshold']}"`);
+  }
+  if (!Object.values(TOPIC_REPRESENTATIONS).includes(args['merge-by'])) {
+    throw new Error(`Unknown --merge-by "${args['merge-by']}" (expected ${Object.values(TOPIC_REPRESENTATIONS).join(' or ')})`);
+  }
+  const seedThreshold = args['seed-threshold'] === undefined ? DEFAULT_SEED_SETTINGS.threshold : Number(args['seed-threshold']);
+  if (!(seedThreshold >= 0 && seedThreshold <= 1)) {
+    throw new Error(`--seed-threshold must be between 0 and 1, got "${args['seed-threshold']}"`);
+  }
+  const seedTopics = args['seed-topics'] ? parseSeedTopics(await readFile(resolve(args['seed-topics']), 'utf8')) : [];
+  if (args['seed-topics'] && seedTopics.length === 0) {
+    throw new Error(`No seed topics found in ${args['seed-topics']}`);
+  }
+  const categoryThreshold = args['category-threshold'] === undefined
+    ? DEFAULT_CLASSIFICATION_SETTINGS.threshold
+    : Number(args['category-threshold']);
+  if (!(categoryThreshold >= 0 && categoryThreshold <= 1)) {
+    throw new Error(`--category-threshold must be between 0 and 1, got "${args['category-threshold']}"`);
+  }
+  const categories = args.categories
+    ? parseCategories(await readFile(resolve(args.categories), 'utf8'))
+    : DEFAULT_CLASSIFICATION_SETTINGS.categories;
+  if (categories.length === 0) {
+    throw new Error(`No categories found in ${args.categories}`);
+  }
+  if (!(args['stop-words'] in STOP_WORD_PRESETS)) {
+    throw new Error(`Unknown --stop-words preset "${args['stop-words']}" (expected ${Object.keys(STOP_WORD_PRESETS).join(', ')})`);
+  }
+  if (!Object.values(NORMALIZATIONS).includes(args.normalize)) {
+    throw new Error(`Unknown --normalize "${args.normalize}" (expected ${Object.values(NORMALIZATIONS).join(', ')})`);
+  }
+  const diversity = args.diversity === undefined ? DEFAULT_RERANK_SETTINGS.diversity : Number(args.diversity);
+  if (!(diversity >= 0 && diversity <= 1)) {
+    throw new Error(`--diversity must be between 0 and 1, got "${args.diversity}"`);
+  }
+  if (!Object.values(TIME_BINS).includes(args['time-bin'])) {
+    throw new Error(`Unknown --time-bin "${args['time-bin']}" (expected ${Object.values(TIME_BINS).join(', ')})`);
+  }
+  const llmTimeout = args['llm-timeout'] === undefined ? DEFAULT_LLM_SETTINGS.timeoutMs / 1000 : Number(args['llm-timeout']);
+  if (!(llmTimeout > 0)) {
+    throw new Error(`--llm-timeout must be a positive number of seconds, got "${args['llm-timeout']}"`);
+  }
+  const customStopWords = args['extra-stop-words']
+    ? parseStopWords(await readFile(resolve(args['extra-stop-words']), 'utf8'))
+    : [];
+  const layoutReference = args.align ? await readLayoutReference(resolve(args.align)) : null;
+  if (!['eom', 'leaf'].includes(args.selection)) {
+    throw new Error(`Unknown --selection "${args.selection}" (expected eom or leaf)`);
+  }
+
+  // Load documents the same way the web app's file import does
+  const file = new File([await readFile(inputPath)], basename(inputPath));
+  const parsed = await parseFile(file);
+  const textFields = args.field || suggestTextFields(parsed.fields);
+  const unknownFields = textFields.filter(field => !parsed.fields.includes(field));
+  if (unknownFields.length > 0) {
+    throw new Error(`Unknown field(s) ${unknownFields.join(', ')}; available: ${parsed.fields.join(', ')}`);
+  }
+
+  const { documents, skipped } = buildDocuments(parsed.rows, textFields, {
+    metadataFields: suggestMetadataFields(parsed.fields),
+    source: basename(inputPath)
+  });
+  console.log(`✓ Loaded ${documents.length} documents from ${basename(inputPath)} (${[...parsed.skipped, ...skipped].length} rows skipped)`);
+
+  const settings = {
+    textMode: args.text,
+    embedding: {
+      backend: args.backend,
+      variant: args.variant || null,
+      localModelPath: `${resolve(args.models)}/`
+    },
+    clustering: {
+      ...DEFAULT_CLUSTERING_SETTINGS,
+      method: args.method,
+      k: parseNumberOption('k', args.k),
+      eps: parseNumberOption('eps', args.eps),
+      autoSelection: args.auto,
+      minPts: parseNumberOption('min-pts', args['min-pts']),
+      minClusterSize: parseNumberOption('min-cluster-size', args['min-cluster-size']),
+      minSamples: parseNumberOption('min-samples', args['min-samples']),
+      selectionMethod: args.selection,
+      space: args.space,
+      spaceDimensions: parseNumberOption('space-dims', args['space-dims'])
+    },
+    outliers: {
+      ...DEFAULT_OUTLIER_SETTINGS,
+      strategy: args.outliers,
+      thresholds: outlierThreshold === null || args.outliers === OUTLIER_STRATEGIES.NONE
+        ? DEFAULT_OUTLIER_SETTINGS.thresholds
+        : { ...DEFAULT_OUTLIER_SETTINGS.thresholds, [args.outliers]: outlierThreshold },
+      neighbors: parseNumberOption('outlier-neighbors', args['outlier-neighbors'])
+    },
+    hierarchy: {
+      representation: args['merge-by'],
+      topics: parseNumberOption('topics', args.topics)
+    },
+    seeds: { ...DEFAULT_SEED_SETTINGS, topics: seedTopics, threshold: seedThreshold },
+    classification: { categories, threshold: categoryThreshold },
+    tokenizer: {
+      stopWords: args['stop-words'],
+      customStopWords,
+      normalization: args.normalize,
+      keepAcronyms: !args['no-acronyms']
+    },
+    rerank: { ...DEFAULT_RERANK_SETTINGS, enabled: Boolean(args.rerank), diversity },
+    llm: {
+      enabled: Boolean(args['llm-url']),
+      baseUrl: args['llm-url'] || DEFAULT_LLM_SETTINGS.baseUrl,
+      model: args['llm-model'] || DEFAULT_LLM_SETTINGS.model,
+      apiKey: args['llm-key'] || process.env.LLM_API_KEY || '',
+      timeoutMs: llmTimeout * 1000
+    }
+  };
+
+  if (args.sweep) {
+    await runSweep(documents, settings, args, {
+      input: basename(inputPath),
+      embeddingModel: getEmbeddingModelId(settings.embedding),
+      outputPath
+    });
+    return;
+  }
+
+  let lastStage = null;
+  const pipelineResults = await runPipeline(documents, settings, {
+    onProgress: (stage) => {
+      if (stage !== lastStage) {
+        console.log(`→ ${stage}...`);
+        lastStage = stage;
+      }
+    }
+  });
+  const results = alignResults(pipelineResults, layoutReference);
+  if (layoutReference && !results.alignment) {
+    console.warn(`⚠ Too few documents shared with ${args.align} to align the layout`);
+  }
+  if (results.llmLabels && results.llmLabels.error) {
+    console.warn(`⚠ LLM labeling failed (${results.llmLabels.error}); topics without a title keep their keyword labels`);
+  }
+
+  const output = {
+    input: basename(inputPath),
+    generatedAt: new Date().toISOString(),
+    settings: {
+      textMode: settings.textMode,
+      embeddingModel: getEmbeddingModelId(settings.embedding),
+      clustering: settings.clustering,
+      outliers: settings.outliers,
+      hierarchy: settings.hierarchy,
+      seeds: settings.seeds,
+      classification: args.method === 'zeroshot' ? settings.classification : null,
+      tokenizer: settings.tokenizer,
+      rerank: settings.rerank,
+      // Without the API key
+      llm: settings.llm.enabled ? { baseUrl: settings.llm.baseUrl, model: settings.llm.model, timeoutMs: settings.llm.timeoutMs } : null
+    },
+    documents: results.documents,
+    coordinates: results.coordinates,
+    clusters: results.clusters,
+    probabilities: results.probabilities,
+    outlierScores: results.outlierScores,
+    quality: results.quality,
+    parameterSearch: results.parameterSearch,
+    classification: results.classification,
+    outlierReduction: results.outlierReduction,
+    topicHierarchy: results.topicHierarchy,
+    seedTopics: results.seedTopics,
+    topics: results.topics,
+    topicLabels: results.topicLabels,
+    keywordLabels: results.keywordLabels,
+    topicDescriptions: results.topicDescriptions,
+    llmLabels: results.llmLabels,
+    representativeDocuments: results.representativeDocuments,
+    topicsOverTime: computeTopicsOverTime(results.documents, results.texts, results.clusters, {
+      bin: args['time-bin'],
+      tokenizer: settings.tokenizer
+    }),
+    colorSlots: createLayoutReference(results).colorSlots,
+    alignment: results.alignment
+  };
+
+  await writeFile(outputPath, JSON.stringify(output, null, 2));
+  console.log(`✓ Wrote ${outputPath}`);
+
+  if (args.html) {
+    const htmlPath = resolve(args.html);
+    await writeFile(htmlPath, await renderHtml(output));
+    console.log(`✓ Wrote ${htmlPath}`);
+  }
+}
+
+/**
+ * Run the pipeline over the --sweep grid and --seeds, print one line per configuration
+ * (most stable first) and write the full report as JSON
+ */
+async function runSweep(documents, settings, args, { input, embeddingModel, outputPath }) {
+  const { runParameterSweep, rankConfigurations } = await import('../src/utils/sweep.js');
+
+  const grid = {};
+  args.sweep.forEach(spec => {
+    const [name, list] = spec.split('=');
+    if (!list) throw new Error(`--sweep expects name=v1,v2,..., got "${spec}"`);
+    grid[name] = list.split(',').map(value => parseNumberOption(`sweep ${name}`, value));
+  });
+  const seeds = args.seeds.split(',').map(value => {
+    const seed = Number(value);
+    if (!Number.isInteger(seed)) throw new Error(`--seeds must be integers, got "${value}"`);
+    return seed;
+  });
+
+  let lastRun = null;
+  const report = await runParameterSweep(documents, settings, { grid, seeds }, {
+    onProgress: (label) => {
+      const run = label.split(':')[0];
+      if (run !== lastRun) {
+        console.log(`→ ${run}...`);
+        lastRun = run;
+      }
+    }
+  });
+
+  const format = (value, digits) => value === null ? '–' : value.toFixed(digits);
+  const ranked = rankConfigurations(report.configurations);
+  console.log('\nstability  topics      outliers  silhouette  parameters');
+  ranked.forEach(config => {
+    const topics = config.topicCount.min === config.topicCount.max
+      ? String(config.topicCount.min)
+      : `${config.topicCount.min}-${config.topicCount.max}`;
+    const parameters = Object.entries(config.parameters).map(([name, value]) => `${name}=${value}`).join(' ');
+    console.log(`${format(config.stability, 3).padEnd(11)}${topics.padEnd(12)}${format(config.outlierCount, 1).padEnd(10)}` +
+      `${format(config.silhouette, 3).padEnd(12)}${parameters}`);
+  });
+
+  await writeFile(outputPath, JSON.stringify({
+    input,
+    generatedAt: new Date().toISOString(),
+    settings: { textMode: settings.textMode, embeddingModel, clustering: settings.clustering },
+    grid,
+    seeds,
+    ...report
+  }, null, 2));
+  console.log(`\n✓ Wrote ${outputPath}`);
+}
+
+function parseNumberOption(name, value) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`--${name} must be a positive number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Layout reference for --align from a JSON result written by this script
+ */
+async function readLayoutReference(path) {
+  const { createLayoutReference } = await import('../src/utils/alignment.js');
+  const previous = JSON.parse(await readFile(path, 'utf8'));
+  if (!Array.isArray(previous.documents) || !Array.isArray(previous.coordinates) || !Array.isArray(previous.clusters)) {
+    throw new Error(`${path} is not a topic map result`);
+  }
+  return createLayoutReference(previous);
+}
+
+/**
+ * Standalone page with the same traces as the web app's Topic Map
+ * Plotly is inlined so the file opens offline
+ */
+async function renderHtml(output) {
+  const { buildTopicMapTraces, buildDendrogramTraces, buildTopicsOverTimeTraces, getTopicMapRanges } = await import('../src/utils/topicMapPlot.js');
+  const { sanitizeUrl } = await import('../src/utils/documents.js');
+  const plotly = await readFile(require.resolve('plotly.js/dist/plotly-basic.min.js'), 'utf8');
+
+  const { xRange, yRange } = getTopicMapRanges(output.coordinates);
+  const axis = { title: '', showgrid: false, fixedrange: true, showticklabels: false, showline: false, zeroline: false };
+  const layout = {
+    xaxis: { ...axis, range: xRange },
+    yaxis: { ...axis, range: yRange },
+    hovermode: 'closest',
+    showlegend: true,
+    height: 800,
+    margin: { l: 80, r: 80, t: 40, b: 80 }
+  };
+
+  const topicRows = Object.entries(output.topics)
+    .filter(([clusterId]) => clusterId !== '-1')
+    .map(([clusterId, keywords]) => {
+      const count = output.clusters.filter(c => c === Number(clusterId)).length;
+      const origin = output.seedTopics ? ` <span class="meta">(${clusterId in output.seedTopics.topicSeeds ? 'seeded' : 'discovered'})</span>` : '';
+      const description = output.topicDescriptions[clusterId]
+        ? `<br><span class="meta">${escapeHtml(output.topicDescriptions[clusterId])}</span>`
+        : '';
+      return `<tr><td>${escapeHtml(output.topicLabels[clusterId] || `Topic ${clusterId}`)}${origin}${description}</td><td>${count}</td>` +
+        `<td>${escapeHtml(keywords.slice(0, 10).map(k => k.term).join(', '))}</td>` +
+        `<td>${(output.representativeDocuments[clusterId] || []).map(idx => escapeHtml(output.documents[idx].title)).join('<br>')}</td></tr>`;
+    })
+    .join('\n');
+
+  const hierarchy = output.topicHierarchy && output.topicHierarchy.clusterIds.length > 1
+    ? buildDendrogramTraces(output.topicHierarchy, output.clusters, output.colorSlots)
+    : null;
+  const dendrogramLayout = hierarchy && {
+    xaxis: { title: 'Cosine distance', zeroline: false },
+    yaxis: { tickvals: hierarchy.tickvals, ticktext: hierarchy.ticktext, autorange: 'reversed', zeroline: false, showgrid: false },
+    hovermode: 'closest',
+    height: Math.max(300, output.topicHierarchy.clusterIds.length * 22 + 80),
+    margin: { l: 260, r: 20, t: 10, b: 50 }
+  };
+
+  const overTime = output.topicsOverTime && output.topicsOverTime.periods.length > 1
+    ? buildTopicsOverTimeTraces(output.topicsOverTime, output.topicLabels, output.clusters, output.colorSlots)
+    : null;
+  const overTimeLayout = {
+    xaxis: { type: 'date', showgrid: false },
+    yaxis: { title: 'Documents', rangemode: 'tozero', zeroline: false },
+    hovermode: 'closest',
+    showlegend: false,
+    height: 360,
+    margin: { l: 60, r: 20, t: 10, b: 50 }
+  };
+
+  // Keep "</script>" inside JSON strings from closing the script element
+  const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Topic Map - ${escapeHtml(output.input)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #333; }
+  table { border-collapse: collapse; width: 100%; margin-top: 2rem; }
+  th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e9ecef; font-size: 0.9rem; }
+  .meta { color: #666; font-size: 0.9rem; }
+</style>
+<script>${plotly}</script>
+</head>
+<body>
+<h1>Topic Map</h1>
+<p class="meta">${escapeHtml(output.input)} • ${output.documents.length} documents • ${escapeHtml(output.settings.embeddingModel)} • generated ${escapeHtml(output.generatedAt)}</p>
+<div id="topic-map"></div>
+${hierarchy ? '<h2>Topic Hierarchy</h2>\n<div id="topic-hierarchy"></div>' : ''}
+${overTime ? `<h2>Topics over Time</h2>\n<p class="meta">Documents per ${output.topicsOverTime.bin}</p>\n<div id="topics-over-time"></div>` : ''}
+<table>
+<thead><tr><th>Topic</th><th>Documents</th><th>Keywords</th><th>Representative documents</th></tr></thead>
+<tbody>
+${topicRows}
+</tbody>
+</table>
+<script>
+  const links = ${toScriptJson(output.documents.map(doc => sanitizeUrl(doc.url)))};
+  const traces = ${toScriptJson(buildTopicMapTraces(output))};
+  const map = document.getElementById('topic-map');
+  Plotly.newPlot(map, traces, ${toScriptJson(layout)}, { responsive: true, displaylogo: false });
+  map.on('plotly_click', (event) => {
+    const link = links[event.points[0].customdata];
+    if (link) window.open(link, '_blank', 'noopener');
+  });${hierarchy ? `
+  Plotly.newPlot('topic-hierarchy', ${toScriptJson(hierarchy.traces)}, ${toScriptJson(dendrogramLayout)}, { responsive: true, displaylogo: false });` : ''}${overTime ? `
+  Plotly.newPlot('topics-over-time', ${toScriptJson(overTime)}, ${toScriptJson(overTimeLayout)}, { responsive: true, displaylogo: false });` : ''}
+</script>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+main().catch(err => {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+});
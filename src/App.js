@@ -1,106 +1,111 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import Visualizations from './components/Visualizations';
 import AboutModal from './components/AboutModal';
-import { generateEmbeddings } from './utils/embeddings';
-import { reduceWithUMAP } from './utils/dimensionReduction';
-import { clusterWithKMeans, clusterWithDBSCAN } from './utils/clustering';
-import { extractTopicKeywords, generateTopicLabels } from './utils/topicExtraction';
+import FeedManager from './components/FeedManager';
+import ProgressBar from './components/ProgressBar';
+import { resolveEmbeddingBackend, DEFAULT_EMBEDDING_CONFIG } from './utils/embeddings';
+import { DEFAULT_CLUSTERING_SETTINGS, DEFAULT_HIERARCHY_SETTINGS } from './utils/pipeline';
+import { DEFAULT_RERANK_SETTINGS } from './utils/topicExtraction';
+import { DEFAULT_OUTLIER_SETTINGS } from './utils/outliers';
+import { DEFAULT_SEED_SETTINGS } from './utils/seedTopics';
+import { DEFAULT_CLASSIFICATION_SETTINGS } from './utils/classification';
+import { DEFAULT_TOKENIZER_SETTINGS } from './utils/tokenizer';
+import { createPipelineWorker } from './utils/pipelineWorker';
+import { isCancelledError } from './utils/cancellation';
+import {
+  createCuration,
+  applyCuration,
+  renameTopic,
+  mergeTopics,
+  splitTopic,
+  moveDocuments,
+  createHistory,
+  extendHistory,
+  pushHistory,
+  undoHistory,
+  redoHistory
+} from './utils/curation';
+import { toDocuments, TEXT_MODES } from './utils/documents';
+import { fetchFeeds, loadFeedSettings, saveFeedSettings } from './utils/feeds';
+import { alignResults, createLayoutReference, loadLayoutSettings, saveLayoutSettings } from './utils/alignment';
+import { loadLLMSettings, loadRememberApiKey, saveLLMSettings } from './utils/llmLabels';
 import './App.css';
 
+// onnxruntime-web binaries copied by `npm run fetch:ort`, so MiniLM needs no CDN
+const LOCAL_WASM_PATH = `${process.env.PUBLIC_URL}/ort/`;
+
 function App() {
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState({ stage: '', progress: 0 });
   const [results, setResults] = useState({
-    documents: ['Loading news headlines...'],
+    documents: toDocuments(['Loading news headlines...']),
     embeddings: [],
     coordinates: [[0, 0]],
     clusters: [0],
     topics: { 0: [] },
     topicLabels: { 0: 'Loading...' }
   });
+  // Manual topic edits over the latest results; a new pipeline run starts a fresh history
+  const [curationHistory, setCurationHistory] = useState(() => createHistory(null));
   const [error, setError] = useState(null);
-  const [clusteringMethod, setClusteringMethod] = useState('dbscan');
+  const [clusteringSettings, setClusteringSettings] = useState(DEFAULT_CLUSTERING_SETTINGS);
+  const [outlierSettings, setOutlierSettings] = useState(DEFAULT_OUTLIER_SETTINGS);
+  const [hierarchySettings, setHierarchySettings] = useState(DEFAULT_HIERARCHY_SETTINGS);
+  const [seedSettings, setSeedSettings] = useState(DEFAULT_SEED_SETTINGS);
+  const [classificationSettings, setClassificationSettings] = useState(DEFAULT_CLASSIFICATION_SETTINGS);
+  const [tokenizerSettings, setTokenizerSettings] = useState(DEFAULT_TOKENIZER_SETTINGS);
+  const [rerankSettings, setRerankSettings] = useState(DEFAULT_RERANK_SETTINGS);
+  const [textMode, setTextMode] = useState(TEXT_MODES.TITLE);
+  const [embeddingConfig, setEmbeddingConfig] = useState(DEFAULT_EMBEDDING_CONFIG);
   const [showAbout, setShowAbout] = useState(false);
+  const [feedSettings, setFeedSettings] = useState(loadFeedSettings);
+  const [feedStatus, setFeedStatus] = useState(null);
+  // Whether new maps are aligned to the last one, and that map (kept across page loads)
+  const [layoutSettings, setLayoutSettings] = useState(loadLayoutSettings);
+  // Chat endpoint for topic titles, kept across page loads like the feeds
+  const [llmSettings, setLLMSettings] = useState(loadLLMSettings);
+  // The API key is only saved with them on request; kept apart so toggling it doesn't re-run anything
+  const [rememberApiKey, setRememberApiKey] = useState(loadRememberApiKey);
+  const pipelineWorker = useRef(null);
+  const latestDocuments = useRef(null);
+  const displayedDocuments = useRef(null);
   
-  // Function to fetch and parse BBC RSS feed with retry logic
-  const fetchRSSFeed = async () => {
-    const rssUrl = 'https://feeds.bbci.co.uk/news/world/rss.xml';
-    const maxRetries = 3;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Fetching BBC World News RSS feed (attempt ${attempt}/${maxRetries})...`);
-        
-        // Use JSON endpoint for more reliability
-        const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(rssUrl)}`;
-        
-        // Create abort controller for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout per attempt
-        
-        const response = await fetch(proxyUrl, {
-          signal: controller.signal,
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        // Check if the proxy returned the content
-        if (!data.contents) {
-          throw new Error('No contents in proxy response');
-        }
-        
-        const xmlText = data.contents;
-        
-        // Parse XML
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-        
-        // Check for parsing errors
-        const parserError = xmlDoc.querySelector('parsererror');
-        if (parserError) {
-          throw new Error('XML parsing error');
-        }
-        
-        // Extract titles from RSS items
-        const items = xmlDoc.querySelectorAll('item');
-        const allDocs = Array.from(items)
-          .map(item => {
-            const titleElement = item.querySelector('title');
-            return titleElement ? titleElement.textContent.trim() : '';
-          })
-          .filter(title => title.length > 0);
-        
-        if (allDocs.length > 0) {
-          console.log(`✓ Successfully loaded ${allDocs.length} BBC news headlines`);
-          handleFileLoad(allDocs);
-          return;
-        }
-        
-        throw new Error('No items found in RSS feed');
-        
-      } catch (error) {
-        console.error(`BBC RSS fetch attempt ${attempt} failed:`, error.message);
-        
-        // If this was the last attempt, load sample data
-        if (attempt === maxRetries) {
-          console.log(`All ${maxRetries} attempts failed, loading sample data instead`);
-          loadSampleData();
-        } else {
-          // Wait before retrying (exponential backoff: 1s, 2s)
-          const waitTime = attempt * 1000;
-          console.log(`Retrying in ${waitTime}ms...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+  // The worker keeps the stage cache and loaded models for the lifetime of the page
+  useEffect(() => {
+    pipelineWorker.current = createPipelineWorker();
+    return () => pipelineWorker.current.terminate();
+  }, []);
+  
+  useEffect(() => {
+    saveFeedSettings(feedSettings);
+  }, [feedSettings]);
+  
+  useEffect(() => {
+    saveLayoutSettings(layoutSettings);
+  }, [layoutSettings]);
+  
+  useEffect(() => {
+    saveLLMSettings(llmSettings, rememberApiKey);
+  }, [llmSettings, rememberApiKey]);
+  
+  // Fetch, merge and de-duplicate all configured feeds
+  const fetchNewsFeeds = async () => {
+    try {
+      const { documents, failures, duplicates } = await fetchFeeds(feedSettings.feeds, {
+        proxyUrl: feedSettings.proxyUrl
+      });
+      setFeedStatus({ count: documents.length, failures, duplicates });
+      
+      if (documents.length > 0) {
+        processDocuments(documents);
+        return;
       }
+      throw new Error('No items found in any feed');
+      
+    } catch (error) {
+      console.error('Feed fetch failed:', error.message);
+      console.log('Loading sample data instead');
+      loadSampleData();
     }
   };
   
@@ -140,226 +145,155 @@ function App() {
     ];
     
     console.log(`✓ Loaded ${sampleTitles.length} sample conference titles`);
-    handleFileLoad(sampleTitles);
+    processDocuments(toDocuments(sampleTitles, { source: 'Sample data' }));
   };
   
   // Load RSS feed on component mount
   useEffect(() => {
-    fetchRSSFeed();
+    fetchNewsFeeds();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
   
-  const handleFileLoad = async (docs) => {
+  const getPipelineSettings = () => ({
+    textMode,
+    embedding: { ...embeddingConfig, wasmPath: LOCAL_WASM_PATH },
+    clustering: clusteringSettings,
+    outliers: outlierSettings,
+    hierarchy: hierarchySettings,
+    seeds: seedSettings,
+    classification: classificationSettings,
+    tokenizer: tokenizerSettings,
+    rerank: rerankSettings,
+    llm: llmSettings
+  });
+  
+  // Run the pipeline in the worker on new or edited documents. Stages whose inputs didn't change
+  // (e.g. embeddings and UMAP when only clustering settings changed) come from the worker's cache.
+  const processDocuments = (docs) => {
     if (docs.length === 0) {
-      alert('No valid documents found in file');
+      alert('No valid documents found');
       return;
     }
-    
-    setError(null);
-    setIsProcessing(true);
-    
-    try {
-      // Step 1: Generate embeddings
-      setProgress({ stage: 'Generating embeddings', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      const embeddings = await generateEmbeddings(docs, (p) => {
-        setProgress({ stage: 'Generating embeddings', progress: p });
-      });
-      
-      console.log(`✓ Generated ${embeddings.length} embeddings`);
-      
-      // Step 2: Reduce dimensions with UMAP
-      setProgress({ stage: 'Reducing dimensions', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      const coordinates = reduceWithUMAP(embeddings);
-      setProgress({ stage: 'Reducing dimensions', progress: 1 });
-      
-      console.log(`✓ Reduced to ${coordinates.length} 2D coordinates`);
-      
-      // Step 3: Cluster documents
-      setProgress({ stage: 'Clustering topics', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      let clusters;
-      if (clusteringMethod === 'kmeans') {
-        clusters = clusterWithKMeans(coordinates);
-      } else {
-        clusters = clusterWithDBSCAN(coordinates);
-      }
-      
-      setProgress({ stage: 'Clustering topics', progress: 1 });
-      
-      const uniqueClusters = [...new Set(clusters)];
-      console.log(`✓ Found ${uniqueClusters.length} clusters`);
-      
-      // Reorder cluster IDs by size (largest gets ID 0)
-      const clusterSizes = {};
-      clusters.forEach(clusterId => {
-        if (clusterId !== -1) {
-          clusterSizes[clusterId] = (clusterSizes[clusterId] || 0) + 1;
-        }
-      });
-      
-      // Sort clusters by size (descending) and create mapping
-      const sortedClusters = Object.entries(clusterSizes)
-        .sort((a, b) => b[1] - a[1])
-        .map(([clusterId]) => parseInt(clusterId));
-      
-      const clusterMapping = {};
-      sortedClusters.forEach((oldId, newId) => {
-        clusterMapping[oldId] = newId;
-      });
-      
-      // Remap all cluster assignments
-      clusters = clusters.map(clusterId => 
-        clusterId === -1 ? -1 : clusterMapping[clusterId]
-      );
-      
-      console.log(`✓ Reordered topics by document count`);
-      
-      // Step 4: Extract topic keywords
-      setProgress({ stage: 'Extracting keywords', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      const topics = extractTopicKeywords(docs, clusters);
-      const topicLabels = generateTopicLabels(topics);
-      
-      setProgress({ stage: 'Extracting keywords', progress: 1 });
-      
-      console.log('✓ Extracted topic keywords');
-      
-      // Step 5: Create visualizations
-      setProgress({ stage: 'Creating visualizations', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      setResults({
-        documents: docs,
-        embeddings,
-        coordinates,
-        clusters,
-        topics,
-        topicLabels
-      });
-      
-      setProgress({ stage: 'Creating visualizations', progress: 1 });
-      
-      console.log('✓ All processing complete!');
-      
-    } catch (err) {
-      console.error('Processing error:', err);
-      setError(err.message || 'An error occurred during processing');
-    } finally {
-      setIsProcessing(false);
-    }
+    startRun(docs, (onProgress) => pipelineWorker.current.run(docs, getPipelineSettings(), onProgress), { align: true });
   };
-
-  const handleReprocess = async (docs) => {
-    if (docs.length === 0) {
+  
+  // Place new documents on the current map without refitting UMAP; processDocuments refits everything.
+  // The documents go onto the curated topics and the edits carry over, names aside: those stay in the
+  // curation rather than the results. The map keeps its alignment, so appended results aren't aligned again.
+  const appendDocuments = (newDocs) => {
+    if (newDocs.length === 0) {
       alert('No valid documents found');
       return;
     }
-    
+    const basedOn = curationHistory.present;
+    const previous = applyCuration(results, basedOn && { ...basedOn, names: {} });
+    startRun([...displayedDocuments.current, ...newDocs], (onProgress) =>
+      pipelineWorker.current.append(previous, newDocs, getPipelineSettings(), onProgress),
+    { carryCuration: (history, appended) => extendHistory(history, appended, basedOn) });
+  };
+  
+  // Shared bookkeeping for full runs and appends; docs are all documents the results will show.
+  // With align, a fresh layout is rotated onto the last map when alignment is on. Without carryCuration
+  // the topic edits start over.
+  const startRun = async (docs, execute, { align = false, carryCuration = null } = {}) => {
+    latestDocuments.current = docs;
     setError(null);
+    setProgress({ stage: '', progress: 0 });
     setIsProcessing(true);
     // Keep results visible while reprocessing
     
     try {
-      // Step 1: Generate embeddings
-      setProgress({ stage: 'Generating embeddings', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      const embeddings = await generateEmbeddings(docs, (p) => {
-        setProgress({ stage: 'Generating embeddings', progress: p });
-      });
-      
-      console.log(`✓ Generated ${embeddings.length} embeddings`);
-      
-      // Step 2: Reduce dimensions with UMAP
-      setProgress({ stage: 'Reducing dimensions', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      const coordinates = reduceWithUMAP(embeddings);
-      setProgress({ stage: 'Reducing dimensions', progress: 1 });
-      
-      console.log(`✓ Reduced to ${coordinates.length} 2D coordinates`);
-      
-      // Step 3: Cluster documents
-      setProgress({ stage: 'Clustering topics', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      let clusters;
-      if (clusteringMethod === 'kmeans') {
-        clusters = clusterWithKMeans(coordinates);
-      } else {
-        clusters = clusterWithDBSCAN(coordinates);
-      }
-      
-      setProgress({ stage: 'Clustering topics', progress: 1 });
-      
-      const uniqueClusters = [...new Set(clusters)];
-      console.log(`✓ Found ${uniqueClusters.length} clusters`);
-      
-      // Reorder cluster IDs by size (largest gets ID 0)
-      const clusterSizes = {};
-      clusters.forEach(clusterId => {
-        if (clusterId !== -1) {
-          clusterSizes[clusterId] = (clusterSizes[clusterId] || 0) + 1;
-        }
-      });
-      
-      // Sort clusters by size (descending) and create mapping
-      const sortedClusters = Object.entries(clusterSizes)
-        .sort((a, b) => b[1] - a[1])
-        .map(([clusterId]) => parseInt(clusterId));
-      
-      const clusterMapping = {};
-      sortedClusters.forEach((oldId, newId) => {
-        clusterMapping[oldId] = newId;
-      });
-      
-      // Remap all cluster assignments
-      clusters = clusters.map(clusterId => 
-        clusterId === -1 ? -1 : clusterMapping[clusterId]
-      );
-      
-      console.log(`✓ Reordered topics by document count`);
-      
-      // Step 4: Extract topic keywords
-      setProgress({ stage: 'Extracting keywords', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      const topics = extractTopicKeywords(docs, clusters);
-      const topicLabels = generateTopicLabels(topics);
-      
-      setProgress({ stage: 'Extracting keywords', progress: 1 });
-      
-      console.log('✓ Extracted topic keywords');
-      
-      // Step 5: Create visualizations
-      setProgress({ stage: 'Creating visualizations', progress: 0 });
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      setResults({
-        documents: docs,
-        embeddings,
-        coordinates,
-        clusters,
-        topics,
-        topicLabels
-      });
-      
-      setProgress({ stage: 'Creating visualizations', progress: 1 });
-      
+      const runResults = await execute((stage, p) => setProgress({ stage, progress: p }));
+      const pipelineResults = align
+        ? alignResults(runResults, layoutSettings.enabled ? layoutSettings.reference : null)
+        : runResults;
+      
+      displayedDocuments.current = docs;
+      setResults(pipelineResults);
+      setCurationHistory(history => carryCuration
+        ? carryCuration(history, pipelineResults)
+        : createHistory(createCuration(pipelineResults)));
+      setLayoutSettings(settings => ({ ...settings, reference: createLayoutReference(pipelineResults) }));
+      setIsProcessing(false);
       console.log('✓ All processing complete!');
       
     } catch (err) {
+      // Cancelled, or superseded by a newer run which now owns the processing state
+      if (isCancelledError(err)) return;
+      
       console.error('Processing error:', err);
       setError(err.message || 'An error occurred during processing');
-    } finally {
       setIsProcessing(false);
     }
   };
   
+  // Stop the current run and keep the previous results on screen
+  const cancelProcessing = () => {
+    pipelineWorker.current.cancel();
+    latestDocuments.current = displayedDocuments.current;
+    setIsProcessing(false);
+    console.log('✓ Processing cancelled');
+  };
+  
+  const curatedResults = useMemo(
+    () => applyCuration(results, curationHistory.present),
+    [results, curationHistory.present]
+  );
+  
+  // Each edit is recorded in the history; keywords are recomputed from the results' texts
+  const editTopics = (change) => {
+    setCurationHistory(history => history.present ? pushHistory(history, change(history.present)) : history);
+  };
+  
+  const curation = {
+    rename: (clusterId, name) => editTopics(state => renameTopic(state, clusterId, name)),
+    merge: (clusterIds) => editTopics(state => mergeTopics(state, clusterIds, results)),
+    split: (clusterId, parts) => editTopics(state => splitTopic(state, clusterId, results, parts)),
+    move: (documentIndices, target) => editTopics(state => moveDocuments(state, documentIndices, target, results)),
+    undo: () => setCurationHistory(undoHistory),
+    redo: () => setCurationHistory(redoHistory),
+    canUndo: curationHistory.past.length > 0,
+    canRedo: curationHistory.future.length > 0
+  };
+  
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo, except while typing
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        setCurationHistory(undoHistory);
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        setCurationHistory(redoHistory);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+  
+  // Sweep parameters around the current settings on the documents on screen.
+  // Rejects with a CancelledError if cancelled or if a new run starts meanwhile.
+  const runSweep = (sweep, onProgress) =>
+    pipelineWorker.current.sweep(displayedDocuments.current, getPipelineSettings(), sweep, onProgress);
+  
+  const cancelSweep = () => pipelineWorker.current.cancel();
+  
+  // Clustering changes apply immediately, even mid-run: the newest documents are re-run
+  // with the new settings and only clustering and keywords are recomputed once cached
+  const isFirstRender = useRef(true);
+  useEffect(() => {
+    if (isFirstRender.current) {
+      isFirstRender.current = false;
+      return;
+    }
+    if (latestDocuments.current) {
+      processDocuments(latestDocuments.current);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clusteringSettings, outlierSettings, hierarchySettings, seedSettings, classificationSettings, tokenizerSettings, rerankSettings, llmSettings]);
+  
   return (
     <div className="App">
       <header className="app-header">
@@ -376,28 +310,77 @@ function App() {
           <div className="error-panel">
             <h3>❌ Error</h3>
             <p>{error}</p>
-            <button onClick={fetchRSSFeed} className="button">
+            <button onClick={fetchNewsFeeds} className="button">
               Reload News
             </button>
           </div>
         )}
         
+        <FeedManager
+          feedSettings={feedSettings}
+          setFeedSettings={setFeedSettings}
+          onFetch={fetchNewsFeeds}
+          feedStatus={feedStatus}
+          isProcessing={isProcessing}
+        />
+        
+        {isProcessing && (
+          <ProgressBar
+            stage={progress.stage}
+            progress={progress.progress}
+            onCancel={cancelProcessing}
+          />
+        )}
+        
         <Visualizations 
-          results={results} 
-          onReprocess={handleReprocess} 
+          results={curatedResults} 
+          curation={curation}
+          onReprocess={processDocuments} 
+          layoutSettings={layoutSettings}
+          setLayoutSettings={setLayoutSettings}
+          onAppend={appendDocuments}
+          onFileLoad={processDocuments}
+          onSweep={runSweep}
+          onCancelSweep={cancelSweep}
           isProcessing={isProcessing}
           progress={progress}
-          clusteringMethod={clusteringMethod}
-          setClusteringMethod={setClusteringMethod}
+          clusteringSettings={clusteringSettings}
+          setClusteringSettings={setClusteringSettings}
+          outlierSettings={outlierSettings}
+          setOutlierSettings={setOutlierSettings}
+          hierarchySettings={hierarchySettings}
+          setHierarchySettings={setHierarchySettings}
+          seedSettings={seedSettings}
+          setSeedSettings={setSeedSettings}
+          classificationSettings={classificationSettings}
+          setClassificationSettings={setClassificationSettings}
+          tokenizerSettings={tokenizerSettings}
+          setTokenizerSettings={setTokenizerSettings}
+          rerankSettings={rerankSettings}
+          setRerankSettings={setRerankSettings}
+          llmSettings={llmSettings}
+          setLLMSettings={setLLMSettings}
+          rememberApiKey={rememberApiKey}
+          setRememberApiKey={setRememberApiKey}
+          textMode={textMode}
+          setTextMode={setTextMode}
+          embeddingConfig={embeddingConfig}
+          setEmbeddingConfig={setEmbeddingConfig}
         />
       </main>
       
       <footer className="app-footer">
         <p>
           Powered by{' '}
-          <a href="https://www.tensorflow.org/js" target="_blank" rel="noopener noreferrer">
-            TensorFlow.js
-          </a>
+          {embeddingConfig.backend === 'minilm' ? (
+            <a href="https://huggingface.co/docs/transformers.js" target="_blank" rel="noopener noreferrer">
+              Transformers.js
+            </a>
+          ) : (
+            <a href="https://www.tensorflow.org/js" target="_blank" rel="noopener noreferrer">
+              TensorFlow.js
+            </a>
+          )}
           {' • '}
           <a href="https://github.com/PAIR-code/umap-js" target="_blank" rel="noopener noreferrer">
             UMAP-JS
@@ -408,7 +391,7 @@ function App() {
           </a>
         </p>
         <p className="tech-note">
-          All processing happens in your browser - semantic embeddings via Universal Sentence Encoder!
+          All processing happens in your browser - semantic embeddings via {resolveEmbeddingBackend(embeddingConfig).backend.name}!
         </p>
       </footer>
     </div>
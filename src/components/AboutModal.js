@@ -27,7 +27,8 @@ function AboutModal({ isOpen, onClose }) {
           <ol>
             <li>
               <strong>Semantic Embeddings:</strong> Each document is converted into a high-dimensional 
-              vector (embedding) that captures its semantic meaning using the Universal Sentence Encoder.
+              vector (embedding) that captures its semantic meaning using the Universal Sentence Encoder 
+              or the bundled all-MiniLM-L6-v2 model.
             </li>
             <li>
               <strong>Dimensionality Reduction:</strong> UMAP reduces these high-dimensional embeddings 
@@ -51,6 +52,10 @@ function AboutModal({ isOpen, onClose }) {
               <strong>TensorFlow.js + Universal Sentence Encoder:</strong> Generates semantic embeddings 
               using a pre-trained neural network that runs entirely in your browser via WebGL.
             </li>
+            <li>
+              <strong>Transformers.js + all-MiniLM-L6-v2:</strong> The same sentence-transformers model as the 
+              Python script, served from this site as ONNX (full precision or quantized) so it works offline.
+            </li>
             <li>
               <strong>UMAP-JS:</strong> Uniform Manifold Approximation and Projection algorithm for 
               dimensionality reduction, preserving local and global structure.
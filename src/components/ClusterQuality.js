@@ -0,0 +1,88 @@
+import React from 'react';
+import Plot from 'react-plotly.js';
+import './ClusterQuality.css';
+
+const METRICS = [
+  {
+    key: 'silhouette',
+    label: 'Silhouette',
+    digits: 3,
+    hint: 'How much closer documents are to their own topic than to the nearest other one (-1 to 1, higher is better)'
+  },
+  {
+    key: 'daviesBouldin',
+    label: 'Davies–Bouldin',
+    digits: 3,
+    hint: 'Average overlap between each topic and its most similar topic (0 or more, lower is better)'
+  },
+  {
+    key: 'calinskiHarabasz',
+    label: 'Calinski–Harabasz',
+    digits: 1,
+    hint: 'Spread between topics relative to spread within topics (higher is better)'
+  }
+];
+
+const PARAMETER_LABELS = {
+  k: 'Clusters (k)',
+  eps: 'Radius (eps)'
+};
+
+// Internal quality metrics of the current clustering, plus the silhouette search behind an auto k / eps
+function ClusterQuality({ quality, parameterSearch }) {
+  if (!quality) return null;
+
+  const scored = parameterSearch ? parameterSearch.scores.filter(entry => entry.score !== null) : [];
+  const best = scored.find(entry => entry.value === parameterSearch.best);
+
+  return (
+    <div className="cluster-quality">
+      <div className="cluster-quality-metrics">
+        {METRICS.map(({ key, label, digits, hint }) => (
+          <div className="stat-item" key={key} title={hint}>
+            <span className="stat-label">{label}:</span>
+            <span className="stat-value">{quality[key] === null ? '–' : quality[key].toFixed(digits)}</span>
+          </div>
+        ))}
+      </div>
+      <p className="cluster-quality-note">Noise points are left out. Metrics are computed in the clustering space.</p>
+
+      {scored.length > 0 && (
+        <Plot
+          data={[
+            {
+              x: scored.map(entry => entry.value),
+              y: scored.map(entry => entry.score),
+              type: 'scatter',
+              mode: 'lines+markers',
+              name: 'Silhouette',
+              line: { color: '#0066cc' },
+              hovertemplate: `${parameterSearch.parameter} = %{x:.3~f}<br>silhouette = %{y:.3f}<extra></extra>`
+            },
+            ...(best ? [{
+              x: [best.value],
+              y: [best.score],
+              type: 'scatter',
+              mode: 'markers',
+              name: 'Selected',
+              marker: { color: '#dc3545', size: 12, symbol: 'star' },
+              hoverinfo: 'skip'
+            }] : [])
+          ]}
+          layout={{
+            title: { text: `Auto ${parameterSearch.parameter} by silhouette`, font: { size: 14 } },
+            xaxis: { title: PARAMETER_LABELS[parameterSearch.parameter] || parameterSearch.parameter },
+            yaxis: { title: 'Silhouette' },
+            showlegend: false,
+            height: 260,
+            margin: { l: 60, r: 20, t: 40, b: 50 }
+          }}
+          config={{ displayModeBar: false, responsive: true }}
+          style={{ width: '100%' }}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ClusterQuality;
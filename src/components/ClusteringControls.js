@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { CLUSTERING_SPACES } from '../utils/pipeline';
+import { OUTLIER_STRATEGIES } from '../utils/outliers';
+import './ClusteringControls.css';
+
+const OUTLIER_STRATEGY_LABELS = {
+  [OUTLIER_STRATEGIES.NONE]: 'Keep as outliers',
+  [OUTLIER_STRATEGIES.EMBEDDINGS]: 'Nearest topic embedding',
+  [OUTLIER_STRATEGIES.CTFIDF]: 'Keyword overlap (c-TF-IDF)',
+  [OUTLIER_STRATEGIES.NEIGHBORS]: 'Nearest neighbors vote'
+};
+
+// Clustering parameters applied straight to the current map.
+// Changing them re-runs clustering and keyword extraction only; embeddings and UMAP are reused.
+// Outlier settings re-run only the reassignment and keywords.
+function ClusteringControls({ settings, onChange, outlierSettings, onOutlierChange, outlierReduction, disabled }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const updateOutliers = (changes) => onOutlierChange({ ...outlierSettings, ...changes });
+  const outlierStrategy = outlierSettings.strategy;
+  const movedByStrategy = outlierReduction ? outlierReduction.movedByStrategy : null;
+
+  return (
+    <div className="clustering-controls">
+      <div className="clustering-controls-group">
+        <label className="clustering-label">Clustering:</label>
+        <div className="radio-group-inline">
+          <label className="radio-label-inline">
+            <input
+              type="radio"
+              value="kmeans"
+              checked={settings.method === 'kmeans'}
+              onChange={(e) => update({ method: e.target.value })}
+              disabled={disabled}
+            />
+            <span>K-Means</span>
+          </label>
+          <label className="radio-label-inline">
+            <input
+              type="radio"
+              value="dbscan"
+              checked={settings.method === 'dbscan'}
+              onChange={(e) => update({ method: e.target.value })}
+              disabled={disabled}
+            />
+            <span>DBSCAN</span>
+          </label>
+          <label className="radio-label-inline">
+            <input
+              type="radio"
+              value="hdbscan"
+              checked={settings.method === 'hdbscan'}
+              onChange={(e) => update({ method: e.target.value })}
+              disabled={disabled}
+            />
+            <span>HDBSCAN</span>
+          </label>
+          <label className="radio-label-inline" title="Sort documents into your own categories instead of clustering">
+            <input
+              type="radio"
+              value="zeroshot"
+              checked={settings.method === 'zeroshot'}
+              onChange={(e) => update({ method: e.target.value })}
+              disabled={disabled}
+            />
+            <span>Categories</span>
+          </label>
+        </div>
+      </div>
+
+      {settings.method !== 'zeroshot' && (
+        <div className="clustering-controls-group">
+          <label className="clustering-label" htmlFor="clustering-space">Cluster on</label>
+          <select
+            id="clustering-space"
+            className="settings-select"
+            value={settings.space}
+            onChange={(e) => update({ space: e.target.value })}
+            disabled={disabled}
+            title="The map always shows the 2D projection; other spaces keep more of the embeddings' neighborhoods"
+          >
+            <option value={CLUSTERING_SPACES.MAP}>2D map</option>
+            <option value={CLUSTERING_SPACES.UMAP}>N-D UMAP (cosine)</option>
+            <option value={CLUSTERING_SPACES.EMBEDDINGS}>Embeddings (cosine)</option>
+          </select>
+          {settings.space === CLUSTERING_SPACES.UMAP && (
+            <NumberInput
+              value={settings.spaceDimensions}
+              min={2}
+              max={50}
+              step={1}
+              integer
+              onChange={(spaceDimensions) => update({ spaceDimensions })}
+              disabled={disabled}
+              aria-label="UMAP dimensions"
+            />
+          )}
+        </div>
+      )}
+      
+      {settings.method === 'kmeans' && (
+        <AutoNumberInput
+          label="Clusters (k)"
+          value={settings.k}
+          min={2}
+          step={1}
+          integer
+          onChange={(k) => update({ k })}
+          disabled={disabled}
+        />
+      )}
+      
+      {settings.method === 'dbscan' && (
+        <>
+          <AutoNumberInput
+            label="Radius (eps)"
+            value={settings.eps}
+            min={0.01}
+            step={0.05}
+            onChange={(eps) => update({ eps })}
+            disabled={disabled}
+          />
+          <div className="clustering-controls-group">
+            <label className="clustering-label" htmlFor="clustering-min-pts">Min points</label>
+            <NumberInput
+              id="clustering-min-pts"
+              value={settings.minPts}
+              min={1}
+              step={1}
+              integer
+              onChange={(minPts) => update({ minPts })}
+              disabled={disabled}
+            />
+          </div>
+        </>
+      )}
+      
+      {((settings.method === 'kmeans' && settings.k === null) || (settings.method === 'dbscan' && settings.eps === null)) && (
+        <div className="clustering-controls-group">
+          <label className="clustering-label" htmlFor="clustering-auto-selection">Auto mode</label>
+          <select
+            id="clustering-auto-selection"
+            className="settings-select"
+            value={settings.autoSelection}
+            onChange={(e) => update({ autoSelection: e.target.value })}
+            disabled={disabled}
+            title="Silhouette search clusters once per candidate value and keeps the best-separated result"
+          >
+            <option value="heuristic">Rule of thumb (fast)</option>
+            <option value="silhouette">Best silhouette (search)</option>
+          </select>
+        </div>
+      )}
+      
+      {settings.method === 'hdbscan' && (
+        <>
+          <AutoNumberInput
+            label="Min cluster size"
+            value={settings.minClusterSize}
+            min={2}
+            step={1}
+            integer
+            onChange={(minClusterSize) => update({ minClusterSize })}
+            disabled={disabled}
+          />
+          <div className="clustering-controls-group">
+            <label className="clustering-label" htmlFor="clustering-min-samples">Min samples</label>
+            <NumberInput
+              id="clustering-min-samples"
+              value={settings.minSamples}
+              min={1}
+              step={1}
+              integer
+              onChange={(minSamples) => update({ minSamples })}
+              disabled={disabled}
+            />
+          </div>
+          <div className="clustering-controls-group">
+            <label className="clustering-label" htmlFor="clustering-selection">Selection</label>
+            <select
+              id="clustering-selection"
+              className="settings-select"
+              value={settings.selectionMethod}
+              onChange={(e) => update({ selectionMethod: e.target.value })}
+              disabled={disabled}
+            >
+              <option value="eom">Excess of mass (stable clusters)</option>
+              <option value="leaf">Leaf (fine-grained clusters)</option>
+            </select>
+          </div>
+        </>
+      )}
+
+      <div className="clustering-controls-group">
+        <label className="clustering-label" htmlFor="outlier-strategy">Outliers</label>
+        <select
+          id="outlier-strategy"
+          className="settings-select"
+          value={outlierStrategy}
+          onChange={(e) => updateOutliers({ strategy: e.target.value })}
+          disabled={disabled}
+          title="Move outliers into the most similar topic when the similarity reaches the threshold"
+        >
+          {Object.values(OUTLIER_STRATEGIES).map(strategy => (
+            <option key={strategy} value={strategy}>
+              {movedByStrategy && strategy in movedByStrategy
+                ? `${OUTLIER_STRATEGY_LABELS[strategy]} (moves ${movedByStrategy[strategy]})`
+                : OUTLIER_STRATEGY_LABELS[strategy]}
+            </option>
+          ))}
+        </select>
+        {outlierStrategy !== OUTLIER_STRATEGIES.NONE && (
+          <>
+            <label className="clustering-label" htmlFor="outlier-threshold">Min similarity</label>
+            <NumberInput
+              id="outlier-threshold"
+              value={outlierSettings.thresholds[outlierStrategy]}
+              min={0}
+              max={1}
+              step={0.05}
+              onChange={(threshold) => updateOutliers({
+                thresholds: { ...outlierSettings.thresholds, [outlierStrategy]: threshold }
+              })}
+              disabled={disabled}
+            />
+          </>
+        )}
+        {outlierStrategy === OUTLIER_STRATEGIES.NEIGHBORS && (
+          <>
+            <label className="clustering-label" htmlFor="outlier-neighbors">Neighbors</label>
+            <NumberInput
+              id="outlier-neighbors"
+              value={outlierSettings.neighbors}
+              min={1}
+              step={1}
+              integer
+              onChange={(neighbors) => updateOutliers({ neighbors })}
+              disabled={disabled}
+            />
+          </>
+        )}
+        {outlierReduction && (
+          <span className="clustering-note">
+            {outlierReduction.moved} of {outlierReduction.outliers} moved
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Number input with an "Auto" checkbox; null means auto-determined
+ */
+function AutoNumberInput({ label, value, onChange, disabled, ...inputProps }) {
+  // Remember the last manual value so toggling Auto back off restores it
+  const [lastValue, setLastValue] = useState(value ?? inputProps.min);
+  const isAuto = value === null || value === undefined;
+
+  useEffect(() => {
+    if (!isAuto) setLastValue(value);
+  }, [value, isAuto]);
+
+  return (
+    <div className="clustering-controls-group">
+      <label className="clustering-label">{label}</label>
+      <label className="radio-label-inline">
+        <input
+          type="checkbox"
+          checked={isAuto}
+          onChange={(e) => onChange(e.target.checked ? null : lastValue)}
+          disabled={disabled}
+        />
+        <span>Auto</span>
+      </label>
+      {!isAuto && (
+        <NumberInput value={value} onChange={onChange} disabled={disabled} {...inputProps} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Number input that only reports valid values, so partial input like "0." doesn't trigger a run
+ * and out-of-range values never reach the pipeline
+ */
+function NumberInput({ value, onChange, min, max = Infinity, integer = false, ...inputProps }) {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    const parsed = integer ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
+    if (Number.isFinite(parsed) && parsed >= min && parsed <= max && parsed !== value) {
+      onChange(parsed);
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      className="clustering-number-input"
+      value={draft}
+      min={min}
+      max={Number.isFinite(max) ? max : undefined}
+      onChange={handleChange}
+      onBlur={() => setDraft(String(value))}
+      {...inputProps}
+    />
+  );
+}
+
+export default ClusteringControls;
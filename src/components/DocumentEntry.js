@@ -0,0 +1,25 @@
+import React from 'react';
+import { formatDate } from '../utils/topicMapPlot';
+
+// Title (linked when the document has a URL), source and date; styles live in Visualizations.css
+function DocumentEntry({ doc, showDescription = false }) {
+  const meta = [doc.source, formatDate(doc.date)].filter(Boolean).join(' • ');
+  
+  return (
+    <>
+      {doc.url ? (
+        <a href={doc.url} target="_blank" rel="noopener noreferrer" className="document-link">
+          {doc.title}
+        </a>
+      ) : (
+        <span>{doc.title}</span>
+      )}
+      {meta && <span className="document-meta"> — {meta}</span>}
+      {showDescription && doc.description && (
+        <p className="document-description">{doc.description}</p>
+      )}
+    </>
+  );
+}
+
+export default DocumentEntry;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getCacheStats, clearEmbeddingCache, isCacheAvailable } from '../utils/embeddingCache';
+
+function EmbeddingCacheStatus({ refreshKey, disabled }) {
+  const [stats, setStats] = useState(null);
+  const [isClearing, setIsClearing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setStats(await getCacheStats());
+    } catch (err) {
+      console.warn('Could not read embedding cache stats:', err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  if (!isCacheAvailable()) {
+    return null;
+  }
+
+  const handleClear = async () => {
+    setIsClearing(true);
+    setError(null);
+    try {
+      await clearEmbeddingCache();
+    } catch (err) {
+      // IndexedDB can refuse (blocked by another tab, storage unavailable); say so instead of failing silently
+      console.warn('Could not clear the embedding cache:', err.message);
+      setError(`Could not clear the cache: ${err.message}`);
+    } finally {
+      setIsClearing(false);
+      refresh();
+    }
+  };
+
+  const modelSummary = stats
+    ? Object.entries(stats.models).map(([model, count]) => `${model}: ${count.toLocaleString()}`).join(', ')
+    : '';
+
+  return (
+    <div className="clustering-method-selector">
+      <label className="clustering-label">Embedding Cache:</label>
+      <span className="settings-note" title={modelSummary}>
+        {stats
+          ? `${stats.count.toLocaleString()} embeddings (${formatBytes(stats.bytes)})`
+          : 'Loading...'}
+      </span>
+      <button
+        className="button button-secondary"
+        onClick={handleClear}
+        disabled={disabled || isClearing || !stats || stats.count === 0}
+      >
+        Clear Cache
+      </button>
+      {error && <span className="settings-error">{error}</span>}
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default EmbeddingCacheStatus;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { DEFAULT_PROXY_URL } from '../utils/feeds';
+import { sanitizeUrl } from '../utils/documents';
+import './FeedManager.css';
+
+function FeedManager({ feedSettings, setFeedSettings, onFetch, feedStatus, isProcessing }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newFeedUrl, setNewFeedUrl] = useState('');
+  const [newFeedName, setNewFeedName] = useState('');
+  const { feeds, proxyUrl } = feedSettings;
+
+  const addFeed = () => {
+    const url = newFeedUrl.trim();
+    if (!url) return;
+
+    // Same http(s)-only check as document links
+    if (!sanitizeUrl(url)) {
+      alert('Please enter a valid http or https feed URL');
+      return;
+    }
+    if (feeds.some(feed => feed.url === url)) {
+      alert('This feed is already in the list');
+      return;
+    }
+
+    setFeedSettings({ ...feedSettings, feeds: [...feeds, { url, name: newFeedName.trim() }] });
+    setNewFeedUrl('');
+    setNewFeedName('');
+  };
+
+  const removeFeed = (url) => {
+    setFeedSettings({ ...feedSettings, feeds: feeds.filter(feed => feed.url !== url) });
+  };
+
+  const failedUrls = new Set((feedStatus?.failures || []).map(failure => failure.url));
+
+  return (
+    <div className="raw-data-section feed-manager">
+      <div className="raw-data-header" onClick={() => setIsOpen(!isOpen)}>
+        <span className="toggle-icon">{isOpen ? '▼' : '▶'}</span>
+        <span>News Feeds ({feeds.length})</span>
+      </div>
+      {isOpen && (
+        <div className="feed-manager-content">
+          <ul className="feed-list">
+            {feeds.map(feed => (
+              <li key={feed.url} className={failedUrls.has(feed.url) ? 'feed-failed' : ''}>
+                <div className="feed-info">
+                  {feed.name && <strong>{feed.name}</strong>}
+                  <span className="feed-url">{feed.url}</span>
+                  {failedUrls.has(feed.url) && (
+                    <span className="feed-error">
+                      Failed: {feedStatus.failures.find(f => f.url === feed.url).error}
+                    </span>
+                  )}
+                </div>
+                <button
+                  className="feed-remove"
+                  onClick={() => removeFeed(feed.url)}
+                  disabled={isProcessing}
+                  aria-label={`Remove ${feed.url}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+            {feeds.length === 0 && <li className="feed-empty">No feeds configured</li>}
+          </ul>
+
+          <div className="feed-add">
+            <input
+              type="url"
+              placeholder="https://example.com/feed.xml (RSS or Atom)"
+              value={newFeedUrl}
+              onChange={(e) => setNewFeedUrl(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addFeed()}
+            />
+            <input
+              type="text"
+              placeholder="Name (optional)"
+              value={newFeedName}
+              onChange={(e) => setNewFeedName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addFeed()}
+            />
+            <button className="button button-secondary" onClick={addFeed} disabled={isProcessing}>
+              Add Feed
+            </button>
+          </div>
+
+          <div className="feed-proxy">
+            <label htmlFor="feed-proxy-url">Proxy URL:</label>
+            <input
+              id="feed-proxy-url"
+              type="text"
+              value={proxyUrl}
+              onChange={(e) => setFeedSettings({ ...feedSettings, proxyUrl: e.target.value })}
+              placeholder="Leave empty to fetch feeds directly"
+            />
+            <button
+              className="button button-secondary"
+              onClick={() => setFeedSettings({ ...feedSettings, proxyUrl: DEFAULT_PROXY_URL })}
+              disabled={proxyUrl === DEFAULT_PROXY_URL}
+            >
+              Reset
+            </button>
+          </div>
+          <p className="feed-hint">
+            <code>{'{url}'}</code> is replaced with the encoded feed URL; otherwise the URL is appended.
+            JSON responses with a <code>contents</code> field (allorigins) and raw XML are both accepted.
+          </p>
+
+          {feedStatus && (
+            <p className="feed-hint">
+              Last fetch: {feedStatus.count} items, {feedStatus.duplicates} duplicates dropped
+              {feedStatus.failures.length > 0 && `, ${feedStatus.failures.length} feeds failed`}
+            </p>
+          )}
+
+          <div className="raw-data-actions">
+            <button
+              className="button button-primary"
+              onClick={onFetch}
+              disabled={isProcessing || feeds.length === 0}
+            >
+              Fetch Feeds
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FeedManager;
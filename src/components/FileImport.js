@@ -0,0 +1,166 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { parseFile, suggestTextFields, suggestMetadataFields, buildDocuments } from '../utils/fileImport';
+import './FileImport.css';
+
+const MAX_SKIPPED_SHOWN = 10;
+
+function FileImport({ onLoad, disabled }) {
+  const [parsed, setParsed] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [textFields, setTextFields] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [parseError, setParseError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    setParseError(null);
+    try {
+      const result = await parseFile(file);
+      setFileName(file.name);
+      setParsed(result);
+      setTextFields(suggestTextFields(result.fields));
+    } catch (err) {
+      console.error('File import error:', err);
+      setParseError(`Could not read ${file.name}: ${err.message}`);
+      setParsed(null);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (disabled) return;
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const toggleField = (field) => {
+    setTextFields(prev =>
+      prev.includes(field) ? prev.filter(f => f !== field) : [...prev, field]
+    );
+  };
+
+  const reset = () => {
+    setParsed(null);
+    setFileName('');
+    setTextFields([]);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  // Building documents walks every row, so only redo it when the file or the picked fields change
+  const metadataFields = useMemo(() => parsed ? suggestMetadataFields(parsed.fields) : {}, [parsed]);
+  const built = useMemo(
+    () => parsed
+      ? buildDocuments(parsed.rows, textFields, { metadataFields, source: fileName })
+      : { documents: [], skipped: [] },
+    [parsed, textFields, metadataFields, fileName]
+  );
+  const metadataSummary = Object.entries(metadataFields)
+    .filter(([, field]) => field)
+    .map(([key, field]) => `${key} ← ${field}`)
+    .join(', ');
+  const skippedRows = parsed
+    ? [...parsed.skipped, ...built.skipped].sort((a, b) => a.line - b.line)
+    : [];
+
+  return (
+    <div className="file-import">
+      {!parsed ? (
+        <div
+          className={`drop-zone ${isDragging ? 'dragging' : ''} ${disabled ? 'disabled' : ''}`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            if (!disabled) setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          onClick={() => !disabled && fileInputRef.current && fileInputRef.current.click()}
+        >
+          <span className="drop-zone-title">📂 Drop a TXT, CSV or JSONL file here, or click to browse</span>
+          <span className="drop-zone-hint">TXT: one document per line • CSV/TSV: header row required • JSONL: one object per line</span>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".txt,.csv,.tsv,.jsonl,.ndjson"
+            style={{ display: 'none' }}
+            onChange={(e) => handleFile(e.target.files[0])}
+          />
+        </div>
+      ) : (
+        <div className="import-preview">
+          <div className="import-summary">
+            <strong>{fileName}</strong> ({parsed.format.toUpperCase()}) — {parsed.rows.length} rows parsed
+          </div>
+
+          {parsed.fields.length > 1 && (
+            <div className="field-picker">
+              <span className="field-picker-label">Document text from:</span>
+              {parsed.fields.map(field => (
+                <label key={field} className="field-option">
+                  <input
+                    type="checkbox"
+                    checked={textFields.includes(field)}
+                    onChange={() => toggleField(field)}
+                  />
+                  <span>
+                    {textFields.includes(field) && textFields.length > 1 && (
+                      <span className="field-order">{textFields.indexOf(field) + 1}</span>
+                    )}
+                    {field}
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {metadataSummary && (
+            <div className="import-sample">
+              <span className="field-picker-label">Metadata:</span> {metadataSummary}
+            </div>
+          )}
+
+          {built.documents.length > 0 && (
+            <div className="import-sample">
+              <span className="field-picker-label">First document:</span> {built.documents[0].title}
+            </div>
+          )}
+
+          {skippedRows.length > 0 && (
+            <div className="import-skipped">
+              <strong>{skippedRows.length} rows skipped</strong>
+              <ul>
+                {skippedRows.slice(0, MAX_SKIPPED_SHOWN).map((row, idx) => (
+                  <li key={idx}>Line {row.line}: {row.reason}</li>
+                ))}
+                {skippedRows.length > MAX_SKIPPED_SHOWN && (
+                  <li>…and {skippedRows.length - MAX_SKIPPED_SHOWN} more</li>
+                )}
+              </ul>
+            </div>
+          )}
+
+          <div className="import-actions">
+            <button
+              className="button button-primary"
+              onClick={() => {
+                onLoad(built.documents);
+                reset();
+              }}
+              disabled={disabled || built.documents.length === 0}
+            >
+              Load {built.documents.length} Documents
+            </button>
+            <button className="button button-secondary" onClick={reset} disabled={disabled}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {parseError && <div className="import-error">{parseError}</div>}
+    </div>
+  );
+}
+
+export default FileImport;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { STOP_WORD_PRESETS, NORMALIZATIONS, parseStopWords } from '../utils/tokenizer';
+import './KeywordSettings.css';
+
+const NORMALIZATION_NAMES = {
+  [NORMALIZATIONS.NONE]: 'None',
+  [NORMALIZATIONS.LEMMA]: 'Lemmatize (plurals, -ing, -ed)',
+  [NORMALIZATIONS.STEM]: 'Stem (Porter)'
+};
+
+// Wait for the diversity slider to settle before re-running the keyword stage
+const DIVERSITY_DELAY_MS = 250;
+
+// How topic keywords are tokenized and ranked. Tokenizer changes re-run only outlier reduction, the
+// hierarchy and keywords; reranking changes only keywords.
+function KeywordSettings({ settings, onChange, rerankSettings, onRerankChange, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(settings.customStopWords.join(', '));
+  const [diversity, setDiversity] = useState(rerankSettings.diversity);
+
+  useEffect(() => {
+    setDraft(settings.customStopWords.join(', '));
+  }, [settings.customStopWords]);
+
+  useEffect(() => {
+    setDiversity(rerankSettings.diversity);
+  }, [rerankSettings.diversity]);
+
+  useEffect(() => {
+    if (diversity === rerankSettings.diversity) return undefined;
+    const timer = setTimeout(() => onRerankChange({ ...rerankSettings, diversity }), DIVERSITY_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [diversity, rerankSettings, onRerankChange]);
+
+  const parsed = parseStopWords(draft);
+  const isApplied = parsed.join(',') === settings.customStopWords.join(',');
+
+  return (
+    <div className="raw-data-section">
+      <div className="raw-data-header" onClick={() => setIsOpen(!isOpen)}>
+        <span className="toggle-icon">{isOpen ? '▼' : '▶'}</span>
+        <span>Keyword Settings</span>
+      </div>
+      {isOpen && (
+        <div className="keyword-settings-content">
+          <div className="keyword-settings-row">
+            <label htmlFor="stop-word-preset">Stop words</label>
+            <select
+              id="stop-word-preset"
+              className="settings-select"
+              value={settings.stopWords}
+              onChange={(e) => onChange({ ...settings, stopWords: e.target.value })}
+              disabled={disabled}
+            >
+              {Object.entries(STOP_WORD_PRESETS).map(([id, preset]) => (
+                <option key={id} value={id}>{preset.name}</option>
+              ))}
+            </select>
+            <label htmlFor="term-normalization">Merge inflections</label>
+            <select
+              id="term-normalization"
+              className="settings-select"
+              value={settings.normalization}
+              onChange={(e) => onChange({ ...settings, normalization: e.target.value })}
+              disabled={disabled}
+            >
+              {Object.values(NORMALIZATIONS).map(id => (
+                <option key={id} value={id}>{NORMALIZATION_NAMES[id]}</option>
+              ))}
+            </select>
+            <label className="keyword-settings-checkbox">
+              <input
+                type="checkbox"
+                checked={settings.keepAcronyms}
+                onChange={(e) => onChange({ ...settings, keepAcronyms: e.target.checked })}
+                disabled={disabled}
+              />
+              Keep acronyms as written (AI, 5G)
+            </label>
+          </div>
+          <p className="keyword-settings-help">
+            Extra stop words for this corpus, separated by commas or lines; matched in any case.
+          </p>
+          <textarea
+            className="keyword-settings-editor"
+            value={draft}
+            placeholder="reuters, exclusive, opinion"
+            onChange={(e) => setDraft(e.target.value)}
+            disabled={disabled}
+          />
+          <div className="keyword-settings-row">
+            <button
+              className="button button-primary"
+              onClick={() => onChange({ ...settings, customStopWords: parsed })}
+              disabled={disabled || isApplied}
+            >
+              Apply
+            </button>
+          </div>
+          <div className="keyword-settings-row keyword-settings-rerank">
+            <label
+              className="keyword-settings-checkbox"
+              title="Embed the top c-TF-IDF terms and pick those closest to the topic's documents, skipping near-duplicates"
+            >
+              <input
+                type="checkbox"
+                checked={rerankSettings.enabled}
+                onChange={(e) => onRerankChange({ ...rerankSettings, enabled: e.target.checked })}
+                disabled={disabled}
+              />
+              Rerank with embeddings (MMR)
+            </label>
+            <label htmlFor="keyword-diversity">Diversity</label>
+            <input
+              id="keyword-diversity"
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={diversity}
+              onChange={(e) => setDiversity(parseFloat(e.target.value))}
+              disabled={disabled || !rerankSettings.enabled}
+            />
+            <span className="keyword-settings-value">{diversity.toFixed(2)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default KeywordSettings;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import './LLMLabels.css';
+
+// Endpoint for topic titles from a chat model. Changes re-run only the labeling step; the
+// endpoint's answers are cached with the keywords they were asked about.
+function LLMLabels({ settings, onChange, rememberApiKey, onRememberApiKeyChange, llmLabels, topicCount, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(settings);
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  const updateDraft = (field, value) => setDraft({ ...draft, [field]: value });
+  const timeoutSeconds = Math.round(draft.timeoutMs / 1000);
+  const isApplied = ['baseUrl', 'model', 'apiKey', 'timeoutMs'].every(field => draft[field] === settings[field]);
+  const isValid = draft.baseUrl.trim() !== '' && draft.model.trim() !== '' && draft.timeoutMs > 0;
+
+  const apply = () => {
+    onChange({ ...draft, baseUrl: draft.baseUrl.trim(), model: draft.model.trim(), apiKey: draft.apiKey.trim() });
+  };
+
+  const labeled = llmLabels ? Object.keys(llmLabels.labels).length : 0;
+
+  return (
+    <div className="raw-data-section">
+      <div className="raw-data-header" onClick={() => setIsOpen(!isOpen)}>
+        <span className="toggle-icon">{isOpen ? '▼' : '▶'}</span>
+        <span>LLM Topic Labels</span>
+        {settings.enabled && <span className="llm-labels-badge">{settings.model}</span>}
+      </div>
+      {isOpen && (
+        <div className="llm-labels-content">
+          <p className="llm-labels-help">
+            Ask a chat model behind an OpenAI-compatible API (Ollama, llama.cpp server, LM Studio) for a short title
+            and a one-sentence description of each topic, from its keywords and representative documents. Topics
+            keep their keyword labels when the endpoint can't be reached.
+          </p>
+          <label className="llm-labels-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+              disabled={disabled}
+            />
+            Label topics with an LLM
+          </label>
+          <div className="llm-labels-grid">
+            <label htmlFor="llm-base-url">Base URL</label>
+            <input
+              id="llm-base-url"
+              type="text"
+              value={draft.baseUrl}
+              placeholder="http://localhost:11434/v1"
+              onChange={(e) => updateDraft('baseUrl', e.target.value)}
+              disabled={disabled}
+            />
+            <label htmlFor="llm-model">Model</label>
+            <input
+              id="llm-model"
+              type="text"
+              value={draft.model}
+              placeholder="llama3.2"
+              onChange={(e) => updateDraft('model', e.target.value)}
+              disabled={disabled}
+            />
+            <label htmlFor="llm-api-key">API key</label>
+            <input
+              id="llm-api-key"
+              type="password"
+              value={draft.apiKey}
+              placeholder="Not needed for local servers"
+              onChange={(e) => updateDraft('apiKey', e.target.value)}
+              disabled={disabled}
+            />
+            <span />
+            <label className="llm-labels-checkbox llm-labels-remember">
+              <input
+                type="checkbox"
+                checked={rememberApiKey}
+                onChange={(e) => onRememberApiKeyChange(e.target.checked)}
+              />
+              Remember the key in this browser (stored unencrypted; otherwise it's forgotten on reload)
+            </label>
+            <label htmlFor="llm-timeout">Timeout (s)</label>
+            <input
+              id="llm-timeout"
+              type="number"
+              min={1}
+              value={timeoutSeconds}
+              onChange={(e) => updateDraft('timeoutMs', (parseInt(e.target.value, 10) || 0) * 1000)}
+              disabled={disabled}
+            />
+          </div>
+          <div className="llm-labels-row">
+            <button
+              className="button button-primary"
+              onClick={apply}
+              disabled={disabled || isApplied || !isValid}
+            >
+              Apply
+            </button>
+            {settings.enabled && llmLabels && !llmLabels.error && (
+              <span className="llm-labels-status">
+                {labeled} of {topicCount} topics labeled by {llmLabels.model}
+              </span>
+            )}
+          </div>
+          {settings.enabled && llmLabels && llmLabels.error && (
+            <div className="llm-labels-error">
+              ⚠ {llmLabels.error}. {labeled > 0 ? `${labeled} of ${topicCount} topics were labeled; the rest` : 'Topics'} keep
+              their keyword labels. Browsers need the server to allow cross-origin requests (for Ollama, set OLLAMA_ORIGINS).
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LLMLabels;
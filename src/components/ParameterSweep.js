@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import Plot from 'react-plotly.js';
+import { expandSweepGrid, rankConfigurations } from '../utils/sweep';
+import { isCancelledError } from '../utils/cancellation';
+import './ParameterSweep.css';
+
+// Sweepable parameters shown for each clustering method; UMAP parameters apply to all
+const SWEEP_FIELDS = [
+  { name: 'nNeighbors', label: 'UMAP neighbors', placeholder: 'e.g. 10, 15, 30' },
+  { name: 'minDist', label: 'UMAP min distance', placeholder: 'e.g. 0.1, 0.3' },
+  { name: 'k', label: 'Clusters (k)', placeholder: 'e.g. 5, 10, 15', methods: ['kmeans'] },
+  { name: 'eps', label: 'Radius (eps)', placeholder: 'e.g. 0.2, 0.3, 0.5', methods: ['dbscan'] },
+  { name: 'minPts', label: 'Min points', placeholder: 'e.g. 2, 3, 5', methods: ['dbscan'] },
+  { name: 'minClusterSize', label: 'Min cluster size', placeholder: 'e.g. 3, 5, 10', methods: ['hdbscan'] },
+  { name: 'minSamples', label: 'Min samples', placeholder: 'e.g. 1, 3', methods: ['hdbscan'] }
+];
+
+const DEFAULT_FIELDS = { nNeighbors: '10, 15, 30', seeds: '42, 7, 1234' };
+
+function parseList(text) {
+  return text.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+}
+
+// Runs the pipeline over a grid of parameters and seeds for the documents on screen,
+// so settings can be chosen by how consistently they reproduce the same topics
+function ParameterSweep({ method, onSweep, onCancel, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [fields, setFields] = useState(DEFAULT_FIELDS);
+  const [status, setStatus] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const visibleFields = SWEEP_FIELDS.filter(field => !field.methods || field.methods.includes(method));
+  const grid = {};
+  visibleFields.forEach(({ name }) => {
+    const values = parseList(fields[name] || '');
+    if (values.length > 0) grid[name] = values;
+  });
+  const seeds = parseList(fields.seeds || '');
+
+  const invalid = [...Object.values(grid).flat(), ...seeds].some(value => !Number.isFinite(value));
+  const configurationCount = invalid ? 0 : expandSweepGrid(grid).length;
+  const runCount = configurationCount * seeds.length;
+  const isRunning = status !== null && status.running;
+
+  const startSweep = async () => {
+    setStatus({ running: true, label: 'Starting sweep', progress: 0 });
+    try {
+      const result = await onSweep({ grid, seeds }, (label, progress) => {
+        setStatus({ running: true, label, progress });
+      });
+      setReport({ ...result, configurations: rankConfigurations(result.configurations) });
+      setStatus(null);
+    } catch (err) {
+      setStatus({ running: false, label: isCancelledError(err) ? 'Sweep cancelled' : `Sweep failed: ${err.message}` });
+    }
+  };
+
+  return (
+    <div className="raw-data-section">
+      <div className="raw-data-header" onClick={() => setIsOpen(!isOpen)}>
+        <span className="toggle-icon">{isOpen ? '▼' : '▶'}</span>
+        <span>Parameter Sweep</span>
+      </div>
+      {isOpen && (
+        <div className="sweep-content">
+          <p className="sweep-help">
+            Comma-separated values per parameter; empty fields keep the current setting. Every combination
+            is run once per seed, and stability is the mean Adjusted Rand Index between a combination's seeds
+            (1 = identical topics every time).
+          </p>
+          <div className="sweep-fields">
+            {[...visibleFields, { name: 'seeds', label: 'Seeds', placeholder: 'e.g. 42, 7, 1234' }].map(({ name, label, placeholder }) => (
+              <label key={name} className="sweep-field">
+                <span>{label}</span>
+                <input
+                  type="text"
+                  value={fields[name] || ''}
+                  placeholder={placeholder}
+                  onChange={(e) => setFields({ ...fields, [name]: e.target.value })}
+                  disabled={isRunning}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="sweep-actions">
+            {isRunning ? (
+              <button className="button" onClick={onCancel}>Cancel</button>
+            ) : (
+              <button
+                className="button"
+                onClick={startSweep}
+                disabled={disabled || invalid || runCount === 0}
+              >
+                Run {runCount} {runCount === 1 ? 'run' : 'runs'}
+              </button>
+            )}
+            <span className="sweep-status">
+              {invalid
+                ? 'Values must be numbers'
+                : `${configurationCount} combination${configurationCount === 1 ? '' : 's'} × ${seeds.length} seed${seeds.length === 1 ? '' : 's'}`}
+              {status && ` — ${status.label}${status.running ? ` (${Math.round(status.progress * 100)}%)` : ''}`}
+            </span>
+          </div>
+
+          {report && <SweepReport report={report} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SweepReport({ report }) {
+  const format = (value, digits) => value === null ? '–' : value.toFixed(digits);
+  const describe = (parameters) => Object.entries(parameters).map(([name, value]) => `${name}=${value}`).join(', ') || 'current settings';
+
+  return (
+    <>
+      <table className="sweep-table">
+        <thead>
+          <tr>
+            <th>Parameters</th>
+            <th title="Mean Adjusted Rand Index between seeds">Stability</th>
+            <th title="Lowest ARI between any two seeds">Min ARI</th>
+            <th>Topics</th>
+            <th>Outliers</th>
+            <th>Silhouette</th>
+            <th>Davies–Bouldin</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.configurations.map(config => (
+            <tr key={describe(config.parameters)} className={config.topicCount.max === 0 ? 'sweep-trivial' : ''}>
+              <td>{describe(config.parameters)}</td>
+              <td>{format(config.stability, 3)}</td>
+              <td>{format(config.minStability, 3)}</td>
+              <td>
+                {config.topicCount.min === config.topicCount.max
+                  ? config.topicCount.min
+                  : `${config.topicCount.min}–${config.topicCount.max}`}
+              </td>
+              <td>{format(config.outlierCount, 1)}</td>
+              <td>{format(config.silhouette, 3)}</td>
+              <td>{format(config.daviesBouldin, 3)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {report.runs.length > 1 && (
+        <Plot
+          data={[{
+            z: report.ari,
+            x: report.runs.map((run, idx) => `#${idx + 1}`),
+            y: report.runs.map((run, idx) => `#${idx + 1}`),
+            text: report.runs.map(run => report.runs.map(other =>
+              `${describe(run.parameters)}, seed ${run.seed}<br>vs ${describe(other.parameters)}, seed ${other.seed}`
+            )),
+            type: 'heatmap',
+            zmin: 0,
+            zmax: 1,
+            colorscale: 'Blues',
+            reversescale: true,
+            hovertemplate: '%{text}<br>ARI = %{z:.3f}<extra></extra>'
+          }]}
+          layout={{
+            title: { text: 'Adjusted Rand Index between runs', font: { size: 14 } },
+            yaxis: { autorange: 'reversed' },
+            height: 420,
+            margin: { l: 50, r: 20, t: 40, b: 40 }
+          }}
+          config={{ displayModeBar: false, responsive: true }}
+          style={{ width: '100%' }}
+        />
+      )}
+    </>
+  );
+}
+
+export default ParameterSweep;
@@ -1,14 +1,20 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { PIPELINE_STAGES } from '../utils/pipeline';
 import './ProgressBar.css';
 
-function ProgressBar({ stage, progress }) {
-  const stages = [
-    'Generating embeddings',
-    'Reducing dimensions',
-    'Clustering topics',
-    'Extracting keywords',
-    'Creating visualizations'
-  ];
+// Quick re-runs (clustering only) usually finish within this time; don't flash the bar for them
+const SHOW_DELAY_MS = 300;
+
+function ProgressBar({ stage, progress, onCancel }) {
+  const [isVisible, setIsVisible] = useState(false);
+  const stages = Object.values(PIPELINE_STAGES);
+  
+  useEffect(() => {
+    const timer = setTimeout(() => setIsVisible(true), SHOW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, []);
+  
+  if (!isVisible) return null;
   
   const currentStageIndex = stages.indexOf(stage);
   const overallProgress = currentStageIndex >= 0 
@@ -33,6 +39,14 @@ function ProgressBar({ stage, progress }) {
         {Math.round(overallProgress)}%
       </div>
       
+      {onCancel && (
+        <div className="progress-actions">
+          <button className="button button-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      )}
+      
       <div className="stage-list">
         {stages.map((s, idx) => (
           <div 
@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { parseSeedTopics, formatSeedTopics } from '../utils/seedTopics';
+import './SeedTopics.css';
+
+const PLACEHOLDER = `Machine Learning: neural networks, deep learning, training
+Security: encryption, privacy, attacks, authentication`;
+
+// Seed topics known in advance (e.g. conference tracks). Applying them re-runs the pipeline from UMAP;
+// embeddings are reused.
+function SeedTopics({ settings, onChange, seedTopics, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(formatSeedTopics(settings.topics));
+  const [threshold, setThreshold] = useState(String(settings.threshold));
+
+  useEffect(() => {
+    setDraft(formatSeedTopics(settings.topics));
+    setThreshold(String(settings.threshold));
+  }, [settings]);
+
+  const parsed = parseSeedTopics(draft);
+  const parsedThreshold = parseFloat(threshold);
+  const invalidThreshold = !Number.isFinite(parsedThreshold) || parsedThreshold < 0 || parsedThreshold > 1;
+  const isApplied = formatSeedTopics(parsed) === formatSeedTopics(settings.topics) && parsedThreshold === settings.threshold;
+
+  const matched = seedTopics ? seedTopics.documentSeeds.filter(seed => seed !== -1).length : 0;
+  const seededCount = seedTopics ? Object.keys(seedTopics.topicSeeds).length : 0;
+
+  return (
+    <div className="raw-data-section">
+      <div className="raw-data-header" onClick={() => setIsOpen(!isOpen)}>
+        <span className="toggle-icon">{isOpen ? '▼' : '▶'}</span>
+        <span>Seed Topics{settings.topics.length > 0 ? ` (${settings.topics.length})` : ''}</span>
+      </div>
+      {isOpen && (
+        <div className="seed-topics-content">
+          <p className="seed-topics-help">
+            One topic per line as <code>Name: term, term, …</code>. Documents similar to a seed are pulled
+            toward it, so they gather into a topic named after the seed; the rest still form discovered topics.
+          </p>
+          <textarea
+            className="seed-topics-editor"
+            value={draft}
+            placeholder={PLACEHOLDER}
+            onChange={(e) => setDraft(e.target.value)}
+            disabled={disabled}
+          />
+          <div className="seed-topics-actions">
+            <label className="seed-topics-threshold">
+              Min similarity
+              <input
+                type="number"
+                value={threshold}
+                min={0}
+                max={1}
+                step={0.05}
+                onChange={(e) => setThreshold(e.target.value)}
+                disabled={disabled}
+              />
+            </label>
+            <button
+              className="button button-primary"
+              onClick={() => onChange({ ...settings, topics: parsed, threshold: parsedThreshold })}
+              disabled={disabled || invalidThreshold || isApplied}
+            >
+              Apply
+            </button>
+            <button
+              className="button"
+              onClick={() => onChange({ ...settings, topics: [] })}
+              disabled={disabled || settings.topics.length === 0}
+            >
+              Clear
+            </button>
+            <span className="seed-topics-status">
+              {invalidThreshold
+                ? 'Min similarity must be between 0 and 1'
+                : seedTopics && `${matched} of ${seedTopics.documentSeeds.length} documents matched a seed; ${seededCount} seeded topics`}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SeedTopics;
@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import Plot from 'react-plotly.js';
+import { TOPIC_REPRESENTATIONS } from '../utils/topicExtraction';
+import { buildDendrogramTraces } from '../utils/topicMapPlot';
+import './TopicHierarchy.css';
+
+// Wait for the slider to settle before re-running the merge stage
+const CUT_DELAY_MS = 250;
+
+// Dendrogram of topics merged by similarity, with a slider that cuts it to a number of topics.
+// The cut is a pipeline setting, so the map, keyword table and labels all follow it.
+function TopicHierarchy({ topicHierarchy, clusters, colorSlots, settings, onChange, disabled }) {
+  const topicTotal = topicHierarchy ? topicHierarchy.clusterIds.length : 0;
+  const appliedCount = settings.topics && settings.topics < topicTotal ? settings.topics : topicTotal;
+  const [draftCount, setDraftCount] = useState(appliedCount);
+
+  useEffect(() => {
+    setDraftCount(appliedCount);
+  }, [appliedCount]);
+
+  useEffect(() => {
+    if (draftCount === appliedCount) return undefined;
+    const timer = setTimeout(() => {
+      onChange({ ...settings, topics: draftCount >= topicTotal ? null : draftCount });
+    }, CUT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draftCount, appliedCount, topicTotal, settings, onChange]);
+
+  if (!topicHierarchy || topicTotal < 2) return null;
+
+  const { traces, tickvals, ticktext } = buildDendrogramTraces(topicHierarchy, clusters, colorSlots);
+
+  return (
+    <div className="topic-hierarchy">
+      <div className="topic-hierarchy-header">
+        <h3>Topic Hierarchy</h3>
+        <div className="topic-hierarchy-controls">
+          <label htmlFor="hierarchy-representation">Merge by</label>
+          <select
+            id="hierarchy-representation"
+            className="settings-select"
+            value={settings.representation}
+            onChange={(e) => onChange({ ...settings, representation: e.target.value })}
+            disabled={disabled}
+          >
+            <option value={TOPIC_REPRESENTATIONS.EMBEDDINGS}>Embedding centroids</option>
+            <option value={TOPIC_REPRESENTATIONS.CTFIDF}>Keywords (c-TF-IDF)</option>
+          </select>
+          <label htmlFor="hierarchy-cut">Topics</label>
+          <input
+            id="hierarchy-cut"
+            type="range"
+            min={1}
+            max={topicTotal}
+            step={1}
+            value={draftCount}
+            onChange={(e) => setDraftCount(parseInt(e.target.value, 10))}
+            disabled={disabled}
+          />
+          <span className="topic-hierarchy-count">{draftCount} of {topicTotal}</span>
+          {appliedCount < topicTotal && (
+            <button className="button" onClick={() => setDraftCount(topicTotal)} disabled={disabled}>
+              Unmerge
+            </button>
+          )}
+        </div>
+      </div>
+      <Plot
+        data={traces}
+        layout={{
+          xaxis: { title: 'Cosine distance', zeroline: false },
+          yaxis: { tickvals, ticktext, autorange: 'reversed', zeroline: false, showgrid: false },
+          hovermode: 'closest',
+          height: Math.max(300, topicTotal * 22 + 80),
+          margin: { l: 260, r: 20, t: 10, b: 50 }
+        }}
+        config={{ displayModeBar: false, responsive: true }}
+        style={{ width: '100%' }}
+      />
+    </div>
+  );
+}
+
+export default TopicHierarchy;
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import DocumentEntry from './DocumentEntry';
+import './TopicTable.css';
+
+const DRAG_TYPE = 'application/x-topic-document';
+
+// Keyword table with curation: rename, merge selected, split and drag documents between topics.
+// Edits go through `curation` (see utils/curation.js) so they can be undone.
+// With seed topics, each topic is badged as seeded (named after its seed) or discovered.
+// Expanded topics list their representative documents (closest to the topic's center) first.
+// Topics titled by an LLM show its description and their keyword label underneath.
+function TopicTable({ documents, clusters, topics, topicLabels, keywordLabels, topicDescriptions, seedTopics, representativeDocuments, curation, disabled }) {
+  const [expandedTopics, setExpandedTopics] = useState(new Set());
+  const [selectedTopics, setSelectedTopics] = useState(new Set());
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [dropTarget, setDropTarget] = useState(null);
+  
+  // Selections refer to cluster ids, which change with every edit
+  useEffect(() => {
+    setSelectedTopics(new Set());
+    setRenaming(null);
+  }, [clusters]);
+  
+  const toggle = (setter, id) => {
+    setter(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+  
+  const membersOf = (clusterId) => clusters
+    .map((c, idx) => c === clusterId ? idx : -1)
+    .filter(idx => idx !== -1);
+  
+  const topicKeywordsData = Object.entries(topics)
+    .filter(([clusterId]) => clusterId !== '-1')
+    .map(([clusterId, keywords]) => {
+      const id = parseInt(clusterId);
+      const members = membersOf(id);
+      const representatives = (representativeDocuments && representativeDocuments[id]) || [];
+      return {
+        id,
+        label: topicLabels[clusterId] || `Topic ${clusterId}`,
+        keywordLabel: keywordLabels && keywordLabels[clusterId] !== topicLabels[clusterId] ? keywordLabels[clusterId] : null,
+        description: (topicDescriptions && topicDescriptions[clusterId]) || null,
+        keywords: keywords.slice(0, 10).map(k => k.term).join(', '),
+        count: members.length,
+        members: [...representatives, ...members.filter(idx => !representatives.includes(idx))],
+        representatives
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+  
+  const outlierMembers = membersOf(-1);
+  const outlierLabel = topicLabels[-1] || 'Outliers';
+  const moveTargets = [
+    ...topicKeywordsData.map(topic => ({ id: topic.id, label: topic.label })),
+    { id: -1, label: outlierLabel }
+  ];
+  
+  const dropHandlers = (clusterId) => curation ? {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+      e.preventDefault();
+      setDropTarget(clusterId);
+    },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      curation.move([parseInt(e.dataTransfer.getData(DRAG_TYPE), 10)], clusterId);
+    }
+  } : {};
+  
+  const commitRename = () => {
+    if (renaming) curation.rename(renaming.id, renaming.name);
+    setRenaming(null);
+  };
+  
+  const renderDocuments = (members, clusterId, representatives = []) => (
+    <tr className="documents-row">
+      <td colSpan="3">
+        <div className="documents-list">
+          <ul>
+            {members.map(idx => (
+              <li
+                key={documents[idx].id}
+                draggable={Boolean(curation) && !disabled}
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(DRAG_TYPE, String(idx));
+                  e.dataTransfer.effectAllowed = 'move';
+                }}
+                className={[
+                  curation ? 'draggable-document' : '',
+                  representatives.includes(idx) ? 'representative-document' : ''
+                ].filter(Boolean).join(' ')}
+              >
+                {representatives.includes(idx) && (
+                  <span className="representative-badge" title="Representative: among the closest to the topic's center">★</span>
+                )}
+                <DocumentEntry doc={documents[idx]} />
+                {curation && (
+                  <select
+                    className="move-select"
+                    value={clusterId}
+                    onChange={(e) => curation.move([idx], parseInt(e.target.value, 10))}
+                    disabled={disabled}
+                    aria-label="Move to topic"
+                  >
+                    {moveTargets.map(target => (
+                      <option key={target.id} value={target.id}>{target.label}</option>
+                    ))}
+                  </select>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </td>
+    </tr>
+  );
+  
+  return (
+    <div className="keywords-table">
+      {curation && (
+        <div className="curation-toolbar">
+          <button
+            className="button"
+            onClick={() => curation.merge([...selectedTopics])}
+            disabled={disabled || selectedTopics.size < 2}
+          >
+            Merge selected{selectedTopics.size > 0 ? ` (${selectedTopics.size})` : ''}
+          </button>
+          <button className="button" onClick={curation.undo} disabled={disabled || !curation.canUndo} title="Ctrl+Z">
+            ↶ Undo
+          </button>
+          <button className="button" onClick={curation.redo} disabled={disabled || !curation.canRedo} title="Ctrl+Shift+Z">
+            ↷ Redo
+          </button>
+          <span className="curation-hint">
+            Drag documents onto a topic to move them. Edits are discarded when the map is re-run.
+          </span>
+        </div>
+      )}
+      <table>
+        <thead>
+          <tr>
+            <th>Topic</th>
+            <th>Documents</th>
+            <th>Top Keywords</th>
+          </tr>
+        </thead>
+        <tbody>
+          {topicKeywordsData.map(topic => (
+            <React.Fragment key={topic.id}>
+              <tr 
+                onClick={() => toggle(setExpandedTopics, topic.id)}
+                style={{ cursor: 'pointer' }}
+                className={[
+                  expandedTopics.has(topic.id) ? 'expanded' : '',
+                  dropTarget === topic.id ? 'drop-target' : ''
+                ].join(' ')}
+                {...dropHandlers(topic.id)}
+              >
+                <td>
+                  {curation && (
+                    <input
+                      type="checkbox"
+                      className="topic-select"
+                      checked={selectedTopics.has(topic.id)}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={() => toggle(setSelectedTopics, topic.id)}
+                      disabled={disabled}
+                      aria-label={`Select ${topic.label}`}
+                    />
+                  )}
+                  {renaming && renaming.id === topic.id ? (
+                    <input
+                      type="text"
+                      className="topic-rename-input"
+                      value={renaming.name}
+                      autoFocus
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') commitRename();
+                        if (e.key === 'Escape') setRenaming(null);
+                      }}
+                    />
+                  ) : (
+                    <strong>
+                      <span style={{ marginRight: '8px' }}>
+                        {expandedTopics.has(topic.id) ? '▼' : '▶'}
+                      </span>
+                      {topic.label}
+                    </strong>
+                  )}
+                  {seedTopics && (topic.id in seedTopics.topicSeeds ? (
+                    <span
+                      className="topic-badge topic-badge-seeded"
+                      title={`Seed terms: ${seedTopics.topics[seedTopics.topicSeeds[topic.id]].terms.join(', ')}`}
+                    >
+                      Seeded
+                    </span>
+                  ) : (
+                    <span className="topic-badge" title="Not dominated by any seed topic">Discovered</span>
+                  ))}
+                  {curation && !renaming && (
+                    <span className="topic-actions" onClick={(e) => e.stopPropagation()}>
+                      <button
+                        className="topic-action"
+                        onClick={() => setRenaming({ id: topic.id, name: topic.label })}
+                        disabled={disabled}
+                        title="Rename topic"
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        className="topic-action"
+                        onClick={() => curation.split(topic.id, 2)}
+                        disabled={disabled || topic.count < 2}
+                        title="Split into two topics by re-clustering its documents"
+                      >
+                        ✂️
+                      </button>
+                    </span>
+                  )}
+                  {(topic.description || topic.keywordLabel) && (
+                    <div className="topic-description">
+                      {topic.description}
+                      {topic.keywordLabel && <span className="topic-keyword-label">{topic.keywordLabel}</span>}
+                    </div>
+                  )}
+                </td>
+                <td>{topic.count}</td>
+                <td>{topic.keywords}</td>
+              </tr>
+              {expandedTopics.has(topic.id) && renderDocuments(topic.members, topic.id, topic.representatives)}
+            </React.Fragment>
+          ))}
+          {outlierMembers.length > 0 && (
+            <React.Fragment key="outliers">
+              <tr 
+                onClick={() => toggle(setExpandedTopics, 'outliers')}
+                style={{ cursor: 'pointer', backgroundColor: '#f9f9f9' }}
+                className={[
+                  expandedTopics.has('outliers') ? 'expanded' : '',
+                  dropTarget === -1 ? 'drop-target' : ''
+                ].join(' ')}
+                {...dropHandlers(-1)}
+              >
+                <td>
+                  <strong>
+                    <span style={{ marginRight: '8px' }}>
+                      {expandedTopics.has('outliers') ? '▼' : '▶'}
+                    </span>
+                    {outlierLabel}
+                  </strong>
+                </td>
+                <td>{outlierMembers.length}</td>
+                <td style={{ fontStyle: 'italic', color: '#666' }}>
+                  Documents that don't fit well into any topic
+                </td>
+              </tr>
+              {expandedTopics.has('outliers') && renderDocuments(outlierMembers, -1)}
+            </React.Fragment>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default TopicTable;
@@ -0,0 +1,88 @@
+import React, { useState, useMemo } from 'react';
+import Plot from 'react-plotly.js';
+import { computeTopicsOverTime, TIME_BINS } from '../utils/topicsOverTime';
+import { buildTopicsOverTimeTraces } from '../utils/topicMapPlot';
+import './TopicsOverTime.css';
+
+const BIN_NAMES = {
+  [TIME_BINS.DAY]: 'Day',
+  [TIME_BINS.WEEK]: 'Week',
+  [TIME_BINS.MONTH]: 'Month'
+};
+
+// Dated documents per topic and day, week or month; hovering a period shows that period's
+// keywords. Computed from the shown results, so manual topic edits apply without re-running the pipeline.
+function TopicsOverTime({ documents, texts, clusters, topicLabels, colorSlots, tokenizer }) {
+  const [bin, setBin] = useState(TIME_BINS.AUTO);
+  const [stacked, setStacked] = useState(true);
+
+  const overTime = useMemo(
+    () => texts ? computeTopicsOverTime(documents, texts, clusters, { bin, tokenizer }) : null,
+    [documents, texts, clusters, bin, tokenizer]
+  );
+
+  if (!overTime) return null;
+
+  const traces = buildTopicsOverTimeTraces(overTime, topicLabels, clusters, colorSlots, { stacked });
+
+  return (
+    <div className="topics-over-time">
+      <div className="topics-over-time-header">
+        <h3>Topics over Time</h3>
+        <div className="topics-over-time-controls">
+          <label htmlFor="time-bin">Per</label>
+          <select
+            id="time-bin"
+            className="settings-select"
+            value={bin}
+            onChange={(e) => setBin(e.target.value)}
+          >
+            <option value={TIME_BINS.AUTO}>
+              Auto{bin === TIME_BINS.AUTO ? ` (${BIN_NAMES[overTime.bin].toLowerCase()})` : ''}
+            </option>
+            {[TIME_BINS.DAY, TIME_BINS.WEEK, TIME_BINS.MONTH].map(id => (
+              <option key={id} value={id}>{BIN_NAMES[id]}</option>
+            ))}
+          </select>
+          <label htmlFor="time-chart">Chart</label>
+          <select
+            id="time-chart"
+            className="settings-select"
+            value={stacked ? 'stacked' : 'lines'}
+            onChange={(e) => setStacked(e.target.value === 'stacked')}
+          >
+            <option value="stacked">Stacked areas</option>
+            <option value="lines">Lines</option>
+          </select>
+        </div>
+      </div>
+      {overTime.periods.length < 2 ? (
+        <p className="topics-over-time-note">
+          All dated documents fall within one {overTime.bin}
+          {overTime.bin === TIME_BINS.DAY ? '.' : '; pick a shorter period to see a trend.'}
+        </p>
+      ) : (
+        <Plot
+          data={traces}
+          layout={{
+            xaxis: { type: 'date', showgrid: false },
+            yaxis: { title: 'Documents', rangemode: 'tozero', zeroline: false },
+            hovermode: 'closest',
+            showlegend: false,
+            height: 360,
+            margin: { l: 60, r: 20, t: 10, b: 50 }
+          }}
+          config={{ displayModeBar: false, responsive: true }}
+          style={{ width: '100%' }}
+        />
+      )}
+      {overTime.undated > 0 && (
+        <p className="topics-over-time-note">
+          {overTime.undated} document{overTime.undated === 1 ? '' : 's'} without a date left out.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default TopicsOverTime;
@@ -1,78 +1,44 @@
 import React, { useState, useEffect } from 'react';
 import Plot from 'react-plotly.js';
+import FileImport from './FileImport';
+import EmbeddingCacheStatus from './EmbeddingCacheStatus';
+import ClusteringControls from './ClusteringControls';
+import ClusterQuality from './ClusterQuality';
+import ParameterSweep from './ParameterSweep';
+import TopicHierarchy from './TopicHierarchy';
+import TopicsOverTime from './TopicsOverTime';
+import TopicTable from './TopicTable';
+import SeedTopics from './SeedTopics';
+import KeywordSettings from './KeywordSettings';
+import LLMLabels from './LLMLabels';
+import ZeroShotCategories from './ZeroShotCategories';
+import DocumentEntry from './DocumentEntry';
+import { reconcileDocuments, toDocuments, TEXT_MODES } from '../utils/documents';
+import { EMBEDDING_BACKENDS, resolveEmbeddingBackend } from '../utils/embeddings';
+import { buildTopicMapTraces, getTopicMapRanges } from '../utils/topicMapPlot';
 import './Visualizations.css';
 
-function Visualizations({ results, onReprocess, isProcessing, progress, clusteringMethod, setClusteringMethod }) {
-  const { documents, coordinates, clusters, topics, topicLabels } = results;
-  const [expandedTopics, setExpandedTopics] = useState(new Set());
+function Visualizations({ results, curation, onReprocess, onAppend, layoutSettings, setLayoutSettings, onFileLoad, onSweep, onCancelSweep, isProcessing, progress, clusteringSettings, setClusteringSettings, outlierSettings, setOutlierSettings, hierarchySettings, setHierarchySettings, seedSettings, setSeedSettings, classificationSettings, setClassificationSettings, tokenizerSettings, setTokenizerSettings, rerankSettings, setRerankSettings, llmSettings, setLLMSettings, rememberApiKey, setRememberApiKey, textMode, setTextMode, embeddingConfig, setEmbeddingConfig }) {
+  const { documents, coordinates, clusters, topics, topicLabels, quality, parameterSearch } = results;
   const [showRawData, setShowRawData] = useState(false);
-  const [editedDocuments, setEditedDocuments] = useState(documents.join('\n'));
+  const [editedDocuments, setEditedDocuments] = useState(documents.map(doc => doc.title).join('\n'));
   const [isEditing, setIsEditing] = useState(false);
+  const [isAppending, setIsAppending] = useState(false);
+  const [appendedText, setAppendedText] = useState('');
+  const [selectedDocument, setSelectedDocument] = useState(null);
+  const [highlightRepresentatives, setHighlightRepresentatives] = useState(false);
   
   // Update editedDocuments when documents change
   useEffect(() => {
-    setEditedDocuments(documents.join('\n'));
+    setEditedDocuments(documents.map(doc => doc.title).join('\n'));
+    setSelectedDocument(null);
   }, [documents]);
   
-  const toggleTopic = (topicId) => {
-    setExpandedTopics(prev => {
-      const newSet = new Set(prev);
-      if (newSet.has(topicId)) {
-        newSet.delete(topicId);
-      } else {
-        newSet.add(topicId);
-      }
-      return newSet;
-    });
-  };
-  
-  // Calculate fixed axis ranges based on all data points
-  const allX = coordinates.map(coord => coord[0]);
-  const allY = coordinates.map(coord => coord[1]);
-  const xMin = Math.min(...allX);
-  const xMax = Math.max(...allX);
-  const yMin = Math.min(...allY);
-  const yMax = Math.max(...allY);
-  
-  // Add 10% padding to the ranges
-  const xPadding = (xMax - xMin) * 0.1;
-  const yPadding = (yMax - yMin) * 0.1;
-  const xRange = [xMin - xPadding, xMax + xPadding];
-  const yRange = [yMin - yPadding, yMax + yPadding];
+  const describedCount = documents.filter(doc => doc.description).length;
+  const { backend: embeddingBackend, variant: embeddingVariant } = resolveEmbeddingBackend(embeddingConfig);
   
-  // Prepare scatter plot data
-  const scatterData = (() => {
-    const uniqueClusters = [...new Set(clusters)].sort((a, b) => {
-      // Sort: put -1 (outliers) at the end, others in ascending order
-      if (a === -1) return 1;
-      if (b === -1) return -1;
-      return a - b;
-    });
-    const colors = generateColors(uniqueClusters.length);
-    
-    return uniqueClusters.map(clusterId => {
-      const clusterIndices = clusters
-        .map((c, idx) => c === clusterId ? idx : -1)
-        .filter(idx => idx !== -1);
-      
-      return {
-        x: clusterIndices.map(idx => coordinates[idx][0]),
-        y: clusterIndices.map(idx => coordinates[idx][1]),
-        text: clusterIndices.map(idx => documents[idx]),
-        mode: 'markers',
-        type: 'scatter',
-        name: topicLabels[clusterId] || `Cluster ${clusterId}`,
-        marker: {
-          size: 16,
-          color: clusterId === -1 ? '#cccccc' : colors[clusterId % colors.length],
-          opacity: 0.7
-        },
-        hovertemplate: '<b>%{text}</b><br>Topic: ' + 
-          (topicLabels[clusterId] || `Cluster ${clusterId}`) + 
-          '<extra></extra>'
-      };
-    });
-  })();
+  const { xRange, yRange } = getTopicMapRanges(coordinates);
+  const scatterData = buildTopicMapTraces(results, { highlightRepresentatives });
   
   const scatterLayout = {
     title: '',
@@ -111,28 +77,6 @@ function Visualizations({ results, onReprocess, isProcessing, progress, clusteri
     margin: window.innerWidth < 768 ? { l: 20, r: 20, t: 20, b: 100 } : { l: 80, r: 80, t: 100, b: 80 }
   };
   
-  // Prepare topic keywords table
-  const topicKeywordsData = Object.entries(topics)
-    .filter(([clusterId]) => clusterId !== '-1')
-    .map(([clusterId, keywords]) => ({
-      id: clusterId,
-      label: topicLabels[clusterId] || `Topic ${clusterId}`,
-      keywords: keywords.slice(0, 10).map(k => k.term).join(', '),
-      count: clusters.filter(c => c === parseInt(clusterId)).length,
-      documents: clusters
-        .map((c, idx) => c === parseInt(clusterId) ? documents[idx] : null)
-        .filter(doc => doc !== null)
-    }))
-    .sort((a, b) => b.count - a.count);
-  
-  // Prepare outliers data separately
-  const outliersCount = clusters.filter(c => c === -1).length;
-  const outlierDocuments = clusters
-    .map((c, idx) => c === -1 ? documents[idx] : null)
-    .filter(doc => doc !== null);
-  
-  const hasOutliers = outliersCount > 0;
-  
   return (
     <>
       <div className="stats">
@@ -145,11 +89,32 @@ function Visualizations({ results, onReprocess, isProcessing, progress, clusteri
           <span className="stat-value">{Object.keys(topics).filter(k => k !== '-1').length}</span>
         </div>
         <div className="stat-item">
-          <span className="stat-label">Outliers:</span>
+          <span className="stat-label">{topicLabels[-1] || 'Outliers'}:</span>
           <span className="stat-value">{clusters.filter(c => c === -1).length}</span>
         </div>
+        {results.outlierReduction && (
+          <div className="stat-item" title={`Outliers moved into topics by ${results.outlierReduction.strategy}`}>
+            <span className="stat-label">Reassigned:</span>
+            <span className="stat-value">{results.outlierReduction.moved}</span>
+          </div>
+        )}
       </div>
 
+      {results.appended && (
+        <div className="append-notice">
+          <span>
+            {results.appended.length} document{results.appended.length === 1 ? ' was' : 's were'} added to the map
+            without refitting; they are outlined on the map. Changing a setting below refits the map over all
+            documents and starts topic edits over.
+          </span>
+          <button className="button" onClick={() => onReprocess(documents)} disabled={isProcessing}>
+            Refit Map
+          </button>
+        </div>
+      )}
+
+      <ClusterQuality quality={quality} parameterSearch={parameterSearch} />
+
       <div className="raw-data-section">
         <div 
           className="raw-data-header"
@@ -167,27 +132,53 @@ function Visualizations({ results, onReprocess, isProcessing, progress, clusteri
                     ✏️ Edit Mode - Modify documents below (one per line)
                   </div>
                   <div className="clustering-method-selector">
-                    <label className="clustering-label">Clustering Method:</label>
+                    <label className="clustering-label">Embedding Model:</label>
+                    <select
+                      className="settings-select"
+                      value={embeddingBackend.id}
+                      onChange={(e) => setEmbeddingConfig({ backend: e.target.value, variant: null })}
+                      disabled={isProcessing}
+                    >
+                      {Object.values(EMBEDDING_BACKENDS).map(backend => (
+                        <option key={backend.id} value={backend.id}>{backend.name}</option>
+                      ))}
+                    </select>
+                    {embeddingBackend.variants.length > 0 && (
+                      <select
+                        className="settings-select"
+                        value={embeddingVariant}
+                        onChange={(e) => setEmbeddingConfig({ ...embeddingConfig, variant: e.target.value })}
+                        disabled={isProcessing}
+                      >
+                        {embeddingBackend.variants.map(variant => (
+                          <option key={variant.id} value={variant.id}>{variant.label}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  <EmbeddingCacheStatus refreshKey={results} disabled={isProcessing} />
+                  <div className="clustering-method-selector">
+                    <label className="clustering-label">Embedded Text:</label>
                     <div className="radio-group-inline">
                       <label className="radio-label-inline">
                         <input
                           type="radio"
-                          value="kmeans"
-                          checked={clusteringMethod === 'kmeans'}
-                          onChange={(e) => setClusteringMethod(e.target.value)}
+                          value={TEXT_MODES.TITLE}
+                          checked={textMode === TEXT_MODES.TITLE}
+                          onChange={(e) => setTextMode(e.target.value)}
                           disabled={isProcessing}
                         />
-                        <span>K-Means</span>
+                        <span>Title</span>
                       </label>
                       <label className="radio-label-inline">
                         <input
                           type="radio"
-                          value="dbscan"
-                          checked={clusteringMethod === 'dbscan'}
-                          onChange={(e) => setClusteringMethod(e.target.value)}
-                          disabled={isProcessing}
+                          value={TEXT_MODES.TITLE_DESCRIPTION}
+                          checked={textMode === TEXT_MODES.TITLE_DESCRIPTION}
+                          onChange={(e) => setTextMode(e.target.value)}
+                          disabled={isProcessing || describedCount === 0}
                         />
-                        <span>DBSCAN</span>
+                        <span>Title + Description ({describedCount} with descriptions)</span>
                       </label>
                     </div>
                   </div>
@@ -198,8 +189,23 @@ function Visualizations({ results, onReprocess, isProcessing, progress, clusteri
                     placeholder="Enter one document per line..."
                   />
                 </>
+              ) : isAppending ? (
+                <>
+                  <div className="edit-mode-indicator">
+                    ➕ Append Mode - Enter new documents (one per line); the current map is kept
+                  </div>
+                  <textarea
+                    className="raw-data-editor"
+                    value={appendedText}
+                    onChange={(e) => setAppendedText(e.target.value)}
+                    placeholder="Enter one new document per line..."
+                  />
+                </>
               ) : (
-                <pre>{documents.join('\n')}</pre>
+                <>
+                  <FileImport onLoad={onFileLoad} disabled={isProcessing} />
+                  <pre>{documents.map(doc => doc.title).join('\n')}</pre>
+                </>
               )}
             </div>
             <div className="raw-data-actions">
@@ -213,7 +219,7 @@ function Visualizations({ results, onReprocess, isProcessing, progress, clusteri
                         .map(line => line.trim())
                         .filter(line => line.length > 0);
                       if (newDocs.length > 0) {
-                        onReprocess(newDocs);
+                        onReprocess(reconcileDocuments(newDocs, documents));
                         setIsEditing(false);
                       } else {
                         alert('Please enter at least one document');
@@ -233,7 +239,7 @@ function Visualizations({ results, onReprocess, isProcessing, progress, clusteri
                   <button 
                     className="button button-secondary"
                     onClick={() => {
-                      setEditedDocuments(documents.join('\n'));
+                      setEditedDocuments(documents.map(doc => doc.title).join('\n'));
                       setIsEditing(false);
                     }}
                     disabled={isProcessing}
@@ -241,21 +247,126 @@ function Visualizations({ results, onReprocess, isProcessing, progress, clusteri
                     Cancel
                   </button>
                 </>
+              ) : isAppending ? (
+                <>
+                  <button 
+                    className="button button-primary"
+                    onClick={() => {
+                      const newDocs = appendedText
+                        .split('\n')
+                        .map(line => line.trim())
+                        .filter(line => line.length > 0);
+                      if (newDocs.length > 0) {
+                        onAppend(toDocuments(newDocs, { source: 'Added' }));
+                        setAppendedText('');
+                        setIsAppending(false);
+                      } else {
+                        alert('Please enter at least one document');
+                      }
+                    }}
+                    disabled={isProcessing}
+                  >
+                    Add to Map
+                  </button>
+                  <button 
+                    className="button button-secondary"
+                    onClick={() => setIsAppending(false)}
+                    disabled={isProcessing}
+                  >
+                    Cancel
+                  </button>
+                </>
               ) : (
-                <button 
-                  className="button button-primary"
-                  onClick={() => setIsEditing(true)}
-                  disabled={isProcessing}
-                >
-                  Edit Documents
-                </button>
+                <>
+                  <button 
+                    className="button button-primary"
+                    onClick={() => setIsEditing(true)}
+                    disabled={isProcessing}
+                  >
+                    Edit Documents
+                  </button>
+                  <button 
+                    className="button button-secondary"
+                    onClick={() => setIsAppending(true)}
+                    disabled={isProcessing || coordinates.length < 2}
+                    title="Embed only the new documents and place them on the current map"
+                  >
+                    Append Documents
+                  </button>
+                </>
               )}
             </div>
           </>
         )}
       </div>
+
+      <SeedTopics
+        settings={seedSettings}
+        onChange={setSeedSettings}
+        seedTopics={results.seedTopics}
+        disabled={isProcessing}
+      />
+
+      <KeywordSettings
+        settings={tokenizerSettings}
+        onChange={setTokenizerSettings}
+        rerankSettings={rerankSettings}
+        onRerankChange={setRerankSettings}
+        disabled={isProcessing}
+      />
+
+      <LLMLabels
+        settings={llmSettings}
+        onChange={setLLMSettings}
+        rememberApiKey={rememberApiKey}
+        onRememberApiKeyChange={setRememberApiKey}
+        llmLabels={results.llmLabels}
+        topicCount={Object.keys(topics).length}
+        disabled={isProcessing}
+      />
       
       <div style={{ width: window.innerWidth < 768 ? '100%' : '90%', margin: '0 auto' }}>
+        <ClusteringControls
+          settings={clusteringSettings}
+          onChange={setClusteringSettings}
+          outlierSettings={outlierSettings}
+          onOutlierChange={setOutlierSettings}
+          outlierReduction={results.outlierReduction}
+          disabled={coordinates.length === 0}
+        />
+        {clusteringSettings.method === 'zeroshot' && (
+          <ZeroShotCategories
+            settings={classificationSettings}
+            onChange={setClassificationSettings}
+            classification={results.classification}
+            clusters={clusters}
+            disabled={isProcessing}
+          />
+        )}
+        <div className="map-options">
+          <label title="Rotate, mirror and scale each new map onto the last one through the documents both share">
+            <input
+              type="checkbox"
+              checked={layoutSettings.enabled}
+              onChange={(e) => setLayoutSettings({ ...layoutSettings, enabled: e.target.checked })}
+            />
+            Align to previous map
+          </label>
+          {layoutSettings.enabled && results.alignment && (
+            <span className="map-options-status">
+              Aligned on {results.alignment.shared} shared documents
+              {results.alignment.reflected ? ' (mirrored)' : ''}; {results.alignment.matchedTopics} topics kept their colors
+            </span>
+          )}
+          <label title="Draw the documents closest to each topic's center larger">
+            <input
+              type="checkbox"
+              checked={highlightRepresentatives}
+              onChange={(e) => setHighlightRepresentatives(e.target.checked)}
+            />
+            Highlight representative documents
+          </label>
+        </div>
         <Plot
           data={scatterData}
           layout={scatterLayout}
@@ -266,114 +377,82 @@ function Visualizations({ results, onReprocess, isProcessing, progress, clusteri
             displaylogo: false
           }}
           style={{ width: '100%' }}
+          onClick={(event) => {
+            const point = event.points && event.points[0];
+            if (point && point.customdata !== undefined) {
+              setSelectedDocument(point.customdata);
+            }
+          }}
         />
-      </div>
-      
-      <div className="keywords-table">
-        <table>
-          <thead>
-            <tr>
-              <th>Topic</th>
-              <th>Documents</th>
-              <th>Top Keywords</th>
-            </tr>
-          </thead>
-          <tbody>
-            {topicKeywordsData.map(topic => (
-              <React.Fragment key={topic.id}>
-                <tr 
-                  onClick={() => toggleTopic(topic.id)}
-                  style={{ cursor: 'pointer' }}
-                  className={expandedTopics.has(topic.id) ? 'expanded' : ''}
-                >
-                  <td>
-                    <strong>
-                      <span style={{ marginRight: '8px' }}>
-                        {expandedTopics.has(topic.id) ? '▼' : '▶'}
-                      </span>
-                      {topic.label}
-                    </strong>
-                  </td>
-                  <td>{topic.count}</td>
-                  <td>{topic.keywords}</td>
-                </tr>
-                {expandedTopics.has(topic.id) && (
-                  <tr className="documents-row">
-                    <td colSpan="3">
-                      <div className="documents-list">
-                        <ul>
-                          {topic.documents.map((doc, idx) => (
-                            <li key={idx}>{doc}</li>
-                          ))}
-                        </ul>
-                      </div>
-                    </td>
-                  </tr>
-                )}
-              </React.Fragment>
-            ))}
-            {hasOutliers && (
-              <React.Fragment key="outliers">
-                <tr 
-                  onClick={() => toggleTopic('outliers')}
-                  style={{ cursor: 'pointer', backgroundColor: '#f9f9f9' }}
-                  className={expandedTopics.has('outliers') ? 'expanded' : ''}
+        {selectedDocument !== null && documents[selectedDocument] && (
+          <div className="document-details">
+            <button
+              className="document-details-close"
+              onClick={() => setSelectedDocument(null)}
+              aria-label="Close"
+            >
+              ×
+            </button>
+            <DocumentEntry doc={documents[selectedDocument]} showDescription />
+            <div className="document-meta">
+              Topic: {topicLabels[clusters[selectedDocument]] || `Cluster ${clusters[selectedDocument]}`}
+            </div>
+            {curation && (
+              <label className="document-meta">
+                Move to{' '}
+                <select
+                  value={clusters[selectedDocument]}
+                  onChange={(e) => curation.move([selectedDocument], parseInt(e.target.value, 10))}
+                  disabled={isProcessing}
                 >
-                  <td>
-                    <strong>
-                      <span style={{ marginRight: '8px' }}>
-                        {expandedTopics.has('outliers') ? '▼' : '▶'}
-                      </span>
-                      Outliers
-                    </strong>
-                  </td>
-                  <td>{outliersCount}</td>
-                  <td style={{ fontStyle: 'italic', color: '#666' }}>
-                    Documents that don't fit well into any topic
-                  </td>
-                </tr>
-                {expandedTopics.has('outliers') && (
-                  <tr className="documents-row">
-                    <td colSpan="3">
-                      <div className="documents-list">
-                        <ul>
-                          {outlierDocuments.map((doc, idx) => (
-                            <li key={idx}>{doc}</li>
-                          ))}
-                        </ul>
-                      </div>
-                    </td>
-                  </tr>
-                )}
-              </React.Fragment>
+                  {Object.keys(topics).filter(id => id !== '-1').map(id => (
+                    <option key={id} value={id}>{topicLabels[id] || `Topic ${id}`}</option>
+                  ))}
+                  <option value={-1}>{topicLabels[-1] || 'Outliers'}</option>
+                </select>
+              </label>
             )}
-          </tbody>
-        </table>
+          </div>
+        )}
+        <TopicHierarchy
+          topicHierarchy={results.topicHierarchy}
+          clusters={clusters}
+          colorSlots={results.colorSlots}
+          settings={hierarchySettings}
+          onChange={setHierarchySettings}
+          disabled={coordinates.length === 0}
+        />
+        <TopicsOverTime
+          documents={documents}
+          texts={results.texts}
+          clusters={clusters}
+          topicLabels={topicLabels}
+          colorSlots={results.colorSlots}
+          tokenizer={results.tokenizer}
+        />
       </div>
+      
+      <TopicTable
+        documents={documents}
+        clusters={clusters}
+        topics={topics}
+        topicLabels={topicLabels}
+        keywordLabels={results.keywordLabels}
+        topicDescriptions={results.topicDescriptions}
+        seedTopics={results.seedTopics}
+        representativeDocuments={results.representativeDocuments}
+        curation={curation}
+        disabled={isProcessing}
+      />
+
+      <ParameterSweep
+        method={clusteringSettings.method}
+        onSweep={onSweep}
+        onCancel={onCancelSweep}
+        disabled={isProcessing}
+      />
     </>
   );
 }
 
-function generateColors(count) {
-  const colors = [
-    '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
-    '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf',
-    '#aec7e8', '#ffbb78', '#98df8a', '#ff9896', '#c5b0d5',
-    '#c49c94', '#f7b6d2', '#c7c7c7', '#dbdb8d', '#9edae5'
-  ];
-  
-  if (count <= colors.length) {
-    return colors.slice(0, count);
-  }
-  
-  // Generate more colors if needed
-  const additionalColors = [];
-  for (let i = 0; i < count - colors.length; i++) {
-    const hue = (i * 137.508) % 360; // Golden angle
-    additionalColors.push(`hsl(${hue}, 70%, 50%)`);
-  }
-  
-  return [...colors, ...additionalColors];
-}
-
 export default Visualizations;
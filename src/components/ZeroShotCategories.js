@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { parseCategories, formatCategories } from '../utils/classification';
+import './ZeroShotCategories.css';
+
+// Categories for the zero-shot mode. Applying them re-runs classification and keywords only;
+// embeddings and the map are reused.
+function ZeroShotCategories({ settings, onChange, classification, clusters, disabled }) {
+  const [draft, setDraft] = useState(formatCategories(settings.categories));
+  const [threshold, setThreshold] = useState(String(settings.threshold));
+
+  useEffect(() => {
+    setDraft(formatCategories(settings.categories));
+    setThreshold(String(settings.threshold));
+  }, [settings]);
+
+  const parsed = parseCategories(draft);
+  const parsedThreshold = parseFloat(threshold);
+  const invalidThreshold = !Number.isFinite(parsedThreshold) || parsedThreshold < 0 || parsedThreshold > 1;
+  const isApplied = formatCategories(parsed) === formatCategories(settings.categories) && parsedThreshold === settings.threshold;
+  const unassigned = classification ? clusters.filter(c => c === -1).length : 0;
+
+  return (
+    <div className="zero-shot-categories">
+      <label className="clustering-label" htmlFor="zero-shot-categories">
+        Categories, one per line as <code>Name: description</code> (description optional)
+      </label>
+      <textarea
+        id="zero-shot-categories"
+        className="zero-shot-editor"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        disabled={disabled}
+      />
+      <div className="zero-shot-actions">
+        <label className="zero-shot-threshold" title="Documents less similar than this to every category stay unassigned">
+          Min similarity
+          <input
+            type="number"
+            value={threshold}
+            min={0}
+            max={1}
+            step={0.05}
+            onChange={(e) => setThreshold(e.target.value)}
+            disabled={disabled}
+          />
+        </label>
+        <button
+          className="button button-primary"
+          onClick={() => onChange({ ...settings, categories: parsed, threshold: parsedThreshold })}
+          disabled={disabled || invalidThreshold || isApplied || parsed.length === 0}
+        >
+          Apply
+        </button>
+        <span className="zero-shot-status">
+          {invalidThreshold && 'Min similarity must be between 0 and 1'}
+          {!invalidThreshold && parsed.length === 0 && 'Add at least one category'}
+          {!invalidThreshold && parsed.length > 0 && classification &&
+            `${clusters.length - unassigned} of ${clusters.length} documents assigned, ${unassigned} unassigned`}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default ZeroShotCategories;
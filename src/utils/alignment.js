@@ -0,0 +1,229 @@
+// Keep the topic map steady between runs. UMAP layouts of overlapping document sets come out rotated,
+// mirrored or scaled; Procrustes analysis on the documents both runs share maps the new layout onto the
+// previous one. Topics are matched by shared documents so they keep their colors.
+
+// Fewer shared documents than this can't pin down a rotation reliably
+const MIN_SHARED_DOCUMENTS = 3;
+
+const STORAGE_KEY = 'documentTopicMap.layout';
+
+/**
+ * @typedef {Object} LayoutReference - What's kept of a map to align the next one to
+ * @property {string[]} ids - Document ids
+ * @property {number[][]} coordinates
+ * @property {number[]} clusters
+ * @property {Object<number, number>} colorSlots - Palette index per topic id
+ */
+
+/**
+ * @param {Object} results - Pipeline results, possibly aligned
+ * @returns {LayoutReference}
+ */
+export function createLayoutReference(results) {
+  return {
+    ids: results.documents.map(doc => doc.id),
+    coordinates: results.coordinates,
+    clusters: results.clusters,
+    colorSlots: results.colorSlots || defaultColorSlots(results.clusters)
+  };
+}
+
+/**
+ * Similarity transform (rotation or reflection, uniform scale, translation) that best maps source
+ * points onto their target counterparts in the least-squares sense
+ * @param {number[][]} source - 2D points
+ * @param {number[][]} target - 2D points, same length and order
+ * @returns {{matrix: number[][], scale: number, translation: number[], reflected: boolean, rmsd: number}}
+ */
+export function procrustes(source, target) {
+  const n = source.length;
+  const sourceMean = mean2D(source);
+  const targetMean = mean2D(target);
+  const a = source.map(([x, y]) => [x - sourceMean[0], y - sourceMean[1]]);
+  const b = target.map(([x, y]) => [x - targetMean[0], y - targetMean[1]]);
+
+  // In 2D the optimal rotation has a closed form; a reflection is a rotation of the mirrored points
+  const fit = (reflect) => {
+    let dot = 0;
+    let cross = 0;
+    let norm = 0;
+    a.forEach(([x0, y], i) => {
+      const x = reflect ? -x0 : x0;
+      dot += x * b[i][0] + y * b[i][1];
+      cross += x * b[i][1] - y * b[i][0];
+      norm += x * x + y * y;
+    });
+    const angle = Math.atan2(cross, dot);
+    const scale = norm > 0 ? Math.hypot(dot, cross) / norm : 1;
+    const cos = Math.cos(angle) * scale;
+    const sin = Math.sin(angle) * scale;
+    // Mirroring flips the sign of the x column
+    const sign = reflect ? -1 : 1;
+    return { matrix: [[sign * cos, -sin], [sign * sin, cos]], scale, reflected: reflect };
+  };
+
+  const residual = ({ matrix }) => a.reduce((sum, [x, y], i) => {
+    const dx = matrix[0][0] * x + matrix[0][1] * y - b[i][0];
+    const dy = matrix[1][0] * x + matrix[1][1] * y - b[i][1];
+    return sum + dx * dx + dy * dy;
+  }, 0);
+
+  const rotated = fit(false);
+  const mirrored = fit(true);
+  const best = residual(mirrored) < residual(rotated) ? mirrored : rotated;
+  const { matrix } = best;
+
+  return {
+    ...best,
+    translation: [
+      targetMean[0] - (matrix[0][0] * sourceMean[0] + matrix[0][1] * sourceMean[1]),
+      targetMean[1] - (matrix[1][0] * sourceMean[0] + matrix[1][1] * sourceMean[1])
+    ],
+    rmsd: n > 0 ? Math.sqrt(residual(best) / n) : 0
+  };
+}
+
+/**
+ * Apply a transform from procrustes to points
+ * @param {number[][]} points
+ * @param {{matrix: number[][], translation: number[]}} transform
+ * @returns {number[][]}
+ */
+export function applyTransform(points, { matrix, translation }) {
+  return points.map(([x, y]) => [
+    matrix[0][0] * x + matrix[0][1] * y + translation[0],
+    matrix[1][0] * x + matrix[1][1] * y + translation[1]
+  ]);
+}
+
+/**
+ * Give each topic the palette slot of the previous topic it shares the most documents with
+ * Pairs are matched greedily by overlap, one to one; unmatched topics take the lowest free slots.
+ * @param {number[]} clusters - New topics per document
+ * @param {string[]} ids - New document ids
+ * @param {LayoutReference} reference
+ * @returns {{colorSlots: Object<number, number>, matched: number}}
+ */
+export function matchTopicColors(clusters, ids, reference) {
+  const previousTopic = new Map();
+  reference.ids.forEach((id, idx) => previousTopic.set(id, reference.clusters[idx]));
+
+  const overlaps = new Map();
+  clusters.forEach((clusterId, idx) => {
+    const previous = previousTopic.get(ids[idx]);
+    if (clusterId === -1 || previous === undefined || previous === -1) return;
+    const key = `${clusterId}|${previous}`;
+    overlaps.set(key, (overlaps.get(key) || 0) + 1);
+  });
+
+  const colorSlots = {};
+  const usedSlots = new Set();
+  const matchedPrevious = new Set();
+  [...overlaps.entries()]
+    .sort((x, y) => y[1] - x[1])
+    .forEach(([key]) => {
+      const [clusterId, previous] = key.split('|').map(Number);
+      const slot = reference.colorSlots[previous];
+      if (clusterId in colorSlots || matchedPrevious.has(previous) || slot === undefined || usedSlots.has(slot)) return;
+      colorSlots[clusterId] = slot;
+      usedSlots.add(slot);
+      matchedPrevious.add(previous);
+    });
+
+  const matched = Object.keys(colorSlots).length;
+  let nextSlot = 0;
+  [...new Set(clusters)].filter(c => c !== -1).sort((x, y) => x - y).forEach(clusterId => {
+    if (clusterId in colorSlots) return;
+    while (usedSlots.has(nextSlot)) nextSlot++;
+    colorSlots[clusterId] = nextSlot;
+    usedSlots.add(nextSlot);
+  });
+
+  return { colorSlots, matched };
+}
+
+/**
+ * Align new results to a previous map: Procrustes on the shared documents' coordinates, and topic colors
+ * carried over by shared membership
+ * @param {Object} results - Pipeline results
+ * @param {LayoutReference|null} reference
+ * @returns {Object} - results with coordinates and colorSlots replaced, and alignment set to null (nothing to
+ *   align to) or { shared, reflected, scale, rmsd, matchedTopics, transform }
+ */
+export function alignResults(results, reference) {
+  if (!reference) return { ...results, alignment: null };
+
+  const ids = results.documents.map(doc => doc.id);
+  const previousIndex = new Map(reference.ids.map((id, idx) => [id, idx]));
+  const pairs = ids
+    .map((id, idx) => [idx, previousIndex.get(id)])
+    .filter(([, previous]) => previous !== undefined);
+
+  const { colorSlots, matched } = matchTopicColors(results.clusters, ids, reference);
+  if (pairs.length < MIN_SHARED_DOCUMENTS) {
+    return { ...results, colorSlots, alignment: null };
+  }
+
+  const transform = procrustes(
+    pairs.map(([idx]) => results.coordinates[idx]),
+    pairs.map(([, previous]) => reference.coordinates[previous])
+  );
+  console.log(`✓ Aligned layout on ${pairs.length} shared documents${transform.reflected ? ' (mirrored)' : ''}, ` +
+    `${matched} topics kept their colors`);
+
+  return {
+    ...results,
+    coordinates: applyTransform(results.coordinates, transform),
+    colorSlots,
+    alignment: {
+      shared: pairs.length,
+      reflected: transform.reflected,
+      scale: transform.scale,
+      rmsd: transform.rmsd,
+      matchedTopics: matched,
+      transform: { matrix: transform.matrix, translation: transform.translation }
+    }
+  };
+}
+
+/**
+ * Load the alignment option and the last map from localStorage; aligning is on by default
+ * @returns {{enabled: boolean, reference: LayoutReference|null}}
+ */
+export function loadLayoutSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && typeof stored.enabled === 'boolean') {
+      const { reference } = stored;
+      return {
+        enabled: stored.enabled,
+        reference: reference && Array.isArray(reference.ids) && Array.isArray(reference.coordinates) ? reference : null
+      };
+    }
+  } catch (err) {
+    console.warn('Could not read the saved layout:', err.message);
+  }
+  return { enabled: true, reference: null };
+}
+
+export function saveLayoutSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save the layout:', err.message);
+  }
+}
+
+// Palette slot per topic when nothing was matched: the topic id, as the map colors topics by default
+function defaultColorSlots(clusters) {
+  const slots = {};
+  clusters.forEach(clusterId => {
+    if (clusterId !== -1) slots[clusterId] = clusterId;
+  });
+  return slots;
+}
+
+function mean2D(points) {
+  const sum = points.reduce((acc, [x, y]) => [acc[0] + x, acc[1] + y], [0, 0]);
+  return points.length > 0 ? [sum[0] / points.length, sum[1] / points.length] : [0, 0];
+}
@@ -0,0 +1,102 @@
+import { procrustes, applyTransform, matchTopicColors, alignResults, createLayoutReference } from './alignment';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+const source = [[0, 0], [2, 0], [2, 1], [0, 3], [-1, 1]];
+
+// Rotate by angle, optionally mirror x first, scale, then translate
+function similarity(points, { angle, scale, translation, mirror = false }) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map(([x0, y]) => {
+    const x = mirror ? -x0 : x0;
+    return [scale * (cos * x - sin * y) + translation[0], scale * (sin * x + cos * y) + translation[1]];
+  });
+}
+
+function expectPointsClose(actual, expected) {
+  actual.forEach((point, i) => {
+    expect(point[0]).toBeCloseTo(expected[i][0], 6);
+    expect(point[1]).toBeCloseTo(expected[i][1], 6);
+  });
+}
+
+describe('procrustes', () => {
+  it('recovers a rotation, scale and translation', () => {
+    const target = similarity(source, { angle: 1.2, scale: 2.5, translation: [10, -4] });
+    const transform = procrustes(source, target);
+    expect(transform.reflected).toBe(false);
+    expect(transform.scale).toBeCloseTo(2.5, 6);
+    expect(transform.rmsd).toBeCloseTo(0, 6);
+    expectPointsClose(applyTransform(source, transform), target);
+  });
+
+  it('recovers a reflection', () => {
+    const target = similarity(source, { angle: -0.4, scale: 0.5, translation: [1, 1], mirror: true });
+    const transform = procrustes(source, target);
+    expect(transform.reflected).toBe(true);
+    expect(transform.scale).toBeCloseTo(0.5, 6);
+    expectPointsClose(applyTransform(source, transform), target);
+  });
+
+  it('reports the remaining error for noisy targets', () => {
+    const target = source.map(([x, y], i) => [x + (i % 2 ? 0.1 : -0.1), y]);
+    expect(procrustes(source, target).rmsd).toBeGreaterThan(0);
+  });
+});
+
+describe('matchTopicColors', () => {
+  const reference = { ids: ['a', 'b', 'c', 'd', 'e'], clusters: [0, 0, 1, 1, -1], colorSlots: { 0: 4, 1: 7 } };
+
+  it('gives topics the slot of the previous topic they share most documents with', () => {
+    // New topic 5 holds what was topic 1, new topic 2 what was topic 0, topic 9 is new
+    const { colorSlots, matched } = matchTopicColors([2, 2, 5, 5, 9, -1], ['a', 'b', 'c', 'd', 'x', 'e'], reference);
+    expect(colorSlots).toEqual({ 2: 4, 5: 7, 9: 0 });
+    expect(matched).toBe(2);
+  });
+
+  it('matches each previous topic only once', () => {
+    // Topics 0 and 1 both come from previous topic 0; the larger overlap wins its slot
+    const { colorSlots } = matchTopicColors([0, 0, 1], ['a', 'b', 'c'], { ...reference, clusters: [0, 0, 0, 1, -1] });
+    expect(colorSlots).toEqual({ 0: 4, 1: 0 });
+  });
+});
+
+describe('alignResults', () => {
+  const makeResults = (ids, coordinates, clusters) => ({
+    documents: ids.map(id => ({ id, title: id })),
+    coordinates,
+    clusters
+  });
+
+  it('maps a rotated, mirrored layout back onto the previous map', () => {
+    const ids = ['a', 'b', 'c', 'd', 'e'];
+    const previous = makeResults(ids, source, [0, 0, 1, 1, 1]);
+    const moved = similarity(source, { angle: 2, scale: 3, translation: [5, 5], mirror: true });
+    const aligned = alignResults(makeResults(ids, moved, [1, 1, 0, 0, 0]), createLayoutReference(previous));
+
+    expectPointsClose(aligned.coordinates, source);
+    expect(aligned.alignment).toMatchObject({ shared: 5, reflected: true, matchedTopics: 2 });
+    expect(aligned.colorSlots).toEqual({ 0: 1, 1: 0 });
+  });
+
+  it('only matches colors when too few documents are shared', () => {
+    const previous = makeResults(['a', 'b', 'c'], [[0, 0], [1, 0], [0, 1]], [0, 0, 1]);
+    const results = makeResults(['a', 'b', 'z'], [[5, 5], [6, 5], [5, 6]], [3, 3, 4]);
+    const aligned = alignResults(results, createLayoutReference(previous));
+    expect(aligned.coordinates).toBe(results.coordinates);
+    expect(aligned.alignment).toBeNull();
+    expect(aligned.colorSlots).toEqual({ 3: 0, 4: 1 });
+  });
+
+  it('leaves results as they are without a reference', () => {
+    const results = makeResults(['a'], [[1, 1]], [0]);
+    expect(alignResults(results, null)).toEqual({ ...results, alignment: null });
+  });
+});
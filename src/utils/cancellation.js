@@ -0,0 +1,26 @@
+// Cooperative cancellation for long-running work
+// Long loops check an AbortSignal at safe points and stop by throwing a CancelledError
+
+/**
+ * Thrown when work is stopped through its AbortSignal
+ */
+export class CancelledError extends Error {
+  constructor(message = 'Processing cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Throw a CancelledError if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError();
+  }
+}
+
+export function isCancelledError(err) {
+  return err instanceof CancelledError || (err && err.name === 'CancelledError');
+}
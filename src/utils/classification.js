@@ -0,0 +1,90 @@
+// Zero-shot classification: sort documents into fixed, user-defined categories instead of clustering.
+// Each category's name and description are embedded with the documents' model; a document goes to the
+// most similar category, or stays unassigned (-1) when no category reaches the threshold.
+
+import { cosineDistance } from './distance';
+
+export const UNASSIGNED_LABEL = 'Unassigned';
+
+// threshold: minimum cosine similarity between a document and its category
+export const DEFAULT_CLASSIFICATION_SETTINGS = {
+  categories: [
+    { name: 'Politics', description: 'government, elections, parliament, policy, diplomacy' },
+    { name: 'Business', description: 'companies, markets, economy, finance, trade' },
+    { name: 'Science', description: 'research, discoveries, space, climate, biology' },
+    { name: 'Technology', description: 'software, artificial intelligence, gadgets, internet' },
+    { name: 'Health', description: 'medicine, disease, hospitals, public health' },
+    { name: 'Sports', description: 'football, matches, athletes, tournaments' },
+    { name: 'Culture', description: 'film, music, books, art, celebrities' }
+  ],
+  threshold: 0.2
+};
+
+/**
+ * Parse categories written one per line as "Name: description" (the description is optional)
+ * Blank lines and lines starting with # are skipped.
+ * @param {string} text
+ * @returns {{name: string, description: string}[]}
+ */
+export function parseCategories(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const colon = line.indexOf(':');
+      return colon === -1
+        ? { name: line, description: '' }
+        : { name: line.slice(0, colon).trim(), description: line.slice(colon + 1).trim() };
+    })
+    .filter(category => category.name);
+}
+
+/**
+ * Inverse of parseCategories
+ * @param {{name: string, description: string}[]} categories
+ * @returns {string}
+ */
+export function formatCategories(categories) {
+  return categories
+    .map(({ name, description }) => description ? `${name}: ${description}` : name)
+    .join('\n');
+}
+
+/**
+ * Text embedded for a category: its name, then its description
+ * @param {{name: string, description: string}} category
+ * @returns {string}
+ */
+export function getCategoryText(category) {
+  return category.description ? `${category.name}: ${category.description}` : category.name;
+}
+
+/**
+ * Assign every document to its most similar category
+ * @param {number[][]} embeddings - Document embeddings
+ * @param {number[][]} categoryEmbeddings - One per category
+ * @param {number} threshold - Minimum cosine similarity; below it a document is unassigned
+ * @returns {{labels: number[], similarities: number[]}} - Category index per document (-1 = unassigned),
+ *   and the similarity to the best category (assigned or not)
+ */
+export function classifyDocuments(embeddings, categoryEmbeddings, threshold = DEFAULT_CLASSIFICATION_SETTINGS.threshold) {
+  const labels = [];
+  const similarities = [];
+
+  embeddings.forEach(embedding => {
+    let best = -1;
+    let bestSimilarity = -Infinity;
+    categoryEmbeddings.forEach((category, c) => {
+      const similarity = 1 - cosineDistance(embedding, category);
+      if (similarity > bestSimilarity) {
+        best = c;
+        bestSimilarity = similarity;
+      }
+    });
+    labels.push(bestSimilarity >= threshold ? best : -1);
+    similarities.push(bestSimilarity);
+  });
+
+  return { labels, similarities };
+}
@@ -0,0 +1,174 @@
+// Internal clustering quality metrics (no ground truth needed)
+// Noise points (label -1) are left out of every metric, as in scikit-learn usage with HDBSCAN/DBSCAN.
+
+import { METRICS, getDistanceFunction, normalizeVectors, euclideanDistance } from './distance';
+
+// Silhouette is O(n²); larger inputs are scored on a seeded random sample like scikit-learn's sample_size
+const SILHOUETTE_SAMPLE_SIZE = 2000;
+
+/**
+ * Mean silhouette coefficient, from -1 (wrong clusters) to 1 (dense, well separated)
+ * @param {number[][]} points
+ * @param {number[]} labels - Cluster per point, -1 for noise
+ * @param {Object} options - { metric, sampleSize }
+ * @returns {number|null} - null when there are fewer than 2 clusters or every point is its own cluster
+ */
+export function silhouetteScore(points, labels, options = {}) {
+  const { metric = METRICS.EUCLIDEAN, sampleSize = SILHOUETTE_SAMPLE_SIZE } = options;
+  const distance = getDistanceFunction(metric);
+
+  let indices = labels.map((label, idx) => label === -1 ? -1 : idx).filter(idx => idx !== -1);
+  if (indices.length > sampleSize) {
+    indices = seededSample(indices, sampleSize);
+  }
+
+  const clusterIds = [...new Set(indices.map(idx => labels[idx]))];
+  if (clusterIds.length < 2 || clusterIds.length >= indices.length) {
+    return null;
+  }
+
+  const slot = new Map(clusterIds.map((id, i) => [id, i]));
+  const sizes = new Array(clusterIds.length).fill(0);
+  indices.forEach(idx => sizes[slot.get(labels[idx])]++);
+
+  let total = 0;
+  const sums = new Float64Array(clusterIds.length);
+
+  indices.forEach(i => {
+    sums.fill(0);
+    indices.forEach(j => {
+      if (i !== j) sums[slot.get(labels[j])] += distance(points[i], points[j]);
+    });
+
+    const own = slot.get(labels[i]);
+    // A point alone in its cluster scores 0
+    if (sizes[own] === 1) return;
+
+    const a = sums[own] / (sizes[own] - 1);
+    let b = Infinity;
+    for (let c = 0; c < clusterIds.length; c++) {
+      if (c !== own) b = Math.min(b, sums[c] / sizes[c]);
+    }
+    const denominator = Math.max(a, b);
+    total += denominator > 0 ? (b - a) / denominator : 0;
+  });
+
+  return total / indices.length;
+}
+
+/**
+ * Davies–Bouldin index: average similarity of each cluster to its most similar one. Lower is better, 0 is best.
+ * @returns {number|null}
+ */
+export function daviesBouldinIndex(points, labels) {
+  const groups = groupByCluster(points, labels);
+  if (groups.length < 2) return null;
+
+  const centroids = groups.map(group => centroid(group));
+  const scatter = groups.map((group, i) =>
+    group.reduce((sum, point) => sum + euclideanDistance(point, centroids[i]), 0) / group.length
+  );
+
+  let total = 0;
+  for (let i = 0; i < groups.length; i++) {
+    let worst = 0;
+    for (let j = 0; j < groups.length; j++) {
+      if (i === j) continue;
+      const separation = euclideanDistance(centroids[i], centroids[j]);
+      worst = Math.max(worst, separation > 0 ? (scatter[i] + scatter[j]) / separation : Infinity);
+    }
+    total += worst;
+  }
+  return total / groups.length;
+}
+
+/**
+ * Calinski–Harabasz index: between-cluster over within-cluster dispersion. Higher is better.
+ * @returns {number|null}
+ */
+export function calinskiHarabaszIndex(points, labels) {
+  const groups = groupByCluster(points, labels);
+  const n = groups.reduce((sum, group) => sum + group.length, 0);
+  const k = groups.length;
+  if (k < 2 || n <= k) return null;
+
+  const overall = centroid(groups.flat());
+  let between = 0;
+  let within = 0;
+
+  groups.forEach(group => {
+    const center = centroid(group);
+    between += group.length * squaredEuclidean(center, overall);
+    group.forEach(point => {
+      within += squaredEuclidean(point, center);
+    });
+  });
+
+  if (within === 0) return null;
+  return (between / (k - 1)) / (within / (n - k));
+}
+
+/**
+ * All metrics for one clustering run
+ * Davies–Bouldin and Calinski–Harabasz are centroid-based (Euclidean); with the cosine metric
+ * they are computed on unit-length vectors
+ * @param {number[][]} points - The points that were clustered
+ * @param {number[]} labels
+ * @param {Object} options - { metric }
+ * @returns {{silhouette: number|null, daviesBouldin: number|null, calinskiHarabasz: number|null}}
+ */
+export function evaluateClustering(points, labels, options = {}) {
+  const { metric = METRICS.EUCLIDEAN } = options;
+  const centroidPoints = metric === METRICS.COSINE ? normalizeVectors(points) : points;
+
+  return {
+    silhouette: silhouetteScore(points, labels, { metric }),
+    daviesBouldin: daviesBouldinIndex(centroidPoints, labels),
+    calinskiHarabasz: calinskiHarabaszIndex(centroidPoints, labels)
+  };
+}
+
+function groupByCluster(points, labels) {
+  const groups = new Map();
+  labels.forEach((label, idx) => {
+    if (label === -1) return;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(points[idx]);
+  });
+  return [...groups.values()];
+}
+
+function centroid(group) {
+  const center = new Array(group[0].length).fill(0);
+  group.forEach(point => {
+    point.forEach((value, d) => {
+      center[d] += value;
+    });
+  });
+  return center.map(value => value / group.length);
+}
+
+function squaredEuclidean(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+// Deterministic Fisher–Yates sample so scores don't jitter between identical runs
+function seededSample(items, size) {
+  const copy = items.slice();
+  let seed = 42;
+  const random = () => {
+    const x = Math.sin(seed++) * 10000;
+    return x - Math.floor(x);
+  };
+
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (copy.length - i));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy.slice(0, size);
+}
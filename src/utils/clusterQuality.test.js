@@ -0,0 +1,106 @@
+import { silhouetteScore, daviesBouldinIndex, calinskiHarabaszIndex, evaluateClustering } from './clusterQuality';
+import { METRICS } from './distance';
+
+// Two pairs of points on the x axis: {0, 1} and {10, 11}
+const pairs = [[0, 0], [1, 0], [10, 0], [11, 0]];
+const pairLabels = [0, 0, 1, 1];
+
+// Deterministic blob of points within `spread` of a center
+const blob = (cx, cy, count, seed, spread = 1) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return (state / 4294967296 - 0.5) * 2 * spread;
+  };
+  return Array.from({ length: count }, () => [cx + next(), cy + next()]);
+};
+
+const separated = [...blob(0, 0, 30, 1), ...blob(100, 100, 30, 2)];
+const separatedLabels = separated.map((_, i) => (i < 30 ? 0 : 1));
+
+describe('silhouetteScore', () => {
+  it('matches the hand-computed value', () => {
+    // a = 1 for every point; b = 10.5 for the outer points and 9.5 for the inner ones
+    const expected = (9.5 / 10.5 + 8.5 / 9.5) / 2;
+    expect(silhouetteScore(pairs, pairLabels)).toBeCloseTo(expected, 10);
+  });
+
+  it('is close to 1 for well-separated blobs', () => {
+    expect(silhouetteScore(separated, separatedLabels)).toBeGreaterThan(0.95);
+  });
+
+  it('is negative when the labels cut across the blobs', () => {
+    const mixed = separated.map((_, i) => i % 2);
+    expect(silhouetteScore(separated, mixed)).toBeLessThan(0);
+  });
+
+  it('leaves noise out', () => {
+    const points = [...pairs, [5, 0]];
+    expect(silhouetteScore(points, [...pairLabels, -1])).toBeCloseTo(silhouetteScore(pairs, pairLabels), 10);
+  });
+
+  it('returns null for fewer than 2 clusters or all singletons', () => {
+    expect(silhouetteScore(pairs, [0, 0, 0, 0])).toBeNull();
+    expect(silhouetteScore(pairs, [0, 1, 2, 3])).toBeNull();
+    expect(silhouetteScore(pairs, [0, 0, -1, -1])).toBeNull();
+  });
+
+  it('scores a sample of large inputs deterministically', () => {
+    const first = silhouetteScore(separated, separatedLabels, { sampleSize: 20 });
+    expect(first).toBeGreaterThan(0.95);
+    expect(silhouetteScore(separated, separatedLabels, { sampleSize: 20 })).toBe(first);
+  });
+});
+
+describe('daviesBouldinIndex', () => {
+  it('matches the hand-computed value', () => {
+    // Scatter 0.5 in each pair, centroids 10 apart
+    expect(daviesBouldinIndex(pairs, pairLabels)).toBeCloseTo(0.1, 10);
+  });
+
+  it('is small for well-separated blobs and larger when they overlap', () => {
+    const overlapping = [...blob(0, 0, 30, 1), ...blob(1, 1, 30, 2)];
+    const separatedScore = daviesBouldinIndex(separated, separatedLabels);
+    expect(separatedScore).toBeLessThan(0.05);
+    expect(daviesBouldinIndex(overlapping, separatedLabels)).toBeGreaterThan(separatedScore);
+  });
+
+  it('returns null for a single cluster', () => {
+    expect(daviesBouldinIndex(pairs, [0, 0, 0, -1])).toBeNull();
+  });
+});
+
+describe('calinskiHarabaszIndex', () => {
+  it('matches the hand-computed value', () => {
+    // Between-cluster dispersion 100 over 1 degree of freedom, within 1 over 2
+    expect(calinskiHarabaszIndex(pairs, pairLabels)).toBeCloseTo(200, 10);
+  });
+
+  it('is large for well-separated blobs', () => {
+    expect(calinskiHarabaszIndex(separated, separatedLabels)).toBeGreaterThan(1000);
+  });
+
+  it('returns null for one cluster or zero within-cluster spread', () => {
+    expect(calinskiHarabaszIndex(pairs, [0, 0, 0, 0])).toBeNull();
+    expect(calinskiHarabaszIndex([[0, 0], [0, 0], [5, 5], [5, 5]], pairLabels)).toBeNull();
+  });
+});
+
+describe('evaluateClustering', () => {
+  it('returns every metric for a run', () => {
+    expect(evaluateClustering(pairs, pairLabels)).toEqual({
+      silhouette: silhouetteScore(pairs, pairLabels),
+      daviesBouldin: daviesBouldinIndex(pairs, pairLabels),
+      calinskiHarabasz: calinskiHarabaszIndex(pairs, pairLabels)
+    });
+  });
+
+  it('scores cosine runs on direction only', () => {
+    // Same directions at different lengths: perfect clusters under cosine
+    const points = [[1, 0], [2, 0], [0, 1], [0, 3]];
+    const scores = evaluateClustering(points, pairLabels, { metric: METRICS.COSINE });
+    expect(scores.silhouette).toBeCloseTo(1, 10);
+    expect(scores.daviesBouldin).toBeCloseTo(0, 10);
+    expect(scores.calinskiHarabasz).toBeNull();
+  });
+});
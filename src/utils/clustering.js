@@ -1,23 +1,37 @@
-// K-means clustering as a simpler alternative to HDBSCAN
+// Clustering: K-Means, DBSCAN and HDBSCAN (see hdbscan.js)
+// Points can have any dimensionality (2D map, N-D UMAP, raw embeddings) and a Euclidean or cosine metric.
 import { kmeans } from 'ml-kmeans';
+import { hdbscan } from './hdbscan';
+import { buildKDTree } from './kdTree';
+import { silhouetteScore } from './clusterQuality';
+import { METRICS, getDistanceFunction, normalizeVectors, cosineToChordDistance, chordToCosineDistance } from './distance';
+
+// Silhouette is computed once per candidate, so searches score a smaller sample than single runs
+const SEARCH_SAMPLE_SIZE = 500;
 
 /**
- * Perform K-means clustering on 2D coordinates
- * @param {number[][]} coordinates - 2D coordinates from UMAP
+ * Perform K-means clustering
+ * @param {number[][]} points - Coordinates or embeddings of any dimension
  * @param {number} k - Number of clusters (auto-determined if not provided)
+ * @param {Object} options - { metric: 'euclidean' | 'cosine', seed }; cosine runs on unit-length vectors (spherical K-Means),
+ *   seed fixes the k-means++ initialization
  * @returns {number[]} - Cluster assignments for each point
  */
-export function clusterWithKMeans(coordinates, k = null) {
+export function clusterWithKMeans(points, k = null, options = {}) {
+  const { metric = METRICS.EUCLIDEAN, seed } = options;
+  const coordinates = metric === METRICS.COSINE ? normalizeVectors(points) : points;
+  
   // Auto-determine k using elbow method if not provided
   if (!k) {
-    k = determineOptimalK(coordinates);
+    k = determineOptimalK(coordinates, seed);
   }
   
   console.log(`Running K-means with ${k} clusters...`);
   
   const result = kmeans(coordinates, k, {
     initialization: 'kmeans++',
-    maxIterations: 100
+    maxIterations: 100,
+    seed
   });
   
   console.log('✓ Clustering complete');
@@ -28,7 +42,7 @@ export function clusterWithKMeans(coordinates, k = null) {
  * Determine optimal number of clusters using elbow method
  * Modified to create more granular clusters
  */
-function determineOptimalK(coordinates) {
+function determineOptimalK(coordinates, seed) {
   const n = coordinates.length;
   
   // Rules of thumb for k - adjusted for more granular clustering
@@ -43,7 +57,8 @@ function determineOptimalK(coordinates) {
   for (let k = 2; k <= maxK; k++) {
     const result = kmeans(coordinates, k, { 
       initialization: 'kmeans++',
-      maxIterations: 50 
+      maxIterations: 50,
+      seed
     });
     inertias.push(result.iterations[result.iterations.length - 1].error);
   }
@@ -70,90 +85,78 @@ function determineOptimalK(coordinates) {
 /**
  * Density-based clustering (simplified DBSCAN alternative)
  * More similar to HDBSCAN behavior
+ * @param {number[][]} points - Coordinates or embeddings of any dimension
+ * @param {number} eps - Neighborhood radius in the metric's units (auto-determined if not provided)
+ * @param {number} minPts - Neighbors needed to start a cluster
+ * @param {Object} options - { metric: 'euclidean' | 'cosine' }
  */
-export function clusterWithDBSCAN(coordinates, eps = null, minPts = 2) {
+export function clusterWithDBSCAN(points, eps = null, minPts = 2, options = {}) {
+  const { metric = METRICS.EUCLIDEAN } = options;
+  
+  // The k-d tree is Euclidean; for cosine, search unit vectors with the equivalent chord distance
+  const isCosine = metric === METRICS.COSINE;
+  const coordinates = isCosine ? normalizeVectors(points) : points;
+  
   // Auto-determine eps using k-distance graph if not provided
   if (!eps) {
     eps = determineOptimalEps(coordinates, minPts);
+  } else if (isCosine) {
+    eps = cosineToChordDistance(eps);
   }
   
-  console.log(`Running DBSCAN with eps=${eps}, minPts=${minPts}...`);
+  console.log(`Running DBSCAN with eps=${isCosine ? `${chordToCosineDistance(eps)} (cosine)` : eps}, minPts=${minPts}...`);
+  
+  // Neighbor queries go through a k-d tree instead of an n×n distance matrix
+  const clusters = runDBSCAN(coordinates, buildKDTree(coordinates), eps, minPts);
   
+  console.log(`✓ DBSCAN complete: found ${new Set(clusters.filter(c => c !== -1)).size} clusters`);
+  return clusters;
+}
+
+// Neighborhoods include the point itself, so minPts counts it as in the original DBSCAN
+function runDBSCAN(coordinates, tree, eps, minPts) {
   const n = coordinates.length;
   const clusters = new Array(n).fill(-1); // -1 = noise/outlier
+  const visited = new Uint8Array(n);
   let clusterId = 0;
   
-  // Calculate distance matrix
-  const distances = calculateDistanceMatrix(coordinates);
-  
   for (let i = 0; i < n; i++) {
-    if (clusters[i] !== -1) continue;
+    if (visited[i]) continue;
+    visited[i] = 1;
     
-    const neighbors = findNeighbors(i, distances, eps);
+    const neighbors = tree.radiusSearch(coordinates[i], eps);
     
-    if (neighbors.length < minPts) {
-      clusters[i] = -1; // Mark as noise
-      continue;
-    }
+    // Noise for now; a later cluster may still claim it as a border point
+    if (neighbors.length < minPts) continue;
     
     // Start new cluster
-    expandCluster(i, neighbors, clusterId, clusters, distances, eps, minPts);
+    expandCluster(i, neighbors, clusterId, clusters, visited, coordinates, tree, eps, minPts);
     clusterId++;
   }
   
-  console.log(`✓ DBSCAN complete: found ${clusterId} clusters`);
   return clusters;
 }
 
-function calculateDistanceMatrix(coordinates) {
-  const n = coordinates.length;
-  const distances = Array(n).fill(null).map(() => Array(n).fill(0));
-  
-  for (let i = 0; i < n; i++) {
-    for (let j = i + 1; j < n; j++) {
-      const dist = euclideanDistance(coordinates[i], coordinates[j]);
-      distances[i][j] = dist;
-      distances[j][i] = dist;
-    }
-  }
-  
-  return distances;
-}
-
-function euclideanDistance(point1, point2) {
-  return Math.sqrt(
-    point1.reduce((sum, val, idx) => sum + Math.pow(val - point2[idx], 2), 0)
-  );
-}
-
-function findNeighbors(pointIdx, distances, eps) {
-  const neighbors = [];
-  for (let i = 0; i < distances[pointIdx].length; i++) {
-    if (distances[pointIdx][i] <= eps) {
-      neighbors.push(i);
-    }
-  }
-  return neighbors;
-}
-
-function expandCluster(pointIdx, neighbors, clusterId, clusters, distances, eps, minPts) {
+function expandCluster(pointIdx, neighbors, clusterId, clusters, visited, coordinates, tree, eps, minPts) {
   clusters[pointIdx] = clusterId;
   
   const queue = [...neighbors];
   
-  while (queue.length > 0) {
-    const current = queue.shift();
+  // Walk the queue by index; shift() would make this quadratic
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
     
-    if (clusters[current] === -1) {
-      clusters[current] = clusterId;
+    // Noise reached from a core point becomes a border point; it was already found not to be a core point
+    if (visited[current]) {
+      if (clusters[current] === -1) clusters[current] = clusterId;
+      continue;
     }
     
-    if (clusters[current] !== -1) continue;
-    
+    visited[current] = 1;
     clusters[current] = clusterId;
     
-    const currentNeighbors = findNeighbors(current, distances, eps);
-    
+    // Only core points extend the cluster
+    const currentNeighbors = tree.radiusSearch(coordinates[current], eps);
     if (currentNeighbors.length >= minPts) {
       queue.push(...currentNeighbors);
     }
@@ -162,24 +165,142 @@ function expandCluster(pointIdx, neighbors, clusterId, clusters, distances, eps,
 
 function determineOptimalEps(coordinates, minPts) {
   // Use k-distance graph approach
-  const n = coordinates.length;
-  const kDistances = [];
-  
-  for (let i = 0; i < n; i++) {
-    const distances = [];
-    for (let j = 0; j < n; j++) {
-      if (i !== j) {
-        distances.push(euclideanDistance(coordinates[i], coordinates[j]));
-      }
-    }
-    distances.sort((a, b) => a - b);
-    kDistances.push(distances[Math.min(minPts - 1, distances.length - 1)]);
-  }
-  
-  kDistances.sort((a, b) => a - b);
+  const kDistances = computeKDistances(coordinates, buildKDTree(coordinates), minPts);
   
   // Use 70th percentile for smaller, more granular clusters (was 90th)
   const eps = kDistances[Math.floor(kDistances.length * 0.7)];
   console.log(`Auto-determined eps: ${eps}`);
   return eps * 0.85; // Further reduce by 15% for tighter clusters
 }
+
+// Sorted distances from each point to its minPts-th nearest other point
+function computeKDistances(coordinates, tree, minPts) {
+  const kDistances = coordinates.map((point, i) => {
+    const nearest = tree.kNearest(point, minPts, i);
+    return nearest.length > 0 ? nearest[nearest.length - 1].distance : 0;
+  });
+  return kDistances.sort((a, b) => a - b);
+}
+
+/**
+ * Run K-Means for each k in a range and keep the k with the highest silhouette
+ * @param {number[][]} points
+ * @param {Object} options - { metric, minK, maxK, seed }
+ * @returns {{parameter: 'k', best: number|null, scores: {value: number, score: number|null}[]}}
+ */
+export function searchKBySilhouette(points, options = {}) {
+  const n = points.length;
+  const { metric = METRICS.EUCLIDEAN, minK = 2, maxK = Math.min(30, n - 1), seed } = options;
+  const coordinates = metric === METRICS.COSINE ? normalizeVectors(points) : points;
+  const scores = [];
+  
+  for (let k = minK; k <= maxK; k++) {
+    const { clusters } = kmeans(coordinates, k, {
+      initialization: 'kmeans++',
+      maxIterations: 100,
+      seed
+    });
+    scores.push({ value: k, score: silhouetteScore(points, clusters, { metric, sampleSize: SEARCH_SAMPLE_SIZE }) });
+  }
+  
+  return pickBestScore('k', scores);
+}
+
+/**
+ * Run DBSCAN for eps at percentiles of the k-distance curve and keep the eps with the highest
+ * silhouette. Candidates that leave more than half the points as noise are not scored.
+ * @param {number[][]} points
+ * @param {number} minPts
+ * @param {Object} options - { metric }
+ * @returns {{parameter: 'eps', best: number|null, scores: {value: number, score: number|null}[]}}
+ */
+export function searchEpsBySilhouette(points, minPts = 2, options = {}) {
+  const { metric = METRICS.EUCLIDEAN } = options;
+  const isCosine = metric === METRICS.COSINE;
+  const coordinates = isCosine ? normalizeVectors(points) : points;
+  const tree = buildKDTree(coordinates);
+  const kDistances = computeKDistances(coordinates, tree, minPts);
+  
+  const candidates = [];
+  for (let q = 0.05; q < 1; q += 0.05) {
+    const eps = kDistances[Math.floor(kDistances.length * q)];
+    if (eps > 0 && !candidates.includes(eps)) candidates.push(eps);
+  }
+  
+  const scores = candidates.map(eps => {
+    const clusters = runDBSCAN(coordinates, tree, eps, minPts);
+    const noise = clusters.filter(c => c === -1).length;
+    return {
+      value: isCosine ? chordToCosineDistance(eps) : eps,
+      score: noise > clusters.length / 2 ? null : silhouetteScore(points, clusters, { metric, sampleSize: SEARCH_SAMPLE_SIZE })
+    };
+  });
+  
+  return pickBestScore('eps', scores);
+}
+
+function pickBestScore(parameter, scores) {
+  const best = scores.reduce(
+    (top, entry) => entry.score !== null && (top === null || entry.score > top.score) ? entry : top,
+    null
+  );
+  
+  if (best) {
+    console.log(`Best ${parameter} by silhouette: ${best.value} (score ${best.score.toFixed(3)})`);
+  }
+  return { parameter, best: best ? best.value : null, scores };
+}
+
+/**
+ * Hierarchical density-based clustering, like the Python reference's HDBSCAN
+ * Finds clusters of varying density without a global eps
+ * @param {number[][]} points - Coordinates or embeddings of any dimension
+ * @param {Object} options - { minClusterSize (auto if null), minSamples, selectionMethod: 'eom' | 'leaf', metric }
+ * @returns {{labels: number[], probabilities: number[], outlierScores: number[]}}
+ */
+export function clusterWithHDBSCAN(points, options = {}) {
+  const { minSamples = 1, selectionMethod = 'eom', metric = METRICS.EUCLIDEAN } = options;
+  
+  // Auto-determine like conference_map_clean.py if not provided
+  const minClusterSize = options.minClusterSize || Math.max(2, Math.floor(points.length / 20));
+  
+  console.log(`Running HDBSCAN with minClusterSize=${minClusterSize}, minSamples=${minSamples}, selection=${selectionMethod}, metric=${metric}...`);
+  
+  const result = hdbscan(points, {
+    minClusterSize,
+    minSamples,
+    selectionMethod,
+    distance: getDistanceFunction(metric)
+  });
+  
+  console.log(`✓ HDBSCAN complete: found ${new Set(result.labels.filter(l => l !== -1)).size} clusters`);
+  return result;
+}
+
+/**
+ * Renumber clusters by size so the largest gets ID 0; noise (-1) is kept
+ * @param {number[]} clusters - Cluster assignments
+ * @returns {number[]} - Reordered assignments
+ */
+export function orderClustersBySize(clusters) {
+  const clusterSizes = {};
+  clusters.forEach(clusterId => {
+    if (clusterId !== -1) {
+      clusterSizes[clusterId] = (clusterSizes[clusterId] || 0) + 1;
+    }
+  });
+  
+  // Sort clusters by size (descending) and create mapping
+  const sortedClusters = Object.entries(clusterSizes)
+    .sort((a, b) => b[1] - a[1])
+    .map(([clusterId]) => parseInt(clusterId));
+  
+  const clusterMapping = {};
+  sortedClusters.forEach((oldId, newId) => {
+    clusterMapping[oldId] = newId;
+  });
+  
+  return clusters.map(clusterId => 
+    clusterId === -1 ? -1 : clusterMapping[clusterId]
+  );
+}
@@ -0,0 +1,70 @@
+import { clusterWithDBSCAN, clusterWithKMeans, orderClustersBySize } from './clustering';
+import { METRICS } from './distance';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+// Points spaced 1 apart along a line, starting at x
+const line = (x, count, y = 0) => Array.from({ length: count }, (_, i) => [x + i, y]);
+
+describe('clusterWithDBSCAN', () => {
+  it('chains density-reachable points into one cluster', () => {
+    // Every point only reaches its direct neighbors, so the cluster must grow through them
+    const clusters = clusterWithDBSCAN(line(0, 10), 1.1, 3);
+    expect(new Set(clusters)).toEqual(new Set([0]));
+  });
+
+  it('separates clusters and leaves isolated points as noise', () => {
+    const points = [...line(0, 5), ...line(100, 5), [50, 50]];
+    const clusters = clusterWithDBSCAN(points, 1.1, 3);
+    expect(clusters.slice(0, 5)).toEqual([0, 0, 0, 0, 0]);
+    expect(clusters.slice(5, 10)).toEqual([1, 1, 1, 1, 1]);
+    expect(clusters[10]).toBe(-1);
+  });
+
+  it('assigns border points without expanding through them', () => {
+    // Two dense groups bridged only by a border point: [3, 0] reaches one core point on each side
+    const points = [[0, 0], [0.5, 0], [1, 0], [1.5, 0], [3, 0], [4.5, 0], [5, 0], [5.5, 0], [6, 0]];
+    const clusters = clusterWithDBSCAN(points, 1.6, 4);
+    expect(clusters[0]).not.toBe(-1);
+    expect(clusters[8]).not.toBe(-1);
+    expect(clusters[0]).not.toBe(clusters[8]);
+    expect([clusters[0], clusters[8]]).toContain(clusters[4]);
+  });
+
+  it('marks noise visited before its cluster as a border point', () => {
+    // Index 0 is scanned first and has too few neighbors, but lies within eps of a core point
+    const points = [[-1, 0], [0, 0], [0.5, 0], [0.5, 0.5], [0, 0.5]];
+    const clusters = clusterWithDBSCAN(points, 1.05, 4);
+    expect(clusters).toEqual([0, 0, 0, 0, 0]);
+  });
+
+  it('measures cosine distance on unit-length vectors', () => {
+    const points = [[1, 0], [2, 0.01], [3, -0.01], [0, 1], [0.01, 2], [-0.01, 3]];
+    const clusters = clusterWithDBSCAN(points, 0.01, 2, { metric: METRICS.COSINE });
+    expect(clusters).toEqual([0, 0, 0, 1, 1, 1]);
+  });
+});
+
+describe('clusterWithKMeans', () => {
+  it('finds well-separated groups reproducibly with a seed', () => {
+    const points = [...line(0, 4), ...line(0, 4, 100)];
+    const first = clusterWithKMeans(points, 2, { seed: 42 });
+    const second = clusterWithKMeans(points, 2, { seed: 42 });
+    expect(first).toEqual(second);
+    expect(new Set(first.slice(0, 4)).size).toBe(1);
+    expect(new Set(first.slice(4)).size).toBe(1);
+    expect(first[0]).not.toBe(first[4]);
+  });
+});
+
+describe('orderClustersBySize', () => {
+  it('renumbers clusters largest first and keeps noise', () => {
+    expect(orderClustersBySize([5, 5, 2, 2, 2, -1])).toEqual([1, 1, 0, 0, 0, -1]);
+  });
+});
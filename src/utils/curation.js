@@ -0,0 +1,270 @@
+// Manual topic curation on top of pipeline results: rename, merge, split and move documents,
+// with an undo/redo history. Every state is immutable and carries its own keywords,
+// so undo and redo never recompute anything.
+
+import { updateTopicKeywords, generateTopicLabels, findRepresentativeDocuments } from './topicExtraction';
+import { clusterWithKMeans } from './clustering';
+import { METRICS } from './distance';
+import { findSeededTopics, labelSeededTopics } from './seedTopics';
+import { applyLLMLabels } from './llmLabels';
+
+const HISTORY_LIMIT = 100;
+
+/**
+ * @typedef {Object} CurationState
+ * @property {number[]} clusters - Topic per document, -1 for outliers
+ * @property {Object<number, string>} names - Custom topic names by cluster id
+ * @property {Object} topics - Keywords per topic, as from extractTopicKeywords
+ * @property {Object|null} termCounts - Term counts per topic, so edits only tokenize the topics they touch;
+ *   null until the first edit
+ */
+
+/**
+ * Starting point: the pipeline's topics, unedited
+ * @param {Object} results - Pipeline results
+ * @returns {CurationState}
+ */
+export function createCuration(results) {
+  return { clusters: results.clusters, names: {}, topics: results.topics, termCounts: null };
+}
+
+export function renameTopic(state, clusterId, name) {
+  const names = { ...state.names };
+  if (name.trim()) {
+    names[clusterId] = name.trim();
+  } else {
+    delete names[clusterId];
+  }
+  return { ...state, names };
+}
+
+/**
+ * Merge topics into the largest of them, which keeps its id and name
+ * @param {CurationState} state
+ * @param {number[]} clusterIds
+ * @param {Object} data - { texts, tokenizer }, for keywords
+ * @returns {CurationState}
+ */
+export function mergeTopics(state, clusterIds, data) {
+  if (clusterIds.length < 2) return state;
+  const sizes = countTopics(state.clusters);
+  const target = [...clusterIds].sort((a, b) => (sizes.get(b) || 0) - (sizes.get(a) || 0))[0];
+  const merged = new Set(clusterIds);
+
+  const clusters = state.clusters.map(c => merged.has(c) ? target : c);
+  const names = { ...state.names };
+  clusterIds.filter(id => id !== target).forEach(id => delete names[id]);
+  return withKeywords(state, clusters, names, data);
+}
+
+/**
+ * Split a topic by re-clustering only its documents (spherical K-Means on their embeddings)
+ * The largest part keeps the topic's id and name; the others get new ids.
+ * @param {CurationState} state
+ * @param {number} clusterId
+ * @param {Object} data - { embeddings, texts, tokenizer }
+ * @param {number} parts - Number of topics to split into
+ * @returns {CurationState}
+ */
+export function splitTopic(state, clusterId, data, parts = 2) {
+  const members = state.clusters.map((c, idx) => c === clusterId ? idx : -1).filter(idx => idx !== -1);
+  if (members.length < parts) return state;
+
+  const labels = clusterWithKMeans(members.map(idx => data.embeddings[idx]), parts, { metric: METRICS.COSINE, seed: 42 });
+  const partSizes = countTopics(labels);
+  const byCount = [...partSizes.keys()].sort((a, b) => partSizes.get(b) - partSizes.get(a));
+
+  let nextId = state.clusters.reduce((max, c) => Math.max(max, c), -1) + 1;
+  const newIds = new Map(byCount.map((part, rank) => [part, rank === 0 ? clusterId : nextId++]));
+
+  const clusters = state.clusters.slice();
+  members.forEach((idx, i) => {
+    clusters[idx] = newIds.get(labels[i]);
+  });
+  return withKeywords(state, clusters, state.names, data);
+}
+
+/**
+ * Move documents to a topic (or to the outliers with -1)
+ * A topic left without documents disappears.
+ * @param {Object} data - { texts, tokenizer }, for keywords
+ * @returns {CurationState}
+ */
+export function moveDocuments(state, documentIndices, target, data) {
+  const moving = documentIndices.filter(idx => state.clusters[idx] !== target);
+  if (moving.length === 0) return state;
+
+  const clusters = state.clusters.slice();
+  moving.forEach(idx => {
+    clusters[idx] = target;
+  });
+
+  const remaining = countTopics(clusters);
+  const names = {};
+  Object.entries(state.names).forEach(([id, name]) => {
+    if (remaining.has(Number(id))) names[id] = name;
+  });
+  return withKeywords(state, clusters, names, data);
+}
+
+/**
+ * Pipeline results with the curation applied
+ * Labels use custom names where set, then category names (zero-shot topics keep their ids through merges
+ * and moves), then seed names for topics still dominated by a seed, then LLM titles for topics whose keywords
+ * haven't changed. Once documents have changed topics, the pipeline's per-document
+ * membership (HDBSCAN probabilities, reassigned outliers) and the topic hierarchy no longer apply and are dropped,
+ * and representative documents are picked again.
+ * @param {Object} results - Pipeline results
+ * @param {CurationState|null} state
+ * @returns {Object}
+ */
+export function applyCuration(results, state) {
+  if (!state) return results;
+
+  const keywordLabels = generateTopicLabels(state.topics);
+  let topicLabels = { ...keywordLabels };
+  let seedTopics = results.seedTopics;
+  if (seedTopics) {
+    const topicSeeds = findSeededTopics(state.clusters, seedTopics.documentSeeds);
+    topicLabels = labelSeededTopics(topicLabels, topicSeeds, seedTopics.topics, state.clusters);
+    seedTopics = { ...seedTopics, topicSeeds };
+  }
+  if (results.classification) {
+    Object.keys(state.topics).forEach(id => {
+      if (id in results.topicLabels) topicLabels[id] = results.topicLabels[id];
+    });
+  }
+  let topicDescriptions = {};
+  if (results.llmLabels) {
+    const unchanged = {};
+    Object.entries(results.llmLabels.labels).forEach(([id, label]) => {
+      if (state.topics[id] && state.topics[id] === results.topics[id]) unchanged[id] = label;
+    });
+    ({ topicLabels, topicDescriptions } = applyLLMLabels(topicLabels, keywordLabels, unchanged));
+  }
+  Object.entries(state.names).forEach(([id, name]) => {
+    topicLabels[id] = name;
+  });
+
+  const curated = {
+    ...results,
+    clusters: state.clusters,
+    topics: state.topics,
+    topicLabels,
+    keywordLabels,
+    topicDescriptions,
+    seedTopics
+  };
+  if (state.clusters === results.clusters) return curated;
+
+  return {
+    ...curated,
+    representativeDocuments: findRepresentativeDocuments(results.embeddings, state.clusters),
+    probabilities: null,
+    outlierScores: null,
+    outlierReduction: null,
+    topicHierarchy: null
+  };
+}
+
+/**
+ * Carry a curation history over to results with documents appended (see appendDocuments), so edits
+ * survive the append and can still be undone. The state the append was computed from takes the appended
+ * results' clusters and keywords as they are; every other state gives each new document the same topic
+ * where it has that topic (else leaves it an outlier), keeps its names and gets fresh keywords for the
+ * topics that grew.
+ * @param {Object} history - History of CurationStates from before the append
+ * @param {Object} results - Results of appendDocuments
+ * @param {CurationState} basedOn - State whose curated results the documents were appended to
+ * @returns {Object} - History for the appended results
+ */
+export function extendHistory(history, results, basedOn) {
+  const extend = (state) => {
+    if (state === basedOn) {
+      return { clusters: results.clusters, names: state.names, topics: results.topics, termCounts: null };
+    }
+    const added = results.clusters.slice(state.clusters.length).map(c => state.topics[c] ? c : -1);
+    return withKeywords(state, [...state.clusters, ...added], state.names, results);
+  };
+  return {
+    past: history.past.map(extend),
+    present: history.present && extend(history.present),
+    future: history.future.map(extend)
+  };
+}
+
+/**
+ * @param {*} present
+ * @returns {{ past: Array, present: *, future: Array }}
+ */
+export function createHistory(present) {
+  return { past: [], present, future: [] };
+}
+
+// Record a new state; no-op edits (same state back) aren't recorded
+export function pushHistory(history, next) {
+  if (next === history.present) return history;
+  return {
+    past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present: next,
+    future: []
+  };
+}
+
+export function undoHistory(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future]
+  };
+}
+
+export function redoHistory(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1)
+  };
+}
+
+// Edited topics get fresh c-TF-IDF keywords; topics whose documents didn't change keep theirs,
+// including keywords reranked by embeddings in the pipeline
+function withKeywords(state, clusters, names, { texts, tokenizer }) {
+  const previousMembers = topicMembers(state.clusters);
+  const members = topicMembers(clusters);
+  const changed = [...members.keys()].filter(clusterId =>
+    !state.topics[clusterId] || !sameMembers(previousMembers.get(clusterId), members.get(clusterId))
+  );
+  const updated = updateTopicKeywords(texts, clusters, changed, state.termCounts, 10, tokenizer);
+
+  const topics = {};
+  members.forEach((indices, clusterId) => {
+    topics[clusterId] = updated.topics[clusterId] || state.topics[clusterId];
+  });
+  return { clusters, names, topics, termCounts: updated.termCounts };
+}
+
+// Document indices of each topic, in ascending order
+function topicMembers(clusters) {
+  const members = new Map();
+  clusters.forEach((c, idx) => {
+    if (c === -1) return;
+    if (!members.has(c)) members.set(c, []);
+    members.get(c).push(idx);
+  });
+  return members;
+}
+
+function sameMembers(a, b) {
+  return a !== undefined && a.length === b.length && a.every((idx, i) => idx === b[i]);
+}
+
+function countTopics(clusters) {
+  const sizes = new Map();
+  clusters.forEach(c => {
+    if (c !== -1) sizes.set(c, (sizes.get(c) || 0) + 1);
+  });
+  return sizes;
+}
@@ -0,0 +1,184 @@
+import {
+  createCuration,
+  renameTopic,
+  mergeTopics,
+  splitTopic,
+  moveDocuments,
+  applyCuration,
+  createHistory,
+  extendHistory,
+  pushHistory,
+  undoHistory,
+  redoHistory
+} from './curation';
+import { extractTopicKeywords } from './topicExtraction';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+const texts = [
+  'apple pie recipe', 'apple tart baking', 'apple crumble oven', 'banana bread loaf',
+  'car engine repair', 'car tire change', 'engine oil change', 'bicycle chain grease'
+];
+// Fruit documents along one axis, vehicles along the other, with a small offset within each
+const embeddings = texts.map((_, i) => i < 4 ? [1, 0, i * 0.1] : [0, 1, (i - 4) * 0.1]);
+const pipelineTopics = { 0: [{ term: 'apple', score: 1 }], 1: [{ term: 'car', score: 1 }] };
+
+function makeResults() {
+  return {
+    texts,
+    embeddings,
+    clusters: [0, 0, 0, 0, 1, 1, 1, 1],
+    topics: pipelineTopics,
+    topicLabels: { 0: 'apple', 1: 'car' },
+    representativeDocuments: { 0: [0], 1: [4] },
+    probabilities: [1, 1, 1, 1, 1, 1, 1, 1],
+    outlierScores: null,
+    outlierReduction: null,
+    topicHierarchy: { merges: [] }
+  };
+}
+
+const data = { texts, embeddings };
+
+describe('topic edits', () => {
+  it('renames and clears names without touching the topics', () => {
+    const state = createCuration(makeResults());
+    const renamed = renameTopic(state, 0, '  Baking ');
+    expect(renamed.names).toEqual({ 0: 'Baking' });
+    expect(renamed.topics).toBe(state.topics);
+    expect(renameTopic(renamed, 0, ' ').names).toEqual({});
+  });
+
+  it('merges into the largest topic, which keeps its name', () => {
+    let state = createCuration(makeResults());
+    state = moveDocuments(state, [7], 0, data);
+    state = renameTopic(renameTopic(state, 0, 'Food'), 1, 'Cars');
+    const merged = mergeTopics(state, [1, 0], data);
+    expect(merged.clusters).toEqual([0, 0, 0, 0, 0, 0, 0, 0]);
+    expect(merged.names).toEqual({ 0: 'Food' });
+    expect(mergeTopics(state, [0], data)).toBe(state);
+  });
+
+  it('splits a topic, leaving the largest part with the old id', () => {
+    const state = createCuration(makeResults());
+    const split = splitTopic(state, 1, data, 2);
+    const parts = split.clusters.slice(4);
+    expect(new Set(parts).size).toBe(2);
+    expect(parts.filter(c => c === 1).length).toBeGreaterThanOrEqual(2);
+    expect(split.clusters.slice(0, 4)).toEqual([0, 0, 0, 0]);
+    expect(Object.keys(split.topics).sort()).toEqual(['0', '1', '2']);
+  });
+
+  it('drops topics emptied by a move along with their names', () => {
+    let state = renameTopic(createCuration(makeResults()), 1, 'Cars');
+    state = moveDocuments(state, [4, 5, 6, 7], -1, data);
+    expect(state.clusters).toEqual([0, 0, 0, 0, -1, -1, -1, -1]);
+    expect(state.names).toEqual({});
+    expect(Object.keys(state.topics)).toEqual(['0']);
+    expect(moveDocuments(state, [0], 0, data)).toBe(state);
+  });
+});
+
+describe('keywords after edits', () => {
+  it('recomputes only the topics whose documents changed', () => {
+    const state = moveDocuments(createCuration(makeResults()), [7], -1, data);
+    expect(state.topics[0]).toBe(pipelineTopics[0]);
+    expect(state.topics[1]).toEqual(extractTopicKeywords(texts, state.clusters)[1]);
+  });
+
+  it('matches a full extraction when reusing term counts across edits', () => {
+    let state = moveDocuments(createCuration(makeResults()), [7], -1, data);
+    state = moveDocuments(state, [3], 1, data);
+    state = moveDocuments(state, [7], 0, data);
+    const full = extractTopicKeywords(texts, state.clusters);
+    expect(state.topics[0]).toEqual(full[0]);
+    expect(state.topics[1]).toEqual(full[1]);
+  });
+});
+
+describe('applyCuration', () => {
+  it('returns the results untouched without a curation', () => {
+    const results = makeResults();
+    expect(applyCuration(results, null)).toBe(results);
+  });
+
+  it('keeps pipeline membership until documents move, then drops it', () => {
+    const results = makeResults();
+    const renamed = applyCuration(results, renameTopic(createCuration(results), 1, 'Vehicles'));
+    expect(renamed.topicLabels[1]).toBe('Vehicles');
+    expect(renamed.probabilities).toBe(results.probabilities);
+    expect(renamed.topicHierarchy).toBe(results.topicHierarchy);
+
+    const moved = applyCuration(results, moveDocuments(createCuration(results), [3], 1, data));
+    expect(moved.clusters[3]).toBe(1);
+    expect(moved.probabilities).toBeNull();
+    expect(moved.topicHierarchy).toBeNull();
+    expect(moved.representativeDocuments[1]).toHaveLength(3);
+  });
+});
+
+describe('extendHistory', () => {
+  it('carries every state over to appended documents', () => {
+    const results = makeResults();
+    const initial = createCuration(results);
+    const split = splitTopic(initial, 1, data, 2);
+    const newId = Math.max(...split.clusters);
+    const named = renameTopic(split, newId, 'Cycling');
+    let history = pushHistory(pushHistory(createHistory(initial), split), named);
+    history = undoHistory(history);
+
+    // Appended to the curated results of the split state: one document per topic
+    const appendedTexts = [...texts, 'apple jam jar', 'car wash soap', 'bicycle pump tyre'];
+    const appended = {
+      ...results,
+      texts: appendedTexts,
+      clusters: [...split.clusters, 0, 1, newId],
+      topics: { 0: [{ term: 'appended', score: 1 }] }
+    };
+    const extended = extendHistory(history, appended, split);
+
+    expect(extended.present.clusters).toBe(appended.clusters);
+    expect(extended.present.topics).toBe(appended.topics);
+    expect(extended.past[0].clusters).toEqual([...initial.clusters, 0, 1, -1]);
+    expect(extended.past[0].topics[1]).toEqual(
+      extractTopicKeywords(appendedTexts, extended.past[0].clusters)[1]
+    );
+    expect(extended.future[0].clusters).toEqual(appended.clusters);
+    expect(extended.future[0].names).toEqual({ [newId]: 'Cycling' });
+  });
+});
+
+describe('history', () => {
+  it('undoes and redoes, and a new edit clears the redo stack', () => {
+    let history = createHistory('a');
+    history = pushHistory(history, 'b');
+    history = pushHistory(history, 'b');
+    history = pushHistory(history, 'c');
+    expect(history.past).toEqual(['a', 'b']);
+
+    history = undoHistory(undoHistory(history));
+    expect(history.present).toBe('a');
+    expect(undoHistory(history)).toBe(history);
+
+    history = redoHistory(history);
+    expect(history.present).toBe('b');
+    expect(history.future).toEqual(['c']);
+
+    history = pushHistory(history, 'd');
+    expect(history.future).toEqual([]);
+    expect(redoHistory(history)).toBe(history);
+  });
+
+  it('keeps at most 100 past states', () => {
+    let history = createHistory(0);
+    for (let i = 1; i <= 150; i++) history = pushHistory(history, i);
+    expect(history.past).toHaveLength(100);
+    expect(history.past[0]).toBe(50);
+  });
+});
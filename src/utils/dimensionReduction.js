@@ -1,26 +1,84 @@
 // UMAP dimensionality reduction using umap-js
 import { UMAP } from 'umap-js';
+import { throwIfCancelled } from './cancellation';
+import { getDistanceFunction, METRICS } from './distance';
 
 /**
- * Reduce embeddings to 2D using UMAP
+ * Reduce embeddings with UMAP one epoch at a time, yielding between batches of epochs
+ * so progress can be reported and the run cancelled
  * @param {number[][]} embeddings - High-dimensional embeddings
- * @param {Object} options - UMAP parameters
- * @returns {number[][]} - 2D coordinates
+ * @param {Object} options - UMAP parameters: nNeighbors, nComponents, minDist, spread, randomState, metric,
+ *   and labels (category per point, -1 for unknown) to pull same-category points together (supervised UMAP)
+ * @param {Object} control - { onProgress(0..1), signal }; throws CancelledError once signal aborts
+ * @returns {Promise<number[][]>} - Coordinates (nComponents dimensions)
  */
-export function reduceWithUMAP(embeddings, options = {}) {
+export async function reduceWithUMAPAsync(embeddings, options = {}, control = {}) {
+  const { coordinates } = await fitUMAPAsync(embeddings, options, control);
+  return coordinates;
+}
+
+/**
+ * Like reduceWithUMAPAsync, but also returns the fitted model for placing new points with transformWithUMAP
+ * @returns {Promise<{coordinates: number[][], model: UMAP}>}
+ */
+export async function fitUMAPAsync(embeddings, options = {}, control = {}) {
+  const { onProgress = () => {}, signal = null } = control;
+  const umap = createUMAP(embeddings, options);
+  const epochsPerYield = 10;
+  
+  const nEpochs = umap.initializeFit(embeddings);
+  for (let epoch = 0; epoch < nEpochs; epoch++) {
+    umap.step();
+    
+    if (epoch % epochsPerYield === 0) {
+      onProgress(epoch / nEpochs);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      throwIfCancelled(signal);
+    }
+  }
+  
+  onProgress(1);
+  console.log('✓ UMAP reduction complete');
+  return { coordinates: umap.getEmbedding().map(point => point.slice()), model: umap };
+}
+
+/**
+ * Place new points on an existing projection without moving the fitted ones
+ * @param {UMAP} model - From fitUMAPAsync
+ * @param {number[][]} embeddings - New points, same dimension and metric as the fitted ones
+ * @returns {number[][]} - Their coordinates
+ */
+export function transformWithUMAP(model, embeddings) {
+  // umap-js also moves the fitted points when the new batch happens to be the same size; undo that
+  const fitted = model.getEmbedding().map(point => point.slice());
+  const coordinates = model.transform(embeddings);
+  model.getEmbedding().forEach((point, idx) => {
+    fitted[idx].forEach((value, d) => {
+      point[d] = value;
+    });
+  });
+  console.log(`✓ Placed ${coordinates.length} new points on the map`);
+  return coordinates;
+}
+
+function createUMAP(embeddings, options) {
   const {
     nNeighbors = Math.min(15, embeddings.length - 1),
     nComponents = 2,
     minDist = 0.3,  // Increased from 0.0 for better local separation
     spread = 0.8,   // Reduced from 1.0 for tighter, more distinct clusters
-    randomState = 42
+    randomState = 42,
+    metric = METRICS.EUCLIDEAN,
+    labels = null
   } = options;
   
   console.log('Running UMAP with parameters:', {
     nNeighbors,
     nComponents,
     minDist,
-    spread
+    spread,
+    metric,
+    supervised: Boolean(labels)
   });
   
   let seed = randomState;
@@ -30,33 +88,15 @@ export function reduceWithUMAP(embeddings, options = {}) {
     nComponents,
     minDist,
     spread,
+    distanceFn: getDistanceFunction(metric),
     random: () => {
       // Seeded random for reproducibility
       const x = Math.sin(seed++) * 10000;
       return x - Math.floor(x);
     }
   });
-  
-  const reducedEmbeddings = umap.fit(embeddings);
-  
-  console.log('✓ UMAP reduction complete');
-  return reducedEmbeddings;
-}
-
-/**
- * Normalize coordinates to [0, 1] range for better visualization
- */
-export function normalizeCoordinates(coordinates) {
-  const xValues = coordinates.map(c => c[0]);
-  const yValues = coordinates.map(c => c[1]);
-  
-  const xMin = Math.min(...xValues);
-  const xMax = Math.max(...xValues);
-  const yMin = Math.min(...yValues);
-  const yMax = Math.max(...yValues);
-  
-  return coordinates.map(([x, y]) => [
-    (x - xMin) / (xMax - xMin),
-    (y - yMin) / (yMax - yMin)
-  ]);
+  if (labels) {
+    umap.setSupervisedProjection(labels);
+  }
+  return umap;
 }
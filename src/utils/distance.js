@@ -0,0 +1,60 @@
+// Distance metrics shared by the clustering algorithms and UMAP
+// Points can have any dimensionality: 2D map coordinates, N-D UMAP output or raw embeddings.
+
+export const METRICS = {
+  EUCLIDEAN: 'euclidean',
+  COSINE: 'cosine'
+};
+
+export function euclideanDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * 1 - cosine similarity, from 0 (same direction) to 2 (opposite)
+ */
+export function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 1;
+  return 1 - dot / Math.sqrt(normA * normB);
+}
+
+export function getDistanceFunction(metric = METRICS.EUCLIDEAN) {
+  if (metric === METRICS.COSINE) return cosineDistance;
+  if (metric === METRICS.EUCLIDEAN) return euclideanDistance;
+  throw new Error(`Unknown distance metric: ${metric}`);
+}
+
+/**
+ * Scale vectors to unit length. Between unit vectors, Euclidean distance is
+ * sqrt(2 * cosine distance), so Euclidean-only structures (k-d tree, K-Means) can rank by cosine.
+ */
+export function normalizeVectors(vectors) {
+  return vectors.map(vector => {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector.slice() : vector.map(value => value / norm);
+  });
+}
+
+/**
+ * Convert a cosine distance to the equivalent Euclidean distance between unit vectors
+ */
+export function cosineToChordDistance(distance) {
+  return Math.sqrt(2 * distance);
+}
+
+export function chordToCosineDistance(distance) {
+  return (distance * distance) / 2;
+}
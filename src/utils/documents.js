@@ -0,0 +1,152 @@
+// Structured document records carried from ingestion through to the visualizations
+// Embedding and keyword extraction still work on plain text, derived with getDocumentText
+
+/**
+ * @typedef {Object} DocumentRecord
+ * @property {string} id - Stable identifier (feed guid, URL or content hash)
+ * @property {string} title - Headline or title line
+ * @property {string} description - Longer text (RSS description, abstract), may be empty
+ * @property {string|null} url - Link to the original item, http(s) only
+ * @property {string|null} date - Publication date as an ISO 8601 string
+ * @property {string|null} source - Feed or file the document came from
+ */
+
+export const TEXT_MODES = {
+  TITLE: 'title',
+  TITLE_DESCRIPTION: 'title+description'
+};
+
+/**
+ * Create a document record from loosely-typed fields
+ * @param {Object} fields - { title, description, url, date, source, id }
+ * @returns {DocumentRecord}
+ */
+export function createDocument({ title = '', description = '', url = null, date = null, source = null, id = null }) {
+  const cleanTitle = collapseWhitespace(title);
+  const cleanDescription = collapseWhitespace(stripHtml(description || ''));
+  const cleanUrl = sanitizeUrl(url);
+
+  return {
+    id: id ? String(id) : (cleanUrl || `doc-${hashString(cleanTitle + '\n' + cleanDescription)}`),
+    title: cleanTitle,
+    description: cleanDescription === cleanTitle ? '' : cleanDescription,
+    url: cleanUrl,
+    date: parseDate(date),
+    source: source || null
+  };
+}
+
+/**
+ * A link safe to put in an href or window.open: http(s) URLs only, so javascript:, data: and
+ * the like from feeds or imported files never become clickable
+ * @param {string|null} url
+ * @returns {string|null}
+ */
+export function sanitizeUrl(url) {
+  if (!url) return null;
+  const trimmed = String(url).trim();
+  try {
+    const { protocol } = new URL(trimmed);
+    return protocol === 'http:' || protocol === 'https:' ? trimmed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Normalize an array of strings and/or partial records into document records
+ * Duplicate ids get a numeric suffix so every record can be addressed uniquely
+ * @param {Array<string|Object>} items
+ * @param {Object} defaults - Fields applied to items that don't set them (e.g. source)
+ * @returns {DocumentRecord[]}
+ */
+export function toDocuments(items, defaults = {}) {
+  const seenIds = new Map();
+
+  return items.map(item => {
+    const doc = createDocument(typeof item === 'string'
+      ? { ...defaults, title: item }
+      : { ...defaults, ...item });
+
+    const count = seenIds.get(doc.id) || 0;
+    seenIds.set(doc.id, count + 1);
+    if (count > 0) {
+      doc.id = `${doc.id}#${count}`;
+    }
+    return doc;
+  });
+}
+
+/**
+ * Text that gets embedded and tokenized for a document
+ * @param {DocumentRecord} doc
+ * @param {string} textMode - TEXT_MODES.TITLE or TEXT_MODES.TITLE_DESCRIPTION
+ */
+export function getDocumentText(doc, textMode = TEXT_MODES.TITLE) {
+  if (textMode === TEXT_MODES.TITLE_DESCRIPTION && doc.description) {
+    const separator = /[.!?:]$/.test(doc.title) ? ' ' : '. ';
+    return doc.title + separator + doc.description;
+  }
+  return doc.title;
+}
+
+/**
+ * Remove markup from feed descriptions, which often embed HTML
+ */
+export function stripHtml(html) {
+  if (!html) return '';
+  if (typeof DOMParser !== 'undefined') {
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    return parsed.body.textContent || '';
+  }
+  return html.replace(/<[^>]*>/g, ' ');
+}
+
+/**
+ * cyrb53: fast 53-bit string hash, returned as hex
+ * Collisions are negligible at the corpus sizes this app handles
+ */
+export function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Rebuild records from edited title lines
+ * Lines matching an existing title keep that record (and its metadata); the rest become new records
+ * @param {string[]} titles - One title per edited line
+ * @param {DocumentRecord[]} previous - Records before editing
+ * @returns {DocumentRecord[]}
+ */
+export function reconcileDocuments(titles, previous) {
+  const available = new Map();
+  previous.forEach(doc => {
+    if (!available.has(doc.title)) available.set(doc.title, []);
+    available.get(doc.title).push(doc);
+  });
+
+  const items = titles.map(title => {
+    const matches = available.get(title);
+    return matches && matches.length > 0 ? matches.shift() : { title, source: 'Edited' };
+  });
+
+  return toDocuments(items);
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function collapseWhitespace(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
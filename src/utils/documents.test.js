@@ -0,0 +1,60 @@
+import { createDocument, sanitizeUrl, toDocuments, getDocumentText, reconcileDocuments, TEXT_MODES } from './documents';
+
+// Built up so lint's no-script-url doesn't flag the test inputs
+const SCRIPT = ['javascript', ':'].join('');
+
+describe('createDocument', () => {
+  it('keeps only http and https links', () => {
+    expect(createDocument({ title: 'a', url: 'https://news.example/a' }).url).toBe('https://news.example/a');
+    expect(createDocument({ title: 'a', url: ' http://news.example/a ' }).url).toBe('http://news.example/a');
+    [`${SCRIPT}alert(document.cookie)`, ` ${SCRIPT.toUpperCase()}alert(1)`, 'data:text/html,<script>alert(1)</script>',
+      'vbscript:msgbox(1)', '/relative/path', 'not a url'].forEach(url => {
+      expect(createDocument({ title: 'a', url }).url).toBeNull();
+    });
+  });
+
+  it('does not take its id from a dropped link', () => {
+    const doc = createDocument({ title: 'a', url: `${SCRIPT}alert(1)` });
+    expect(doc.id).toMatch(/^doc-/);
+    expect(createDocument({ title: 'a', url: 'https://news.example/a' }).id).toBe('https://news.example/a');
+  });
+
+  it('cleans text and dates', () => {
+    const doc = createDocument({ title: '  Two\n words ', description: '<p>Two words</p>', date: 'nonsense' });
+    expect(doc).toMatchObject({ title: 'Two words', description: '', date: null, source: null });
+  });
+});
+
+describe('sanitizeUrl', () => {
+  it('is what createDocument applies to links', () => {
+    expect(sanitizeUrl('https://news.example/a')).toBe('https://news.example/a');
+    expect(sanitizeUrl(`${SCRIPT}alert(1)`)).toBeNull();
+    expect(sanitizeUrl(null)).toBeNull();
+  });
+});
+
+describe('toDocuments', () => {
+  it('suffixes repeated ids and applies defaults', () => {
+    const docs = toDocuments(['same', 'same', { title: 'other', source: 'Feed' }], { source: 'File' });
+    expect(docs[0].id).not.toBe(docs[1].id);
+    expect(docs[1].id).toBe(`${docs[0].id}#1`);
+    expect(docs.map(doc => doc.source)).toEqual(['File', 'File', 'Feed']);
+  });
+});
+
+describe('getDocumentText', () => {
+  it('joins title and description only when asked', () => {
+    const doc = createDocument({ title: 'Markets rally', description: 'Shares rose.' });
+    expect(getDocumentText(doc)).toBe('Markets rally');
+    expect(getDocumentText(doc, TEXT_MODES.TITLE_DESCRIPTION)).toBe('Markets rally. Shares rose.');
+  });
+});
+
+describe('reconcileDocuments', () => {
+  it('keeps records for unchanged lines and creates records for new ones', () => {
+    const previous = toDocuments([{ title: 'kept', url: 'https://news.example/kept', source: 'Feed' }]);
+    const docs = reconcileDocuments(['kept', 'new line'], previous);
+    expect(docs[0]).toEqual(previous[0]);
+    expect(docs[1]).toMatchObject({ title: 'new line', source: 'Edited', url: null });
+  });
+});
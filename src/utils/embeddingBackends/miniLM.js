@@ -0,0 +1,78 @@
+// all-MiniLM-L6-v2 via Transformers.js (@xenova/transformers), loaded from the model bundled in public/models
+// Same model as conference_map_clean.py; no network access needed once the app is served
+
+const MODEL_ID = 'Xenova/all-MiniLM-L6-v2';
+
+// ONNX files in public/models/Xenova/all-MiniLM-L6-v2/onnx that the bundled ONNX Runtime (1.14) can run.
+// The fp16 and 4-bit files (model_fp16, model_q4, model_bnb4, model_q4f16) need a newer runtime.
+const VARIANTS = [
+  { id: 'q8', label: '8-bit quantized (model_quantized.onnx)', options: { quantized: true } },
+  { id: 'fp32', label: 'Full precision (model.onnx)', options: { quantized: false } },
+  { id: 'int8', label: 'int8 (model_int8.onnx)', options: { quantized: false, model_file_name: 'model_int8' } },
+  { id: 'uint8', label: 'uint8 (model_uint8.onnx)', options: { quantized: false, model_file_name: 'model_uint8' } }
+];
+
+const extractors = {};
+
+/**
+ * Load the feature-extraction pipeline for one quantization variant
+ * @param {Object} options - { variant, localModelPath, wasmPath }
+ */
+async function loadMiniLM(options = {}) {
+  const {
+    variant = 'q8',
+    localModelPath = `${process.env.PUBLIC_URL || ''}/models/`,
+    wasmPath = null
+  } = options;
+
+  if (!extractors[variant]) {
+    extractors[variant] = (async () => {
+      console.log(`Loading ${MODEL_ID} (${variant}) from ${localModelPath}...`);
+
+      // Loaded on demand so Transformers.js stays out of the main bundle
+      const { pipeline, env } = await import('@xenova/transformers');
+
+      // Only ever read the bundled model files
+      env.allowRemoteModels = false;
+      env.allowLocalModels = true;
+      env.localModelPath = localModelPath;
+
+      if (env.backends.onnx.wasm) {
+        // GitHub Pages can't send COOP/COEP headers, so SharedArrayBuffer (and threads) may be missing
+        env.backends.onnx.wasm.numThreads = 1;
+        if (wasmPath) {
+          env.backends.onnx.wasm.wasmPaths = wasmPath;
+        }
+      }
+
+      const { options: fileOptions } = VARIANTS.find(v => v.id === variant);
+      const extractor = await pipeline('feature-extraction', MODEL_ID, fileOptions);
+      console.log(`✓ ${MODEL_ID} (${variant}) loaded successfully`);
+      return extractor;
+    })().catch(err => {
+      delete extractors[variant];
+      throw err;
+    });
+  }
+
+  return extractors[variant];
+}
+
+export const miniLM = {
+  id: 'minilm',
+  name: 'all-MiniLM-L6-v2 (bundled ONNX, offline)',
+  variants: VARIANTS,
+  defaultVariant: 'q8',
+  batchSize: 32,
+
+  load: loadMiniLM,
+
+  /**
+   * Mean-pooled, L2-normalized sentence embeddings (384 dimensions),
+   * matching sentence-transformers' default for this model
+   */
+  async embed(extractor, texts) {
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+};
@@ -0,0 +1,68 @@
+// Universal Sentence Encoder via TensorFlow.js
+// Uses WebGL backend which works reliably on GitHub Pages (no SharedArrayBuffer needed)
+
+let model = null;
+let modelLoading = null;
+
+/**
+ * Initialize Universal Sentence Encoder with WebGL backend
+ * WebGL works on GitHub Pages without special headers
+ */
+async function initUSE() {
+  if (model) return model;
+  if (modelLoading) return modelLoading;
+
+  modelLoading = (async () => {
+    console.log('Initializing Universal Sentence Encoder (TensorFlow.js)...');
+
+    // Loaded on demand so TensorFlow.js stays out of the main bundle
+    const [tf, use] = await Promise.all([
+      import('@tensorflow/tfjs'),
+      import('@tensorflow-models/universal-sentence-encoder')
+    ]);
+    console.log('Using WebGL backend for GitHub Pages compatibility...');
+
+    // Set backend to WebGL explicitly (avoids WASM issues)
+    // Inside the pipeline worker WebGL needs OffscreenCanvas; fall back to CPU without it
+    if (!(await tf.setBackend('webgl'))) {
+      console.warn('WebGL backend unavailable, falling back to CPU');
+      await tf.setBackend('cpu');
+    }
+    await tf.ready();
+
+    console.log(`✓ TensorFlow.js backend: ${tf.getBackend()}`);
+
+    // Load Universal Sentence Encoder
+    model = await use.load();
+
+    console.log('✓ Universal Sentence Encoder loaded successfully');
+    modelLoading = null;
+    return model;
+  })().catch(err => {
+    // Don't keep a failed load (network, WebGL); the next call tries again
+    modelLoading = null;
+    throw err;
+  });
+
+  return modelLoading;
+}
+
+export const universalSentenceEncoder = {
+  id: 'use',
+  name: 'Universal Sentence Encoder (TensorFlow.js, downloaded)',
+  variants: [],
+  defaultVariant: null,
+  batchSize: 50,
+
+  load: initUSE,
+
+  /**
+   * USE embeddings come out normalized (512 dimensions)
+   */
+  async embed(useModel, texts) {
+    const embeddingsTensor = await useModel.embed(texts);
+    const batchEmbeddings = await embeddingsTensor.array();
+    embeddingsTensor.dispose(); // Clean up tensor
+    return batchEmbeddings;
+  }
+};
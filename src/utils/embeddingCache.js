@@ -0,0 +1,157 @@
+// Persistent embedding cache in IndexedDB
+// Entries are keyed by embedding model id + content hash, so editing one document only re-embeds that one
+
+import { hashString } from './documents';
+
+const DB_NAME = 'documentTopicMap';
+const DB_VERSION = 1;
+const STORE_NAME = 'embeddings';
+
+let dbPromise = null;
+
+/**
+ * IndexedDB is missing in Node (CLI) and some private browsing modes; the cache is then a no-op
+ */
+export function isCacheAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('model', 'model', { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+function cacheKey(modelId, text) {
+  return `${modelId}:${hashString(text)}:${text.length}`;
+}
+
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Look up embeddings for texts
+ * @param {string} modelId - From getEmbeddingModelId
+ * @param {string[]} texts
+ * @returns {Promise<Array<number[]|null>>} - Embedding per text, null on a miss
+ */
+export async function getCachedEmbeddings(modelId, texts) {
+  if (!isCacheAvailable()) return texts.map(() => null);
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+    const results = new Array(texts.length).fill(null);
+
+    texts.forEach((text, idx) => {
+      const request = store.get(cacheKey(modelId, text));
+      request.onsuccess = () => {
+        // Guard against hash collisions by checking the stored text
+        const entry = request.result;
+        if (entry && entry.text === text) {
+          results[idx] = Array.from(entry.embedding);
+        }
+      };
+    });
+
+    await promisifyTransaction(transaction);
+    return results;
+  } catch (err) {
+    console.warn('Embedding cache lookup failed:', err.message);
+    return texts.map(() => null);
+  }
+}
+
+/**
+ * Store embeddings for texts
+ * @param {string} modelId
+ * @param {string[]} texts
+ * @param {number[][]} embeddings - Same order as texts
+ */
+export async function putCachedEmbeddings(modelId, texts, embeddings) {
+  if (!isCacheAvailable() || texts.length === 0) return;
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const createdAt = Date.now();
+
+    texts.forEach((text, idx) => {
+      store.put({
+        key: cacheKey(modelId, text),
+        model: modelId,
+        text,
+        embedding: Float32Array.from(embeddings[idx]),
+        createdAt
+      });
+    });
+
+    await promisifyTransaction(transaction);
+  } catch (err) {
+    console.warn('Embedding cache write failed:', err.message);
+  }
+}
+
+/**
+ * Count cached embeddings and their approximate size, per model
+ * @returns {Promise<{count: number, bytes: number, models: Object}>}
+ */
+export async function getCacheStats() {
+  const stats = { count: 0, bytes: 0, models: {} };
+  if (!isCacheAvailable()) return stats;
+
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, 'readonly');
+  const request = transaction.objectStore(STORE_NAME).openCursor();
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    const { model, text, embedding } = cursor.value;
+    const bytes = embedding.byteLength + text.length * 2;
+    stats.count++;
+    stats.bytes += bytes;
+    stats.models[model] = (stats.models[model] || 0) + 1;
+    cursor.continue();
+  };
+
+  await promisifyTransaction(transaction);
+  return stats;
+}
+
+/**
+ * Remove every cached embedding
+ */
+export async function clearEmbeddingCache() {
+  if (!isCacheAvailable()) return;
+
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).clear();
+  await promisifyTransaction(transaction);
+  console.log('✓ Embedding cache cleared');
+}
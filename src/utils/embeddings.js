@@ -1,83 +1,112 @@
-// Semantic text embeddings using TensorFlow.js Universal Sentence Encoder
-// Uses WebGL backend which works reliably on GitHub Pages (no SharedArrayBuffer needed)
+// Semantic text embeddings through pluggable backends
+// Each backend exposes { id, name, variants, defaultVariant, batchSize, load(options), embed(model, texts) }
 
-import * as tf from '@tensorflow/tfjs';
-import * as use from '@tensorflow-models/universal-sentence-encoder';
+import { universalSentenceEncoder } from './embeddingBackends/universalSentenceEncoder';
+import { miniLM } from './embeddingBackends/miniLM';
+import { getCachedEmbeddings, putCachedEmbeddings } from './embeddingCache';
+import { throwIfCancelled } from './cancellation';
 
-let model = null;
-let modelLoading = null;
+export const EMBEDDING_BACKENDS = {
+  [universalSentenceEncoder.id]: universalSentenceEncoder,
+  [miniLM.id]: miniLM
+};
+
+export const DEFAULT_EMBEDDING_CONFIG = {
+  backend: universalSentenceEncoder.id,
+  variant: null
+};
+
+/**
+ * Look up a backend and resolve its variant, falling back to the backend's default
+ * @param {Object} config - { backend, variant }
+ */
+export function resolveEmbeddingBackend(config = DEFAULT_EMBEDDING_CONFIG) {
+  const backend = EMBEDDING_BACKENDS[config.backend];
+  if (!backend) {
+    throw new Error(`Unknown embedding backend: ${config.backend}`);
+  }
+
+  const variant = backend.variants.some(v => v.id === config.variant)
+    ? config.variant
+    : backend.defaultVariant;
+
+  return { backend, variant };
+}
 
 /**
- * Initialize Universal Sentence Encoder with WebGL backend
- * WebGL works on GitHub Pages without special headers
+ * Identifier of the model that produced an embedding, e.g. "minilm:q8"
+ * Embeddings from different identifiers are not comparable
  */
-async function initUSE() {
-  if (model) return model;
-  if (modelLoading) return modelLoading;
-  
-  modelLoading = (async () => {
-    console.log('Initializing Universal Sentence Encoder (TensorFlow.js)...');
-    console.log('Using WebGL backend for GitHub Pages compatibility...');
-    
-    // Set backend to WebGL explicitly (avoids WASM issues)
-    await tf.setBackend('webgl');
-    await tf.ready();
-    
-    console.log(`✓ TensorFlow.js backend: ${tf.getBackend()}`);
-    
-    // Load Universal Sentence Encoder
-    model = await use.load();
-    
-    console.log('✓ Universal Sentence Encoder loaded successfully');
-    modelLoading = null;
-    return model;
-  })();
-  
-  return modelLoading;
+export function getEmbeddingModelId(config = DEFAULT_EMBEDDING_CONFIG) {
+  const { backend, variant } = resolveEmbeddingBackend(config);
+  return variant ? `${backend.id}:${variant}` : backend.id;
 }
 
 /**
- * Generate embeddings for documents using Universal Sentence Encoder
- * 
+ * Generate embeddings for documents with the configured backend
+ * Texts already in the IndexedDB cache for this model are not re-embedded
+ *
  * @param {string[]} documents - Array of text documents
  * @param {function} onProgress - Progress callback (0 to 1)
+ * @param {Object} config - { backend, variant, useCache, signal, ...backend load options }
+ *   An aborted signal stops between batches with a CancelledError; finished batches stay cached
  * @returns {Promise<number[][]>} - Array of embedding vectors
  */
-export async function generateEmbeddings(documents, onProgress = null) {
+export async function generateEmbeddings(documents, onProgress = null, config = DEFAULT_EMBEDDING_CONFIG) {
   if (!documents || documents.length === 0) {
     throw new Error('No documents provided');
   }
-  
-  const useModel = await initUSE();
-  
-  console.log(`Generating semantic embeddings for ${documents.length} documents...`);
-  
-  // Process in batches to show progress
-  const batchSize = 50;
-  const allEmbeddings = [];
-  
-  for (let i = 0; i < documents.length; i += batchSize) {
-    const batch = documents.slice(i, Math.min(i + batchSize, documents.length));
-    
-    // Generate embeddings
-    const embeddingsTensor = await useModel.embed(batch);
-    const batchEmbeddings = await embeddingsTensor.array();
-    embeddingsTensor.dispose(); // Clean up tensor
-    
-    allEmbeddings.push(...batchEmbeddings);
-    
-    // Update progress
-    const progress = Math.min(i + batchSize, documents.length) / documents.length;
-    if (onProgress) onProgress(progress);
+
+  const { useCache = true, signal = null } = config;
+  const { backend, variant } = resolveEmbeddingBackend(config);
+  const modelId = getEmbeddingModelId(config);
+
+  const allEmbeddings = useCache
+    ? await getCachedEmbeddings(modelId, documents)
+    : documents.map(() => null);
+  const missingIndices = allEmbeddings
+    .map((embedding, idx) => embedding ? -1 : idx)
+    .filter(idx => idx !== -1);
+
+  console.log(`Embedding cache: ${documents.length - missingIndices.length} hits, ${missingIndices.length} misses (${modelId})`);
+
+  if (missingIndices.length > 0) {
+    const model = await backend.load({ ...config, variant });
+
+    console.log(`Generating semantic embeddings for ${missingIndices.length} documents with ${backend.name}...`);
+
+    // Process in batches to show progress
+    const batchSize = backend.batchSize;
+
+    for (let i = 0; i < missingIndices.length; i += batchSize) {
+      throwIfCancelled(signal);
+      const batchIndices = missingIndices.slice(i, Math.min(i + batchSize, missingIndices.length));
+      const batch = batchIndices.map(idx => documents[idx]);
+
+      const batchEmbeddings = await backend.embed(model, batch);
+      batchIndices.forEach((docIdx, j) => {
+        allEmbeddings[docIdx] = batchEmbeddings[j];
+      });
+
+      if (useCache) {
+        await putCachedEmbeddings(modelId, batch, batchEmbeddings);
+      }
+
+      // Update progress
+      const progress = Math.min(i + batchSize, missingIndices.length) / missingIndices.length;
+      if (onProgress) onProgress(progress);
+    }
+  } else if (onProgress) {
+    onProgress(1);
   }
-  
-  console.log(`✓ Generated ${allEmbeddings.length} USE embeddings (${allEmbeddings[0].length} dimensions)`);
+
+  console.log(`✓ Generated ${allEmbeddings.length} ${modelId} embeddings (${allEmbeddings[0].length} dimensions)`);
   return allEmbeddings;
 }
 
 /**
  * Calculate cosine similarity between two vectors
- * USE embeddings are already normalized, so dot product = cosine similarity
+ * Both backends return normalized embeddings, so dot product = cosine similarity
  */
 export function cosineSimilarity(vec1, vec2) {
   let dotProduct = 0;
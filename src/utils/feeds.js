@@ -0,0 +1,258 @@
+// RSS 2.0 / RSS 1.0 / Atom ingestion through a configurable CORS proxy
+// Items from several feeds are merged, tagged with their feed and de-duplicated
+
+import { toDocuments } from './documents';
+
+export const DEFAULT_FEEDS = [
+  { url: 'https://feeds.bbci.co.uk/news/world/rss.xml', name: 'BBC World' }
+];
+
+// "{url}" is replaced with the encoded feed URL; without it the URL is appended
+export const DEFAULT_PROXY_URL = 'https://api.allorigins.win/get?url={url}';
+
+const STORAGE_KEY = 'documentTopicMap.feeds';
+
+/**
+ * Load the feed list and proxy from localStorage, falling back to defaults
+ * @returns {{feeds: Array<{url: string, name: string}>, proxyUrl: string}}
+ */
+export function loadFeedSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.feeds)) {
+      return {
+        feeds: stored.feeds,
+        proxyUrl: typeof stored.proxyUrl === 'string' ? stored.proxyUrl : DEFAULT_PROXY_URL
+      };
+    }
+  } catch (err) {
+    console.warn('Could not read saved feed settings:', err.message);
+  }
+  return { feeds: DEFAULT_FEEDS, proxyUrl: DEFAULT_PROXY_URL };
+}
+
+export function saveFeedSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save feed settings:', err.message);
+  }
+}
+
+/**
+ * Build the request URL for a feed; an empty proxy means fetching the feed directly
+ */
+export function buildProxyUrl(proxyUrl, feedUrl) {
+  if (!proxyUrl) return feedUrl;
+  const encoded = encodeURIComponent(feedUrl);
+  return proxyUrl.includes('{url}') ? proxyUrl.replace('{url}', encoded) : proxyUrl + encoded;
+}
+
+/**
+ * Parse an RSS or Atom document into feed items
+ * @param {string} xmlText - Raw feed XML
+ * @returns {{title: string|null, items: Object[]}} - Items have title, description, url, date, id
+ */
+export function parseFeed(xmlText) {
+  const xmlDoc = new DOMParser().parseFromString(xmlText, 'text/xml');
+
+  if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('XML parsing error');
+  }
+
+  const root = xmlDoc.documentElement;
+  const isAtom = root.localName === 'feed';
+
+  if (isAtom) {
+    return {
+      title: childText(root, 'title'),
+      items: Array.from(root.getElementsByTagNameNS('*', 'entry')).map(parseAtomEntry)
+    };
+  }
+
+  // RSS 2.0 nests items in <channel>; RSS 1.0 (RDF) puts them next to it
+  const channel = findChild(root, 'channel');
+  return {
+    title: channel ? childText(channel, 'title') : null,
+    items: Array.from(xmlDoc.getElementsByTagNameNS('*', 'item')).map(parseRSSItem)
+  };
+}
+
+/**
+ * Fetch one feed through the proxy, retrying with linear backoff
+ * @param {{url: string, name: string}} feed
+ * @param {Object} options - { proxyUrl, maxRetries, timeoutMs }
+ * @returns {Promise<DocumentRecord[]>}
+ */
+export async function fetchFeed(feed, options = {}) {
+  const { proxyUrl = DEFAULT_PROXY_URL, maxRetries = 3, timeoutMs = 15000 } = options;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`Fetching ${feed.name || feed.url} (attempt ${attempt}/${maxRetries})...`);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      let response;
+      try {
+        response = await fetch(buildProxyUrl(proxyUrl, feed.url), { signal: controller.signal });
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const xmlText = await readProxyResponse(response);
+      const parsed = parseFeed(xmlText);
+      const source = feed.name || parsed.title || hostname(feed.url);
+
+      const documents = toDocuments(
+        parsed.items.filter(item => item.title.length > 0),
+        { source }
+      );
+
+      if (documents.length === 0) {
+        throw new Error('No items found in feed');
+      }
+
+      console.log(`✓ Loaded ${documents.length} items from ${source}`);
+      return documents;
+
+    } catch (error) {
+      console.error(`Feed fetch attempt ${attempt} for ${feed.url} failed:`, error.message);
+
+      if (attempt === maxRetries) {
+        throw error;
+      }
+      const waitTime = attempt * 1000;
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+}
+
+/**
+ * Fetch all feeds in parallel, merge their items and drop cross-feed duplicates
+ * @param {Array<{url: string, name: string}>} feeds
+ * @param {Object} options - Passed to fetchFeed
+ * @returns {Promise<{documents: DocumentRecord[], failures: Object[], duplicates: number}>}
+ */
+export async function fetchFeeds(feeds, options = {}) {
+  const settled = await Promise.allSettled(feeds.map(feed => fetchFeed(feed, options)));
+
+  const merged = [];
+  const failures = [];
+  settled.forEach((result, idx) => {
+    if (result.status === 'fulfilled') {
+      merged.push(...result.value);
+    } else {
+      failures.push({ url: feeds[idx].url, error: result.reason.message });
+    }
+  });
+
+  const documents = deduplicateDocuments(merged);
+  const duplicates = merged.length - documents.length;
+
+  console.log(`✓ Merged ${documents.length} items from ${feeds.length - failures.length}/${feeds.length} feeds (${duplicates} duplicates dropped)`);
+  return { documents, failures, duplicates };
+}
+
+/**
+ * Drop documents that repeat an earlier one's URL or normalized title
+ * The first occurrence wins, so feed order decides which source tag is kept
+ */
+export function deduplicateDocuments(documents) {
+  const seenUrls = new Set();
+  const seenTitles = new Set();
+  const seenIds = new Set();
+
+  return documents.filter(doc => {
+    const urlKey = doc.url ? normalizeUrl(doc.url) : null;
+    const titleKey = normalizeTitle(doc.title);
+
+    if ((urlKey && seenUrls.has(urlKey)) || seenTitles.has(titleKey) || seenIds.has(doc.id)) {
+      return false;
+    }
+    if (urlKey) seenUrls.add(urlKey);
+    seenTitles.add(titleKey);
+    seenIds.add(doc.id);
+    return true;
+  });
+}
+
+function parseRSSItem(item) {
+  return {
+    title: childText(item, 'title') || '',
+    description: childText(item, 'description') || childText(item, 'encoded') || '',
+    url: childText(item, 'link'),
+    // RSS 2.0 uses <pubDate>, RSS 1.0 uses Dublin Core <dc:date>
+    date: childText(item, 'pubDate') || childText(item, 'date'),
+    id: childText(item, 'guid')
+  };
+}
+
+function parseAtomEntry(entry) {
+  const links = Array.from(entry.children).filter(el => el.localName === 'link');
+  const link = links.find(el => !el.getAttribute('rel') || el.getAttribute('rel') === 'alternate') || links[0];
+
+  return {
+    title: childText(entry, 'title') || '',
+    description: childText(entry, 'summary') || childText(entry, 'content') || '',
+    url: link ? link.getAttribute('href') : null,
+    date: childText(entry, 'published') || childText(entry, 'updated'),
+    id: childText(entry, 'id')
+  };
+}
+
+function findChild(element, localName) {
+  return Array.from(element.children).find(el => el.localName === localName) || null;
+}
+
+function childText(element, localName) {
+  const child = findChild(element, localName);
+  const text = child ? child.textContent.trim() : '';
+  return text.length > 0 ? text : null;
+}
+
+// allorigins' /get endpoint wraps the feed in JSON; raw proxies return the XML itself
+async function readProxyResponse(response) {
+  const body = await response.text();
+  const contentType = response.headers.get('content-type') || '';
+
+  if (contentType.includes('json') || body.trimStart().startsWith('{')) {
+    const data = JSON.parse(body);
+    if (!data.contents) {
+      throw new Error('No contents in proxy response');
+    }
+    return data.contents;
+  }
+  return body;
+}
+
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    // Tracking parameters and fragments differ between feeds for the same article
+    [...parsed.searchParams.keys()]
+      .filter(key => key.startsWith('utm_') || key === 'at_medium' || key === 'at_campaign')
+      .forEach(key => parsed.searchParams.delete(key));
+    parsed.hash = '';
+    return (parsed.hostname.replace(/^www\./, '') + parsed.pathname.replace(/\/$/, '') + parsed.search).toLowerCase();
+  } catch (err) {
+    return url.toLowerCase();
+  }
+}
+
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (err) {
+    return url;
+  }
+}
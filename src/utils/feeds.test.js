@@ -0,0 +1,186 @@
+import {
+  buildProxyUrl,
+  parseFeed,
+  fetchFeeds,
+  deduplicateDocuments,
+  loadFeedSettings,
+  saveFeedSettings,
+  DEFAULT_FEEDS,
+  DEFAULT_PROXY_URL
+} from './feeds';
+import { createDocument } from './documents';
+
+const RSS2 = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>World News</title>
+    <item>
+      <title>Summit ends with a deal</title>
+      <link>https://news.example/summit</link>
+      <description><![CDATA[<p>Leaders <b>agree</b>.</p>]]></description>
+      <pubDate>Mon, 06 May 2024 10:00:00 GMT</pubDate>
+      <guid>summit-1</guid>
+    </item>
+    <item>
+      <title>Markets rally</title>
+      <content:encoded>Shares rose.</content:encoded>
+    </item>
+  </channel>
+</rss>`;
+
+const RSS1 = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel><title>Science Daily</title></channel>
+  <item>
+    <title>New exoplanet found</title>
+    <link>https://science.example/exoplanet</link>
+    <dc:date>2024-05-06T08:00:00Z</dc:date>
+  </item>
+</rdf:RDF>`;
+
+const ATOM = `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Dev Blog</title>
+  <entry>
+    <title>Release 2.0</title>
+    <link rel="self" href="https://blog.example/feed/2"/>
+    <link rel="alternate" href="https://blog.example/release-2"/>
+    <id>tag:blog.example,2024:2</id>
+    <updated>2024-05-01T12:00:00Z</updated>
+    <summary>What changed.</summary>
+  </entry>
+</feed>`;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('buildProxyUrl', () => {
+  it('fills in or appends the encoded feed URL, or fetches directly without a proxy', () => {
+    const feed = 'https://news.example/rss?x=1&y=2';
+    const encoded = encodeURIComponent(feed);
+    expect(buildProxyUrl('https://proxy.example/get?url={url}&raw=1', feed)).toBe(`https://proxy.example/get?url=${encoded}&raw=1`);
+    expect(buildProxyUrl('https://proxy.example/', feed)).toBe(`https://proxy.example/${encoded}`);
+    expect(buildProxyUrl('', feed)).toBe(feed);
+  });
+});
+
+describe('parseFeed', () => {
+  it('reads RSS 2.0 items', () => {
+    const { title, items } = parseFeed(RSS2);
+    expect(title).toBe('World News');
+    expect(items).toEqual([
+      {
+        title: 'Summit ends with a deal',
+        description: '<p>Leaders <b>agree</b>.</p>',
+        url: 'https://news.example/summit',
+        date: 'Mon, 06 May 2024 10:00:00 GMT',
+        id: 'summit-1'
+      },
+      { title: 'Markets rally', description: 'Shares rose.', url: null, date: null, id: null }
+    ]);
+  });
+
+  it('reads RSS 1.0 items next to the channel, with Dublin Core dates', () => {
+    const { title, items } = parseFeed(RSS1);
+    expect(title).toBe('Science Daily');
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ title: 'New exoplanet found', date: '2024-05-06T08:00:00Z' });
+  });
+
+  it('reads Atom entries, preferring the alternate link', () => {
+    const { title, items } = parseFeed(ATOM);
+    expect(title).toBe('Dev Blog');
+    expect(items).toEqual([{
+      title: 'Release 2.0',
+      description: 'What changed.',
+      url: 'https://blog.example/release-2',
+      date: '2024-05-01T12:00:00Z',
+      id: 'tag:blog.example,2024:2'
+    }]);
+  });
+
+  it('rejects malformed XML', () => {
+    expect(() => parseFeed('<rss><channel>')).toThrow('XML parsing error');
+  });
+});
+
+describe('deduplicateDocuments', () => {
+  it('keeps the first of documents sharing a URL (ignoring tracking) or a title', () => {
+    const documents = [
+      createDocument({ title: 'Summit ends with a deal', url: 'https://www.news.example/summit?utm_source=rss', source: 'A' }),
+      createDocument({ title: 'Leaders agree at summit', url: 'https://news.example/summit/#top', source: 'B' }),
+      createDocument({ title: 'Summit ends with a deal!', url: 'https://other.example/1', source: 'C' }),
+      createDocument({ title: 'Markets rally', url: 'https://news.example/markets?page=2', source: 'D' }),
+      createDocument({ title: 'Markets fall', url: 'https://news.example/markets?page=3', source: 'E' })
+    ];
+    expect(deduplicateDocuments(documents).map(doc => doc.source)).toEqual(['A', 'D', 'E']);
+  });
+});
+
+describe('fetchFeeds', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const respond = (body, contentType) => ({
+    ok: true,
+    status: 200,
+    text: () => Promise.resolve(body),
+    headers: { get: () => contentType }
+  });
+
+  it('merges feeds through the proxy, tags sources and reports failures', async () => {
+    global.fetch = jest.fn((url) => {
+      if (url.includes('world')) return Promise.resolve(respond(JSON.stringify({ contents: RSS2 }), 'application/json'));
+      if (url.includes('blog')) return Promise.resolve(respond(ATOM, 'application/atom+xml'));
+      return Promise.resolve({ ok: false, status: 503 });
+    });
+    const feeds = [
+      { url: 'https://news.example/world.xml', name: 'World' },
+      { url: 'https://blog.example/feed', name: '' },
+      { url: 'https://down.example/rss', name: 'Down' }
+    ];
+
+    const { documents, failures, duplicates } = await fetchFeeds(feeds, { proxyUrl: 'https://proxy.example/?u={url}', maxRetries: 1 });
+
+    expect(global.fetch).toHaveBeenCalledWith(`https://proxy.example/?u=${encodeURIComponent(feeds[0].url)}`, expect.anything());
+    expect(documents.map(doc => [doc.title, doc.source])).toEqual([
+      ['Summit ends with a deal', 'World'],
+      ['Markets rally', 'World'],
+      ['Release 2.0', 'Dev Blog']
+    ]);
+    expect(documents[0].description).toBe('Leaders agree.');
+    expect(failures).toEqual([{ url: 'https://down.example/rss', error: 'HTTP 503' }]);
+    expect(duplicates).toBe(0);
+  });
+});
+
+describe('feed settings', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('falls back to the defaults and round-trips saved settings', () => {
+    expect(loadFeedSettings()).toEqual({ feeds: DEFAULT_FEEDS, proxyUrl: DEFAULT_PROXY_URL });
+    const settings = { feeds: [{ url: 'https://news.example/rss', name: 'News' }], proxyUrl: '' };
+    saveFeedSettings(settings);
+    expect(loadFeedSettings()).toEqual(settings);
+  });
+
+  it('ignores unreadable settings', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    window.localStorage.setItem('documentTopicMap.feeds', '{not json');
+    expect(loadFeedSettings()).toEqual({ feeds: DEFAULT_FEEDS, proxyUrl: DEFAULT_PROXY_URL });
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,309 @@
+// Browser-side parsing of local document collections (TXT, CSV/TSV, JSONL)
+// Every parser returns the same shape so the import UI can treat formats alike
+import { toDocuments } from './documents';
+
+// Fields that most likely hold document text, in order of preference
+const TEXT_FIELD_HINTS = ['title', 'headline', 'name', 'abstract', 'description', 'summary', 'text', 'content', 'body'];
+
+// Fields carried over as document metadata when present
+const METADATA_FIELD_HINTS = {
+  id: ['id', 'guid', 'uid', 'doc_id'],
+  url: ['url', 'link', 'href', 'permalink'],
+  date: ['date', 'pubdate', 'published', 'published_at', 'created_at', 'timestamp', 'updated']
+};
+
+/**
+ * Detect the file format from its extension, falling back to sniffing the content
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} text - Raw file contents
+ * @returns {'txt'|'csv'|'tsv'|'jsonl'}
+ */
+export function detectFormat(fileName, text) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+
+  if (extension === 'jsonl' || extension === 'ndjson') return 'jsonl';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'tsv') return 'tsv';
+  if (extension === 'txt') return 'txt';
+
+  const firstLine = text.split(/\r?\n/).find(line => line.trim().length > 0) || '';
+  if (firstLine.trim().startsWith('{')) return 'jsonl';
+  if (firstLine.includes('\t')) return 'tsv';
+  if (firstLine.includes(',')) return 'csv';
+  return 'txt';
+}
+
+/**
+ * Parse plain text with one document per line
+ */
+export function parseTXT(text) {
+  const rows = [];
+  const skipped = [];
+
+  // Trailing newlines are not worth reporting as skipped rows
+  text.replace(/\s+$/, '').split(/\r?\n/).forEach((line, idx) => {
+    const value = line.trim();
+    if (value.length === 0) {
+      skipped.push({ line: idx + 1, reason: 'empty line' });
+    } else {
+      rows.push({ line: idx + 1, values: { text: value } });
+    }
+  });
+
+  return { fields: ['text'], rows, skipped };
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting, quoted newlines, CRLF)
+ * The first record is used as the header row
+ */
+export function parseCSV(text, delimiter = ',') {
+  const records = splitDelimitedRecords(text, delimiter);
+  const skipped = [];
+
+  const headerRecord = records.find(record => !isBlankRecord(record.cells));
+  if (!headerRecord) {
+    return { fields: [], rows: [], skipped };
+  }
+
+  const fields = headerRecord.cells.map((cell, idx) => cell.trim() || `column_${idx + 1}`);
+  const rows = [];
+
+  records.forEach(record => {
+    if (record === headerRecord || record.line < headerRecord.line) return;
+
+    if (record.error) {
+      skipped.push({ line: record.line, reason: record.error });
+      return;
+    }
+    if (isBlankRecord(record.cells)) {
+      // Bare blank lines are layout, but a row of empty cells is an empty record
+      if (record.cells.length > 1) {
+        skipped.push({ line: record.line, reason: 'empty row' });
+      }
+      return;
+    }
+    if (record.cells.length !== fields.length) {
+      skipped.push({
+        line: record.line,
+        reason: `expected ${fields.length} columns, found ${record.cells.length}`
+      });
+      return;
+    }
+
+    const values = {};
+    fields.forEach((field, idx) => {
+      values[field] = record.cells[idx].trim();
+    });
+    rows.push({ line: record.line, values });
+  });
+
+  return { fields, rows, skipped };
+}
+
+/**
+ * Parse JSON Lines: one JSON object per line
+ * Nested objects are flattened into dotted field names (e.g. "meta.title")
+ */
+export function parseJSONL(text) {
+  const rows = [];
+  const skipped = [];
+  const fieldSet = new Set();
+
+  text.split(/\r?\n/).forEach((line, idx) => {
+    if (line.trim().length === 0) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (err) {
+      skipped.push({ line: idx + 1, reason: 'invalid JSON' });
+      return;
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      skipped.push({ line: idx + 1, reason: 'not a JSON object' });
+      return;
+    }
+
+    const values = flattenObject(parsed);
+    Object.keys(values).forEach(field => fieldSet.add(field));
+    rows.push({ line: idx + 1, values });
+  });
+
+  return { fields: [...fieldSet], rows, skipped };
+}
+
+/**
+ * Read and parse a File object from an <input type="file"> or drop event
+ * @param {File} file
+ * @returns {Promise<{format: string, fields: string[], rows: Object[], skipped: Object[]}>}
+ */
+export async function parseFile(file) {
+  const text = await file.text();
+  const format = detectFormat(file.name, text);
+
+  let parsed;
+  if (format === 'jsonl') {
+    parsed = parseJSONL(text);
+  } else if (format === 'csv') {
+    parsed = parseCSV(text, ',');
+  } else if (format === 'tsv') {
+    parsed = parseCSV(text, '\t');
+  } else {
+    parsed = parseTXT(text);
+  }
+
+  console.log(`✓ Parsed ${file.name} as ${format.toUpperCase()}: ${parsed.rows.length} rows, ${parsed.skipped.length} skipped`);
+  return { format, ...parsed };
+}
+
+/**
+ * Pick the fields most likely to contain document text
+ */
+export function suggestTextFields(fields) {
+  for (const hint of TEXT_FIELD_HINTS) {
+    const match = fields.find(field => field.toLowerCase() === hint);
+    if (match) return [match];
+  }
+  return fields.length > 0 ? [fields[0]] : [];
+}
+
+/**
+ * Find fields holding document metadata (id, url, date) by name
+ * @returns {{id: string|null, url: string|null, date: string|null}}
+ */
+export function suggestMetadataFields(fields) {
+  const metadataFields = {};
+  Object.entries(METADATA_FIELD_HINTS).forEach(([key, hints]) => {
+    metadataFields[key] = fields.find(field => hints.includes(field.toLowerCase())) || null;
+  });
+  return metadataFields;
+}
+
+/**
+ * Turn parsed rows into document records
+ * The selected text fields are joined into the title; rows whose selected fields
+ * are all empty are reported as skipped
+ * @param {Object[]} rows - Parsed rows ({ line, values })
+ * @param {string[]} textFields - Fields to concatenate, in order
+ * @param {Object} options - { metadataFields, source, separator }
+ * @returns {{documents: DocumentRecord[], skipped: Object[]}}
+ */
+export function buildDocuments(rows, textFields, options = {}) {
+  const { metadataFields = {}, source = null, separator = '. ' } = options;
+  const items = [];
+  const skipped = [];
+
+  rows.forEach(row => {
+    const parts = textFields
+      .map(field => row.values[field])
+      .filter(value => value !== undefined && value !== null)
+      .map(value => String(value).replace(/\s+/g, ' ').trim())
+      .filter(value => value.length > 0);
+
+    if (parts.length === 0) {
+      skipped.push({ line: row.line, reason: 'selected fields are empty' });
+      return;
+    }
+
+    const metadataValue = (key) => {
+      const field = metadataFields[key];
+      const value = field ? row.values[field] : null;
+      return value === undefined || value === null || value === '' ? null : String(value);
+    };
+
+    items.push({
+      title: parts.join(separator),
+      id: metadataValue('id'),
+      url: metadataValue('url'),
+      date: metadataValue('date'),
+      source
+    });
+  });
+
+  return { documents: toDocuments(items), skipped };
+}
+
+function splitDelimitedRecords(text, delimiter) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+
+  const endRecord = () => {
+    cells.push(cell);
+    records.push({ line: recordLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && cell.trim().length === 0) {
+      cell = '';
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      endRecord();
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    // An unterminated quote swallows the rest of the file; report it rather than guessing
+    records.push({ line: recordLine, cells: [], error: 'unterminated quoted field' });
+  } else if (cell.length > 0 || cells.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+function isBlankRecord(cells) {
+  return cells.every(cell => cell.trim().length === 0);
+}
+
+function flattenObject(object, prefix = '') {
+  const values = {};
+
+  Object.entries(object).forEach(([key, value]) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(values, flattenObject(value, field));
+    } else if (Array.isArray(value)) {
+      values[field] = value.filter(item => typeof item !== 'object').join(', ');
+    } else {
+      values[field] = value;
+    }
+  });
+
+  return values;
+}
@@ -0,0 +1,116 @@
+import {
+  detectFormat,
+  parseTXT,
+  parseCSV,
+  parseJSONL,
+  suggestTextFields,
+  suggestMetadataFields,
+  buildDocuments
+} from './fileImport';
+
+describe('detectFormat', () => {
+  it('trusts the extension, then sniffs the first non-empty line', () => {
+    expect(detectFormat('papers.NDJSON', 'a,b')).toBe('jsonl');
+    expect(detectFormat('titles.txt', 'a,b')).toBe('txt');
+    expect(detectFormat('export', '\n{"title": "x"}')).toBe('jsonl');
+    expect(detectFormat('export', 'title\tdate')).toBe('tsv');
+    expect(detectFormat('export', 'title,date')).toBe('csv');
+    expect(detectFormat('export', 'just a title')).toBe('txt');
+  });
+});
+
+describe('parseTXT', () => {
+  it('reads one document per line and reports blank lines but not trailing ones', () => {
+    const parsed = parseTXT('first title\r\n\n  second title  \n\n');
+    expect(parsed.fields).toEqual(['text']);
+    expect(parsed.rows).toEqual([
+      { line: 1, values: { text: 'first title' } },
+      { line: 3, values: { text: 'second title' } }
+    ]);
+    expect(parsed.skipped).toEqual([{ line: 2, reason: 'empty line' }]);
+  });
+});
+
+describe('parseCSV', () => {
+  it('handles quoted delimiters, escaped quotes, quoted newlines and CRLF', () => {
+    const parsed = parseCSV('title,year\r\n"Graphs, again",2020\r\n"He said ""hi""\nthen left",2021\r\n');
+    expect(parsed.fields).toEqual(['title', 'year']);
+    expect(parsed.rows).toEqual([
+      { line: 2, values: { title: 'Graphs, again', year: '2020' } },
+      { line: 3, values: { title: 'He said "hi"\nthen left', year: '2021' } }
+    ]);
+    expect(parsed.skipped).toEqual([]);
+  });
+
+  it('skips rows with the wrong column count or no values, and names blank headers', () => {
+    const parsed = parseCSV('title,\nonly one\n,\n\nok,1\n');
+    expect(parsed.fields).toEqual(['title', 'column_2']);
+    expect(parsed.rows).toEqual([{ line: 5, values: { title: 'ok', column_2: '1' } }]);
+    expect(parsed.skipped).toEqual([
+      { line: 2, reason: 'expected 2 columns, found 1' },
+      { line: 3, reason: 'empty row' }
+    ]);
+  });
+
+  it('reports an unterminated quote instead of swallowing the file', () => {
+    const parsed = parseCSV('title\tyear\nok\t1\n"broken\t2\nlost\t3', '\t');
+    expect(parsed.rows).toHaveLength(1);
+    expect(parsed.skipped).toEqual([{ line: 3, reason: 'unterminated quoted field' }]);
+  });
+});
+
+describe('parseJSONL', () => {
+  it('flattens nested objects and reports lines that are not objects', () => {
+    const parsed = parseJSONL([
+      '{"title": "A", "meta": {"url": "https://a.example"}, "tags": ["x", "y"]}',
+      '',
+      '{"title": "B", "date": "2024-01-02"}',
+      'not json',
+      '[1, 2]'
+    ].join('\n'));
+    expect(parsed.fields).toEqual(['title', 'meta.url', 'tags', 'date']);
+    expect(parsed.rows[0].values).toEqual({ title: 'A', 'meta.url': 'https://a.example', tags: 'x, y' });
+    expect(parsed.rows[1].line).toBe(3);
+    expect(parsed.skipped).toEqual([
+      { line: 4, reason: 'invalid JSON' },
+      { line: 5, reason: 'not a JSON object' }
+    ]);
+  });
+});
+
+describe('field suggestions', () => {
+  it('prefers title-like text fields and falls back to the first field', () => {
+    expect(suggestTextFields(['id', 'Abstract', 'Title'])).toEqual(['Title']);
+    expect(suggestTextFields(['col_a', 'col_b'])).toEqual(['col_a']);
+    expect(suggestTextFields([])).toEqual([]);
+  });
+
+  it('finds metadata fields by name', () => {
+    expect(suggestMetadataFields(['GUID', 'title', 'link', 'published_at'])).toEqual({
+      id: 'GUID',
+      url: 'link',
+      date: 'published_at'
+    });
+    expect(suggestMetadataFields(['title'])).toEqual({ id: null, url: null, date: null });
+  });
+});
+
+describe('buildDocuments', () => {
+  const rows = [
+    { line: 2, values: { title: 'Graph  networks', abstract: 'We study graphs.', link: 'https://g.example', date: '2024-03-01' } },
+    { line: 3, values: { title: '', abstract: '  ' } },
+    { line: 4, values: { title: 'Only a title', abstract: null, link: '', date: 'not a date' } }
+  ];
+
+  it('joins the selected fields in order and skips rows where they are all empty', () => {
+    const { documents, skipped } = buildDocuments(rows, ['title', 'abstract'], {
+      metadataFields: { id: null, url: 'link', date: 'date' },
+      source: 'papers.csv'
+    });
+    expect(documents.map(doc => doc.title)).toEqual(['Graph networks. We study graphs.', 'Only a title']);
+    expect(documents[0]).toMatchObject({ id: 'https://g.example', url: 'https://g.example', source: 'papers.csv' });
+    expect(documents[0].date).toBe(new Date('2024-03-01').toISOString());
+    expect(documents[1]).toMatchObject({ url: null, date: null });
+    expect(skipped).toEqual([{ line: 3, reason: 'selected fields are empty' }]);
+  });
+});
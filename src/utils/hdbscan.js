@@ -0,0 +1,332 @@
+// HDBSCAN (Campello, Moulavi & Sander 2013), following the reference Python hdbscan library:
+// core distances → mutual reachability → minimum spanning tree → single-linkage tree
+// → condensed tree → cluster selection by excess of mass (EOM) or leaves.
+// Distances are computed on the fly, so memory stays O(n) while time is O(n²).
+
+import { euclideanDistance } from './distance';
+
+/**
+ * @typedef {Object} HDBSCANResult
+ * @property {number[]} labels - Cluster per point, -1 for noise
+ * @property {number[]} probabilities - Strength of each point's cluster membership (0 to 1, 0 for noise)
+ * @property {number[]} outlierScores - GLOSH outlier score per point (0 = core of its cluster, 1 = extreme outlier)
+ */
+
+/**
+ * Cluster points with HDBSCAN
+ * @param {number[][]} points
+ * @param {Object} options
+ * @param {number} options.minClusterSize - Smallest group that counts as a cluster
+ * @param {number} options.minSamples - Neighbors (including the point) defining core distance; higher is more conservative
+ * @param {'eom'|'leaf'} options.selectionMethod - Excess of mass favours large stable clusters, leaf gives fine-grained ones
+ * @param {boolean} options.allowSingleCluster - Allow all points as one cluster when that is the most stable choice
+ * @param {function} options.distance - Distance between two points (default Euclidean)
+ * @returns {HDBSCANResult}
+ */
+export function hdbscan(points, options = {}) {
+  const n = points.length;
+  const {
+    minClusterSize = 5,
+    minSamples = minClusterSize,
+    selectionMethod = 'eom',
+    allowSingleCluster = false,
+    distance = euclideanDistance
+  } = options;
+
+  if (n === 0) {
+    return { labels: [], probabilities: [], outlierScores: [] };
+  }
+  if (n === 1) {
+    return { labels: [-1], probabilities: [0], outlierScores: [0] };
+  }
+
+  const coreDistances = computeCoreDistances(points, Math.min(minSamples, n), distance);
+  const mst = mutualReachabilityMST(points, coreDistances, distance);
+  const linkage = singleLinkageTree(mst, n);
+  const tree = condenseTree(linkage, n, Math.max(2, minClusterSize));
+  const selected = selectClusters(tree, selectionMethod, allowSingleCluster);
+
+  return labelPoints(tree, selected, n);
+}
+
+// Distance to the k-th nearest neighbor, counting the point itself (so k = 1 gives 0)
+function computeCoreDistances(points, k, distance) {
+  const n = points.length;
+  const coreDistances = new Float64Array(n);
+  if (k <= 1) return coreDistances;
+
+  // Keep the k - 1 smallest distances to other points in a sorted buffer
+  const nearest = new Float64Array(k - 1);
+  for (let i = 0; i < n; i++) {
+    nearest.fill(Infinity);
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      const d = distance(points[i], points[j]);
+      if (d >= nearest[k - 2]) continue;
+
+      let pos = k - 2;
+      while (pos > 0 && nearest[pos - 1] > d) {
+        nearest[pos] = nearest[pos - 1];
+        pos--;
+      }
+      nearest[pos] = d;
+    }
+    coreDistances[i] = nearest[k - 2];
+  }
+  return coreDistances;
+}
+
+// Prim's algorithm on the complete mutual reachability graph
+// mreach(a, b) = max(core(a), core(b), d(a, b))
+function mutualReachabilityMST(points, coreDistances, distance) {
+  const n = points.length;
+  const inTree = new Uint8Array(n);
+  const bestDistance = new Float64Array(n).fill(Infinity);
+  const bestSource = new Int32Array(n);
+  const edges = [];
+
+  let current = 0;
+  inTree[0] = 1;
+
+  for (let added = 1; added < n; added++) {
+    let next = -1;
+    let nextDistance = Infinity;
+
+    for (let j = 0; j < n; j++) {
+      if (inTree[j]) continue;
+
+      const reachability = Math.max(
+        coreDistances[current],
+        coreDistances[j],
+        distance(points[current], points[j])
+      );
+      if (reachability < bestDistance[j]) {
+        bestDistance[j] = reachability;
+        bestSource[j] = current;
+      }
+      if (bestDistance[j] < nextDistance) {
+        nextDistance = bestDistance[j];
+        next = j;
+      }
+    }
+
+    inTree[next] = 1;
+    edges.push({ from: bestSource[next], to: next, weight: nextDistance });
+    current = next;
+  }
+
+  return edges.sort((a, b) => a.weight - b.weight);
+}
+
+// Merge MST edges in order of weight. Node ids below n are points; merge i creates node n + i.
+function singleLinkageTree(mst, n) {
+  const parent = new Int32Array(2 * n - 1).map((_, idx) => idx);
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+
+  // Exact duplicates have weight 0; treat them as merging just before anything else
+  const positiveWeights = mst.map(edge => edge.weight).filter(weight => weight > 0);
+  const minWeight = positiveWeights.length > 0 ? positiveWeights[0] / 2 : 1;
+
+  const left = new Int32Array(n - 1);
+  const right = new Int32Array(n - 1);
+  const lambdas = new Float64Array(n - 1);
+  const sizes = new Int32Array(2 * n - 1).fill(1);
+
+  mst.forEach(({ from, to, weight }, i) => {
+    const a = find(from);
+    const b = find(to);
+    const node = n + i;
+
+    left[i] = a;
+    right[i] = b;
+    lambdas[i] = 1 / Math.max(weight, minWeight);
+    sizes[node] = sizes[a] + sizes[b];
+    parent[a] = node;
+    parent[b] = node;
+  });
+
+  return { left, right, lambdas, sizes };
+}
+
+/**
+ * Walk the single-linkage tree from the root, keeping only splits where both sides
+ * have at least minClusterSize points. Smaller sides "fall out" of their cluster as points.
+ * Clusters get ids in creation order, so a child's id is always greater than its parent's.
+ */
+function condenseTree(linkage, n, minClusterSize) {
+  const { left, right, lambdas, sizes } = linkage;
+  const root = 2 * n - 2;
+
+  const clusterOf = new Int32Array(2 * n - 1).fill(-1);
+  const clusterParent = [-1];
+  const clusterBirth = [0];
+  const clusterSize = [n];
+  const pointCluster = new Int32Array(n).fill(-1);
+  const pointLambda = new Float64Array(n);
+
+  clusterOf[root] = 0;
+
+  const addCluster = (node, parentCluster, lambda) => {
+    const id = clusterParent.length;
+    clusterParent.push(parentCluster);
+    clusterBirth.push(lambda);
+    clusterSize.push(sizes[node]);
+    clusterOf[node] = id;
+  };
+
+  // Every point under node leaves the cluster at lambda
+  const dropPoints = (node, cluster, lambda) => {
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current < n) {
+        pointCluster[current] = cluster;
+        pointLambda[current] = lambda;
+      } else {
+        stack.push(left[current - n], right[current - n]);
+      }
+    }
+  };
+
+  // Parents have larger node ids than their children, so this visits top-down
+  for (let node = root; node >= n; node--) {
+    const cluster = clusterOf[node];
+    if (cluster === -1) continue; // Already dropped as part of a small side
+
+    const i = node - n;
+    const lambda = lambdas[i];
+    const sides = [left[i], right[i]];
+    const bigSides = sides.filter(side => sizes[side] >= minClusterSize);
+
+    if (bigSides.length === 2) {
+      sides.forEach(side => {
+        if (side < n) {
+          // Only possible with minClusterSize 1; clamped to 2 by the caller
+          dropPoints(side, cluster, lambda);
+        } else {
+          addCluster(side, cluster, lambda);
+        }
+      });
+    } else {
+      sides.forEach(side => {
+        if (bigSides.includes(side) && side >= n) {
+          clusterOf[side] = cluster; // The cluster carries on under this node
+        } else {
+          dropPoints(side, cluster, lambda);
+        }
+      });
+    }
+  }
+
+  const clusterCount = clusterParent.length;
+  const children = Array.from({ length: clusterCount }, () => []);
+  for (let c = 1; c < clusterCount; c++) {
+    children[clusterParent[c]].push(c);
+  }
+
+  // Stability: Σ (lambda leaving the cluster - lambda the cluster was born) over its points
+  const stability = new Float64Array(clusterCount);
+  for (let p = 0; p < n; p++) {
+    const c = pointCluster[p];
+    stability[c] += pointLambda[p] - clusterBirth[c];
+  }
+  for (let c = 1; c < clusterCount; c++) {
+    const parentCluster = clusterParent[c];
+    stability[parentCluster] += (clusterBirth[c] - clusterBirth[parentCluster]) * clusterSize[c];
+  }
+
+  return { clusterParent, clusterBirth, children, stability, pointCluster, pointLambda };
+}
+
+function selectClusters(tree, selectionMethod, allowSingleCluster) {
+  const { clusterParent, children, stability } = tree;
+  const clusterCount = clusterParent.length;
+  const selected = new Uint8Array(clusterCount);
+
+  const deselectDescendants = (cluster) => {
+    const stack = [...children[cluster]];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      selected[current] = 0;
+      stack.push(...children[current]);
+    }
+  };
+
+  // The root (all points as one cluster) is only a candidate when allowed
+  const firstCandidate = allowSingleCluster ? 0 : 1;
+
+  if (selectionMethod === 'leaf') {
+    for (let c = firstCandidate; c < clusterCount; c++) {
+      selected[c] = children[c].length === 0 ? 1 : 0;
+    }
+  } else {
+    // Excess of mass: keep a cluster unless its descendants together are more stable
+    const subtreeStability = Float64Array.from(stability);
+    for (let c = clusterCount - 1; c >= firstCandidate; c--) {
+      const childStability = children[c].reduce((sum, child) => sum + subtreeStability[child], 0);
+      if (children[c].length > 0 && childStability > stability[c]) {
+        subtreeStability[c] = childStability;
+      } else {
+        selected[c] = 1;
+        deselectDescendants(c);
+      }
+    }
+  }
+
+  return selected;
+}
+
+function labelPoints(tree, selected, n) {
+  const { clusterParent, pointCluster, pointLambda } = tree;
+  const clusterCount = clusterParent.length;
+
+  // Selected cluster containing each condensed cluster, if any (parents come before children)
+  const selectedAncestor = new Int32Array(clusterCount).fill(-1);
+  for (let c = 0; c < clusterCount; c++) {
+    if (selected[c]) {
+      selectedAncestor[c] = c;
+    } else if (c > 0) {
+      selectedAncestor[c] = selectedAncestor[clusterParent[c]];
+    }
+  }
+
+  // Largest lambda reached by any point in each cluster's subtree
+  const maxLambda = new Float64Array(clusterCount);
+  for (let p = 0; p < n; p++) {
+    const c = pointCluster[p];
+    maxLambda[c] = Math.max(maxLambda[c], pointLambda[p]);
+  }
+  for (let c = clusterCount - 1; c >= 1; c--) {
+    const parentCluster = clusterParent[c];
+    maxLambda[parentCluster] = Math.max(maxLambda[parentCluster], maxLambda[c]);
+  }
+
+  const labelIds = new Map();
+  for (let c = 0; c < clusterCount; c++) {
+    if (selected[c]) labelIds.set(c, labelIds.size);
+  }
+
+  const labels = new Array(n).fill(-1);
+  const probabilities = new Array(n).fill(0);
+  const outlierScores = new Array(n).fill(0);
+
+  for (let p = 0; p < n; p++) {
+    const lambda = pointLambda[p];
+    const ownMax = maxLambda[pointCluster[p]];
+    outlierScores[p] = ownMax > 0 ? (ownMax - lambda) / ownMax : 0;
+
+    const cluster = selectedAncestor[pointCluster[p]];
+    if (cluster === -1) continue;
+
+    labels[p] = labelIds.get(cluster);
+    probabilities[p] = maxLambda[cluster] > 0 ? Math.min(lambda, maxLambda[cluster]) / maxLambda[cluster] : 1;
+  }
+
+  return { labels, probabilities, outlierScores };
+}
@@ -0,0 +1,68 @@
+import { hdbscan } from './hdbscan';
+import { cosineDistance } from './distance';
+
+// Deterministic blob of points (LCG) spread over a square of the given size around a center
+function blob([cx, cy], count, size, seed = 1) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296 - 0.5;
+  };
+  return Array.from({ length: count }, () => [cx + next() * size, cy + next() * size]);
+}
+
+describe('hdbscan', () => {
+  it('finds separated clusters and flags a distant point as noise', () => {
+    const points = [...blob([0, 0], 20, 1), ...blob([10, 10], 20, 1, 2), [5, -20]];
+    const { labels, probabilities, outlierScores } = hdbscan(points, { minClusterSize: 5 });
+
+    expect(new Set(labels.slice(0, 20)).size).toBe(1);
+    expect(new Set(labels.slice(20, 40)).size).toBe(1);
+    expect(labels[0]).not.toBe(labels[20]);
+    expect(labels[0]).not.toBe(-1);
+    expect(labels[20]).not.toBe(-1);
+    expect(labels[40]).toBe(-1);
+
+    expect(probabilities[40]).toBe(0);
+    probabilities.slice(0, 40).forEach(p => {
+      expect(p).toBeGreaterThan(0);
+      expect(p).toBeLessThanOrEqual(1);
+    });
+    expect(outlierScores[40]).toBeGreaterThan(0.9);
+    expect(Math.max(...outlierScores.slice(0, 40))).toBeLessThan(outlierScores[40]);
+  });
+
+  it('splits nested clusters further with leaf selection', () => {
+    // Two close groups on the left, one far group on the right
+    const points = [...blob([0, 0], 15, 1, 2), ...blob([1.5, 0], 15, 1, 12), ...blob([40, 0], 30, 1, 22)];
+    const clusterCount = (labels) => new Set(labels.filter(label => label !== -1)).size;
+    const eom = hdbscan(points, { minClusterSize: 5 });
+    const leaf = hdbscan(points, { minClusterSize: 5, selectionMethod: 'leaf' });
+    expect(clusterCount(eom.labels)).toBe(2);
+    expect(new Set(eom.labels.slice(0, 30)).size).toBe(1);
+    expect(clusterCount(leaf.labels)).toBeGreaterThan(2);
+  });
+
+  it('returns one cluster for a single blob only when allowed', () => {
+    const points = blob([0, 0], 30, 1, 2);
+    expect(new Set(hdbscan(points, { minClusterSize: 5 }).labels)).toEqual(new Set([-1]));
+    expect(new Set(hdbscan(points, { minClusterSize: 5, allowSingleCluster: true }).labels)).toEqual(new Set([0]));
+  });
+
+  it('accepts another distance', () => {
+    // Two directions, with varying lengths that cosine distance ignores
+    const points = [
+      ...Array.from({ length: 10 }, (_, i) => [1 + i, 0.05 * (i % 3)]),
+      ...Array.from({ length: 10 }, (_, i) => [0.05 * (i % 3), 1 + i])
+    ];
+    const { labels } = hdbscan(points, { minClusterSize: 5, distance: cosineDistance });
+    expect(new Set(labels.slice(0, 10)).size).toBe(1);
+    expect(new Set(labels.slice(10)).size).toBe(1);
+    expect(labels[0]).not.toBe(labels[10]);
+  });
+
+  it('handles empty and single-point input', () => {
+    expect(hdbscan([])).toEqual({ labels: [], probabilities: [], outlierScores: [] });
+    expect(hdbscan([[1, 2]])).toEqual({ labels: [-1], probabilities: [0], outlierScores: [0] });
+  });
+});
@@ -0,0 +1,143 @@
+// Static k-d tree for Euclidean neighbor queries on low-dimensional points (e.g. UMAP coordinates)
+// Built once in O(n log n); radius and k-nearest queries take roughly O(log n) each for small results.
+
+/**
+ * Build a k-d tree over points
+ * The tree is an implicit binary tree over a permutation of point indices:
+ * the median of each range splits it, alternating axes by depth.
+ *
+ * @param {number[][]} points - Points of equal dimension
+ * @returns {{ radiusSearch: function, kNearest: function }}
+ */
+export function buildKDTree(points) {
+  const n = points.length;
+  const dimensions = n > 0 ? points[0].length : 0;
+  const indices = new Int32Array(n).map((_, idx) => idx);
+
+  const arrange = (lo, hi, depth) => {
+    if (hi - lo <= 1) return;
+    const mid = (lo + hi) >> 1;
+    selectNth(points, indices, lo, hi - 1, mid, depth % dimensions);
+    arrange(lo, mid, depth + 1);
+    arrange(mid + 1, hi, depth + 1);
+  };
+  arrange(0, n, 0);
+
+  /**
+   * Indices of all points within radius of query (inclusive), in no particular order
+   * @param {number[]} query
+   * @param {number} radius
+   * @returns {number[]}
+   */
+  const radiusSearch = (query, radius) => {
+    const radiusSquared = radius * radius;
+    const found = [];
+
+    const visit = (lo, hi, depth) => {
+      if (lo >= hi) return;
+      const mid = (lo + hi) >> 1;
+      const idx = indices[mid];
+      const axis = depth % dimensions;
+
+      if (squaredDistance(query, points[idx]) <= radiusSquared) {
+        found.push(idx);
+      }
+
+      const diff = query[axis] - points[idx][axis];
+      if (diff <= radius) visit(lo, mid, depth + 1);
+      if (diff >= -radius) visit(mid + 1, hi, depth + 1);
+    };
+
+    visit(0, n, 0);
+    return found;
+  };
+
+  /**
+   * The k points closest to query, nearest first
+   * @param {number[]} query
+   * @param {number} k
+   * @param {number} [excludeIndex] - Point to skip, e.g. the query point itself
+   * @returns {{index: number, distance: number}[]}
+   */
+  const kNearest = (query, k, excludeIndex = -1) => {
+    // Sorted by squared distance; k is small, so insertion beats a heap
+    const best = [];
+
+    const consider = (idx) => {
+      if (idx === excludeIndex) return;
+      const distanceSquared = squaredDistance(query, points[idx]);
+      if (best.length === k && distanceSquared >= best[k - 1].distanceSquared) return;
+
+      let pos = best.length === k ? k - 1 : best.length;
+      if (best.length < k) best.push(null);
+      while (pos > 0 && best[pos - 1].distanceSquared > distanceSquared) {
+        best[pos] = best[pos - 1];
+        pos--;
+      }
+      best[pos] = { index: idx, distanceSquared };
+    };
+
+    const visit = (lo, hi, depth) => {
+      if (lo >= hi) return;
+      const mid = (lo + hi) >> 1;
+      const idx = indices[mid];
+      const axis = depth % dimensions;
+      consider(idx);
+
+      const diff = query[axis] - points[idx][axis];
+      const [near, far] = diff <= 0
+        ? [[lo, mid], [mid + 1, hi]]
+        : [[mid + 1, hi], [lo, mid]];
+
+      visit(near[0], near[1], depth + 1);
+      // Only cross the split if the k-th best could be on the other side
+      if (best.length < k || diff * diff < best[best.length - 1].distanceSquared) {
+        visit(far[0], far[1], depth + 1);
+      }
+    };
+
+    if (k > 0) visit(0, n, 0);
+    return best.map(({ index, distanceSquared }) => ({ index, distance: Math.sqrt(distanceSquared) }));
+  };
+
+  return { radiusSearch, kNearest };
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+// Quickselect: reorder indices[lo..hi] so indices[nth] holds the point with the nth smallest
+// coordinate on axis, smaller ones before it and larger ones after
+function selectNth(points, indices, lo, hi, nth, axis) {
+  while (hi > lo) {
+    const pivot = points[indices[(lo + hi) >> 1]][axis];
+    let i = lo;
+    let j = hi;
+
+    while (i <= j) {
+      while (points[indices[i]][axis] < pivot) i++;
+      while (points[indices[j]][axis] > pivot) j--;
+      if (i <= j) {
+        const tmp = indices[i];
+        indices[i] = indices[j];
+        indices[j] = tmp;
+        i++;
+        j--;
+      }
+    }
+
+    if (nth <= j) {
+      hi = j;
+    } else if (nth >= i) {
+      lo = i;
+    } else {
+      return;
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import { buildKDTree } from './kdTree';
+
+// Deterministic pseudo-random points (LCG), so failures reproduce
+function randomPoints(count, dimensions, seed = 1) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dimensions }, next));
+}
+
+const distance = (a, b) => Math.sqrt(a.reduce((sum, value, d) => sum + (value - b[d]) ** 2, 0));
+
+describe('buildKDTree', () => {
+  const points = randomPoints(300, 3);
+  const tree = buildKDTree(points);
+
+  it('finds exactly the points within a radius, including the query point', () => {
+    points.slice(0, 20).forEach(query => {
+      const expected = points
+        .map((point, idx) => [idx, distance(query, point)])
+        .filter(([, d]) => d <= 0.2)
+        .map(([idx]) => idx)
+        .sort((a, b) => a - b);
+      expect([...tree.radiusSearch(query, 0.2)].sort((a, b) => a - b)).toEqual(expected);
+    });
+  });
+
+  it('returns the k nearest points in order, skipping the excluded index', () => {
+    points.slice(0, 20).forEach((query, queryIdx) => {
+      const expected = points
+        .map((point, idx) => ({ index: idx, distance: distance(query, point) }))
+        .filter(({ index }) => index !== queryIdx)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 5);
+      const nearest = tree.kNearest(query, 5, queryIdx);
+      expect(nearest.map(({ index }) => index)).toEqual(expected.map(({ index }) => index));
+      nearest.forEach(({ distance: d }, i) => expect(d).toBeCloseTo(expected[i].distance, 10));
+    });
+  });
+
+  it('handles empty trees and k larger than the point count', () => {
+    expect(buildKDTree([]).radiusSearch([0, 0], 1)).toEqual([]);
+    expect(buildKDTree([[0, 0], [1, 1]]).kNearest([0, 0], 5)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,213 @@
+// Optional topic titles and descriptions from a chat model behind an OpenAI-compatible endpoint
+// (a local llama.cpp server, Ollama, LM Studio, ...). Each topic's keywords and representative
+// documents go into one request; keyword labels stay as the fallback when the endpoint fails.
+
+import { CancelledError } from './cancellation';
+
+const STORAGE_KEY = 'documentTopicMap.llmLabels';
+
+// baseUrl: the API root, requests go to `${baseUrl}/chat/completions` (Ollama: http://localhost:11434/v1,
+// llama.cpp: http://localhost:8080/v1); apiKey is sent as a Bearer token when set
+export const DEFAULT_LLM_SETTINGS = {
+  enabled: false,
+  baseUrl: 'http://localhost:11434/v1',
+  model: 'llama3.2',
+  apiKey: '',
+  timeoutMs: 30000
+};
+
+const SYSTEM_PROMPT = 'You name topics found by clustering documents. Reply with JSON only, as ' +
+  '{"title": "...", "description": "..."}: a title of at most five words, and a one-sentence description.';
+
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Chat messages asking for one topic's title and description
+ * @param {string[]} keywords - Top keywords, most relevant first
+ * @param {string[]} documents - Representative document titles
+ * @returns {{role: string, content: string}[]}
+ */
+export function buildLabelMessages(keywords, documents) {
+  const lines = [`Keywords: ${keywords.join(', ')}`];
+  if (documents.length > 0) {
+    lines.push('Representative documents:', ...documents.map(title => `- ${title}`));
+  }
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: lines.join('\n') }
+  ];
+}
+
+/**
+ * Title and description from a model reply: JSON if there is any (code fences allowed),
+ * otherwise the first line as title and the rest as description
+ * @param {string} content
+ * @returns {{title: string, description: string}|null} - null for an empty reply
+ */
+export function parseLabelReply(content) {
+  const text = (content || '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  let title = '';
+  let description = '';
+  let rest = text;
+
+  if (start !== -1 && end > start) {
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      title = typeof parsed.title === 'string' ? parsed.title : '';
+      description = typeof parsed.description === 'string' ? parsed.description : '';
+      // Without a title in the JSON, look for one in the text around it
+      rest = text.slice(0, start) + text.slice(end + 1);
+    } catch (err) {
+      // Not JSON after all; read it as plain text
+    }
+  }
+  if (!title) {
+    const lines = rest.replace(/```\w*/g, '').split('\n').map(line => line.trim()).filter(Boolean);
+    title = lines[0] || '';
+    description = description || lines.slice(1).join(' ');
+  }
+
+  title = title.replace(/^(title:\s*)/i, '').replace(/^["'*]+|["'*.]+$/g, '').trim().slice(0, MAX_TITLE_LENGTH);
+  return title ? { title, description: description.trim() } : null;
+}
+
+/**
+ * Ask the endpoint for one topic's label
+ * @param {{role: string, content: string}[]} messages
+ * @param {Object} settings - See DEFAULT_LLM_SETTINGS
+ * @param {AbortSignal} [signal] - Cancels the request with a CancelledError
+ * @returns {Promise<string>} - The reply's text
+ */
+export async function requestChatCompletion(messages, settings, signal = null) {
+  const { baseUrl, model, apiKey, timeoutMs } = { ...DEFAULT_LLM_SETTINGS, ...settings };
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener('abort', cancel);
+
+  try {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({ model, messages, temperature: 0.2, max_tokens: 150, stream: false }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${baseUrl}`);
+    }
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    return choice && choice.message ? choice.message.content : '';
+  } catch (err) {
+    if (signal && signal.aborted) throw new CancelledError();
+    if (timedOut) throw new Error(`No reply from ${baseUrl} within ${timeoutMs / 1000} s`);
+    // fetch rejects with a TypeError when the server is down or blocks cross-origin requests
+    if (err instanceof TypeError) throw new Error(`Could not reach ${baseUrl} (${err.message})`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Title and describe every topic, one request at a time (local servers run one model)
+ * The first failed request (timeout, network or HTTP error) ends labeling: topics labeled so far
+ * keep their labels and the error is reported, so the rest fall back to keyword labels.
+ * @param {{id: number, keywords: string[], documents: string[]}[]} topics
+ * @param {Object} settings - See DEFAULT_LLM_SETTINGS
+ * @param {Object} options - { onProgress(fraction), signal }
+ * @returns {Promise<{model: string, labels: Object<number, {title: string, description: string}>, error: string|null}>}
+ */
+export async function generateLLMLabels(topics, settings, options = {}) {
+  const { onProgress = () => {}, signal = null } = options;
+  const labels = {};
+  let error = null;
+
+  for (let i = 0; i < topics.length; i++) {
+    const { id, keywords, documents } = topics[i];
+    try {
+      const reply = await requestChatCompletion(buildLabelMessages(keywords, documents), settings, signal);
+      const label = parseLabelReply(reply);
+      if (label) labels[id] = label;
+    } catch (err) {
+      if (err instanceof CancelledError) throw err;
+      error = err.message || String(err);
+      console.warn(`LLM labeling stopped, using keyword labels: ${error}`);
+      break;
+    }
+    onProgress((i + 1) / topics.length);
+  }
+
+  if (!error) console.log(`✓ Labeled ${Object.keys(labels).length} of ${topics.length} topics with ${settings.model}`);
+  return { model: settings.model, labels, error };
+}
+
+/**
+ * Use LLM titles for topics still named by their keywords; seed and category names are kept
+ * @param {Object} topicLabels - Labels by topic id
+ * @param {Object} keywordLabels - Keyword labels by topic id, as from generateTopicLabels
+ * @param {Object<number, {title: string, description: string}>} labels - LLM labels by topic id
+ * @returns {{topicLabels: Object, topicDescriptions: Object}}
+ */
+export function applyLLMLabels(topicLabels, keywordLabels, labels) {
+  const named = { ...topicLabels };
+  const topicDescriptions = {};
+  Object.entries(labels).forEach(([id, { title, description }]) => {
+    if (!(id in named)) return;
+    if (named[id] === keywordLabels[id]) named[id] = title;
+    if (description) topicDescriptions[id] = description;
+  });
+  return { topicLabels: named, topicDescriptions };
+}
+
+/**
+ * Load the endpoint settings from localStorage, falling back to defaults
+ * @returns {Object} - See DEFAULT_LLM_SETTINGS
+ */
+export function loadLLMSettings() {
+  const stored = readStoredSettings();
+  if (!stored) return DEFAULT_LLM_SETTINGS;
+  const { rememberApiKey, ...settings } = stored;
+  return { ...DEFAULT_LLM_SETTINGS, ...settings };
+}
+
+// Whether the user chose to keep the API key across page loads
+export function loadRememberApiKey() {
+  const stored = readStoredSettings();
+  return Boolean(stored && stored.rememberApiKey);
+}
+
+/**
+ * Save the endpoint settings to localStorage. localStorage is plain text, so the API key
+ * stays in memory unless the user opted in to remembering it.
+ * @param {Object} settings - See DEFAULT_LLM_SETTINGS
+ * @param {boolean} rememberApiKey
+ */
+export function saveLLMSettings(settings, rememberApiKey = false) {
+  const saved = { ...settings, apiKey: rememberApiKey ? settings.apiKey : '', rememberApiKey };
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (err) {
+    console.warn('Could not save LLM settings:', err.message);
+  }
+}
+
+function readStoredSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && typeof stored.baseUrl === 'string') return stored;
+  } catch (err) {
+    console.warn('Could not read saved LLM settings:', err.message);
+  }
+  return null;
+}
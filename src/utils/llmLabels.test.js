@@ -0,0 +1,174 @@
+import {
+  buildLabelMessages,
+  parseLabelReply,
+  generateLLMLabels,
+  applyLLMLabels,
+  loadLLMSettings,
+  loadRememberApiKey,
+  saveLLMSettings,
+  DEFAULT_LLM_SETTINGS
+} from './llmLabels';
+import { CancelledError } from './cancellation';
+
+const STORAGE_KEY = 'documentTopicMap.llmLabels';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+describe('buildLabelMessages', () => {
+  it('lists keywords and representative documents for the model', () => {
+    const [system, user] = buildLabelMessages(['climate', 'summit'], ['Leaders agree on emissions']);
+    expect(system.role).toBe('system');
+    expect(user.content).toBe('Keywords: climate, summit\nRepresentative documents:\n- Leaders agree on emissions');
+  });
+});
+
+describe('parseLabelReply', () => {
+  it('reads JSON, also inside code fences or surrounding prose', () => {
+    expect(parseLabelReply('{"title": "Climate Talks", "description": "Global emissions deals."}'))
+      .toEqual({ title: 'Climate Talks', description: 'Global emissions deals.' });
+    expect(parseLabelReply('Sure!\n```json\n{"title": "Climate Talks", "description": "Deals."}\n```'))
+      .toEqual({ title: 'Climate Talks', description: 'Deals.' });
+  });
+
+  it('falls back to the first line as title and the rest as description', () => {
+    expect(parseLabelReply('Title: "Climate Talks".\nLeaders meet on emissions.\nMore follows.'))
+      .toEqual({ title: 'Climate Talks', description: 'Leaders meet on emissions. More follows.' });
+    expect(parseLabelReply('{not json}\nsecond line')).toEqual({ title: '{not json}', description: 'second line' });
+    expect(parseLabelReply('{"description": "No title here"}\n**Climate**'))
+      .toEqual({ title: 'Climate', description: 'No title here' });
+  });
+
+  it('caps the title at 80 characters and rejects empty replies', () => {
+    expect(parseLabelReply(JSON.stringify({ title: 'x'.repeat(200) })).title).toHaveLength(80);
+    expect(parseLabelReply('')).toBeNull();
+    expect(parseLabelReply('   \n```\n```')).toBeNull();
+    expect(parseLabelReply(null)).toBeNull();
+  });
+});
+
+describe('generateLLMLabels', () => {
+  const originalFetch = global.fetch;
+  const topics = [
+    { id: 0, keywords: ['climate'], documents: [] },
+    { id: 3, keywords: ['football'], documents: [] }
+  ];
+  const settings = { ...DEFAULT_LLM_SETTINGS, enabled: true, baseUrl: 'http://llm.example/v1/', apiKey: 'secret', timeoutMs: 50 };
+  const reply = (content) => Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve({ choices: [{ message: { content } }] })
+  });
+  // A request that only ends when aborted, like a server that never answers
+  const hang = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('labels every topic, sending the key as a Bearer token', async () => {
+    global.fetch = jest.fn()
+      .mockImplementationOnce(() => reply('{"title": "Climate", "description": "Talks."}'))
+      .mockImplementationOnce(() => reply('Football'));
+    const onProgress = jest.fn();
+
+    const result = await generateLLMLabels(topics, settings, { onProgress });
+
+    expect(result).toEqual({
+      model: 'llama3.2',
+      labels: { 0: { title: 'Climate', description: 'Talks.' }, 3: { title: 'Football', description: '' } },
+      error: null
+    });
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://llm.example/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(request.body)).toMatchObject({ model: 'llama3.2', stream: false });
+    expect(onProgress).toHaveBeenLastCalledWith(1);
+  });
+
+  it('keeps labels so far and reports the error after an HTTP failure', async () => {
+    global.fetch = jest.fn()
+      .mockImplementationOnce(() => reply('{"title": "Climate"}'))
+      .mockImplementationOnce(() => Promise.resolve({ ok: false, status: 500 }));
+
+    const result = await generateLLMLabels(topics, settings);
+
+    expect(result.labels).toEqual({ 0: { title: 'Climate', description: '' } });
+    expect(result.error).toBe('HTTP 500 from http://llm.example/v1/');
+  });
+
+  it('gives up on an endpoint that does not answer in time', async () => {
+    global.fetch = jest.fn(hang);
+
+    const result = await generateLLMLabels(topics, settings);
+
+    expect(result.labels).toEqual({});
+    expect(result.error).toBe('No reply from http://llm.example/v1/ within 0.05 s');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports an unreachable endpoint', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    const result = await generateLLMLabels(topics, settings);
+    expect(result.error).toBe('Could not reach http://llm.example/v1/ (Failed to fetch)');
+  });
+
+  it('rejects with a CancelledError when cancelled', async () => {
+    global.fetch = jest.fn(hang);
+    const controller = new AbortController();
+    const labeling = generateLLMLabels(topics, { ...settings, timeoutMs: 10000 }, { signal: controller.signal });
+    controller.abort();
+    await expect(labeling).rejects.toBeInstanceOf(CancelledError);
+  });
+});
+
+describe('applyLLMLabels', () => {
+  it('replaces keyword labels only, and keeps descriptions for known topics', () => {
+    const topicLabels = { 0: 'climate, summit', 1: 'Sports (seed)', 2: 'markets' };
+    const keywordLabels = { 0: 'climate, summit', 1: 'football, match', 2: 'markets' };
+    const labels = {
+      0: { title: 'Climate Talks', description: 'Deals.' },
+      1: { title: 'Football', description: 'Matches.' },
+      9: { title: 'Gone', description: 'Topic no longer exists.' }
+    };
+
+    expect(applyLLMLabels(topicLabels, keywordLabels, labels)).toEqual({
+      topicLabels: { 0: 'Climate Talks', 1: 'Sports (seed)', 2: 'markets' },
+      topicDescriptions: { 0: 'Deals.', 1: 'Matches.' }
+    });
+  });
+});
+
+describe('LLM settings storage', () => {
+  const settings = { ...DEFAULT_LLM_SETTINGS, enabled: true, model: 'gpt-4o-mini', apiKey: 'sk-secret' };
+
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('leaves the API key out of localStorage unless it should be remembered', () => {
+    saveLLMSettings(settings);
+    expect(window.localStorage.getItem(STORAGE_KEY)).not.toContain('sk-secret');
+    expect(loadLLMSettings()).toEqual({ ...settings, apiKey: '' });
+    expect(loadRememberApiKey()).toBe(false);
+  });
+
+  it('keeps the API key when asked to remember it', () => {
+    saveLLMSettings(settings, true);
+    expect(loadLLMSettings()).toEqual(settings);
+    expect(loadRememberApiKey()).toBe(true);
+  });
+
+  it('falls back to the defaults without saved settings', () => {
+    expect(loadLLMSettings()).toBe(DEFAULT_LLM_SETTINGS);
+    expect(loadRememberApiKey()).toBe(false);
+  });
+});
@@ -0,0 +1,167 @@
+// Outlier reduction: reassign noise points (-1) to existing topics after clustering,
+// like BERTopic's reduce_outliers. Topics keep their members; only outliers move.
+
+import { cosineDistance } from './distance';
+import { computeTopicTermSimilarities } from './topicExtraction';
+
+export const OUTLIER_STRATEGIES = {
+  NONE: 'none',
+  EMBEDDINGS: 'embeddings', // Cosine similarity to the topic's mean embedding
+  CTFIDF: 'c-tf-idf',       // Cosine similarity of the document's TF-IDF to the topic's c-TF-IDF
+  NEIGHBORS: 'neighbors'    // Majority topic among the nearest clustered documents
+};
+
+// Minimum similarity for a reassignment, per strategy. The scales differ: sentence embeddings of
+// related headlines are typically 0.3-0.6 apart, while sparse term vectors rarely exceed 0.3.
+export const DEFAULT_OUTLIER_SETTINGS = {
+  strategy: OUTLIER_STRATEGIES.NONE,
+  thresholds: {
+    [OUTLIER_STRATEGIES.EMBEDDINGS]: 0.3,
+    [OUTLIER_STRATEGIES.CTFIDF]: 0.1,
+    [OUTLIER_STRATEGIES.NEIGHBORS]: 0.5
+  },
+  neighbors: 5 // Clustered documents voting per outlier
+};
+
+/**
+ * New topic for each outlier under one strategy
+ * @param {Object} data - { clusters, embeddings, texts, tokenizer }; tokenizer settings for c-TF-IDF
+ * @param {string} strategy - One of OUTLIER_STRATEGIES except NONE
+ * @param {Object} options - { threshold, neighbors }
+ * @returns {Map<number, number>} - Document index → topic, only for outliers that clear the threshold
+ */
+export function findOutlierReassignments(data, strategy, options = {}) {
+  const { clusters, embeddings, texts, tokenizer } = data;
+  const { threshold = DEFAULT_OUTLIER_SETTINGS.thresholds[strategy], neighbors = DEFAULT_OUTLIER_SETTINGS.neighbors } = options;
+  const outliers = clusters.map((c, idx) => c === -1 ? idx : -1).filter(idx => idx !== -1);
+  const reassignments = new Map();
+
+  if (outliers.length === 0 || outliers.length === clusters.length) {
+    return reassignments;
+  }
+
+  if (strategy === OUTLIER_STRATEGIES.EMBEDDINGS) {
+    const centroids = topicCentroids(embeddings, clusters);
+    outliers.forEach(idx => {
+      const best = pickMostSimilar([...centroids].map(([clusterId, centroid]) =>
+        [clusterId, 1 - cosineDistance(embeddings[idx], centroid)]
+      ));
+      if (best && best[1] >= threshold) reassignments.set(idx, best[0]);
+    });
+  } else if (strategy === OUTLIER_STRATEGIES.CTFIDF) {
+    const { clusterIds, similarities } = computeTopicTermSimilarities(texts, clusters, outliers, tokenizer);
+    outliers.forEach((idx, i) => {
+      const best = pickMostSimilar(clusterIds.map((clusterId, j) => [clusterId, similarities[i][j]]));
+      if (best && best[1] >= threshold) reassignments.set(idx, best[0]);
+    });
+  } else if (strategy === OUTLIER_STRATEGIES.NEIGHBORS) {
+    const clustered = clusters.map((c, idx) => c === -1 ? -1 : idx).filter(idx => idx !== -1);
+    outliers.forEach(idx => {
+      const topic = voteByNeighbors(idx, clustered, embeddings, clusters, neighbors, threshold);
+      if (topic !== null) reassignments.set(idx, topic);
+    });
+  } else {
+    throw new Error(`Unknown outlier strategy: ${strategy}`);
+  }
+
+  return reassignments;
+}
+
+/**
+ * Apply the selected strategy and count what every strategy would move, so they can be compared
+ * @param {Object} data - { clusters, embeddings, texts, tokenizer }
+ * @param {Object} settings - See DEFAULT_OUTLIER_SETTINGS
+ * @returns {{ clusters: number[], reduction: Object|null }} - reduction is null when the strategy is
+ *   'none'; otherwise { strategy, threshold, outliers, moved, reassigned, movedByStrategy }
+ */
+export function reduceOutliers(data, settings = DEFAULT_OUTLIER_SETTINGS) {
+  const { strategy = OUTLIER_STRATEGIES.NONE, neighbors } = settings;
+  const thresholds = { ...DEFAULT_OUTLIER_SETTINGS.thresholds, ...settings.thresholds };
+
+  if (strategy === OUTLIER_STRATEGIES.NONE) {
+    return { clusters: data.clusters, reduction: null };
+  }
+
+  const movedByStrategy = {};
+  let selected = null;
+
+  Object.values(OUTLIER_STRATEGIES)
+    .filter(name => name !== OUTLIER_STRATEGIES.NONE)
+    .forEach(name => {
+      const reassignments = findOutlierReassignments(data, name, { threshold: thresholds[name], neighbors });
+      movedByStrategy[name] = reassignments.size;
+      if (name === strategy) selected = reassignments;
+    });
+
+  if (!selected) {
+    throw new Error(`Unknown outlier strategy: ${strategy}`);
+  }
+
+  const clusters = data.clusters.map((c, idx) => selected.has(idx) ? selected.get(idx) : c);
+  console.log(`✓ Reassigned ${selected.size} outliers by ${strategy}`);
+
+  return {
+    clusters,
+    reduction: {
+      strategy,
+      threshold: thresholds[strategy],
+      outliers: data.clusters.filter(c => c === -1).length,
+      moved: selected.size,
+      reassigned: [...selected.keys()],
+      movedByStrategy
+    }
+  };
+}
+
+function topicCentroids(embeddings, clusters) {
+  const sums = new Map();
+  const counts = new Map();
+
+  clusters.forEach((clusterId, idx) => {
+    if (clusterId === -1) return;
+    if (!sums.has(clusterId)) {
+      sums.set(clusterId, new Array(embeddings[idx].length).fill(0));
+      counts.set(clusterId, 0);
+    }
+    const sum = sums.get(clusterId);
+    embeddings[idx].forEach((value, d) => {
+      sum[d] += value;
+    });
+    counts.set(clusterId, counts.get(clusterId) + 1);
+  });
+
+  return new Map([...sums].map(([clusterId, sum]) => [clusterId, sum.map(value => value / counts.get(clusterId))]));
+}
+
+// [clusterId, similarity] with the highest similarity, or null
+function pickMostSimilar(candidates) {
+  return candidates.reduce((best, candidate) => !best || candidate[1] > best[1] ? candidate : best, null);
+}
+
+// Topic with the most votes among the k most similar clustered documents at or above threshold;
+// ties go to the topic with the higher summed similarity
+function voteByNeighbors(idx, clustered, embeddings, clusters, k, threshold) {
+  const nearest = clustered
+    .map(other => ({ other, similarity: 1 - cosineDistance(embeddings[idx], embeddings[other]) }))
+    .filter(({ similarity }) => similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+
+  if (nearest.length === 0) return null;
+
+  const votes = new Map();
+  nearest.forEach(({ other, similarity }) => {
+    const vote = votes.get(clusters[other]) || { count: 0, similarity: 0 };
+    votes.set(clusters[other], { count: vote.count + 1, similarity: vote.similarity + similarity });
+  });
+
+  const [topic] = [...votes].reduce((best, entry) => {
+    if (!best) return entry;
+    const [, vote] = entry;
+    const [, bestVote] = best;
+    return vote.count > bestVote.count || (vote.count === bestVote.count && vote.similarity > bestVote.similarity)
+      ? entry
+      : best;
+  }, null);
+  return topic;
+}
@@ -0,0 +1,139 @@
+import { findOutlierReassignments, reduceOutliers, OUTLIER_STRATEGIES } from './outliers';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+// Angle in degrees → unit vector, so cosine similarity is easy to read off
+const direction = (degrees) => [Math.cos(degrees * Math.PI / 180), Math.sin(degrees * Math.PI / 180)];
+
+describe('findOutlierReassignments', () => {
+  describe('embeddings', () => {
+    // Topic 0 points along x, topic 1 along y
+    const data = {
+      clusters: [0, 0, 1, 1, -1, -1, -1],
+      embeddings: [direction(0), direction(10), direction(90), direction(80), direction(20), direction(60), direction(225)]
+    };
+
+    it('moves outliers to the topic with the most similar mean embedding', () => {
+      const moved = findOutlierReassignments(data, OUTLIER_STRATEGIES.EMBEDDINGS);
+      expect(moved.get(4)).toBe(0);
+      expect(moved.get(5)).toBe(1);
+    });
+
+    it('keeps outliers below the threshold at -1', () => {
+      // 225° points away from both topics
+      expect(findOutlierReassignments(data, OUTLIER_STRATEGIES.EMBEDDINGS).has(6)).toBe(false);
+
+      // 20° is 15° from topic 0's mean (similarity 0.97), 60° is 25° from topic 1's (0.91)
+      const strict = findOutlierReassignments(data, OUTLIER_STRATEGIES.EMBEDDINGS, { threshold: 0.95 });
+      expect([...strict]).toEqual([[4, 0]]);
+    });
+  });
+
+  describe('c-TF-IDF', () => {
+    const data = {
+      clusters: [0, 0, 0, 1, 1, 1, -1, -1, -1],
+      texts: [
+        'Solar panels feed the energy grid',
+        'Solar energy storage with batteries',
+        'Cheap solar panels for home energy',
+        'Football match ends with a late goal',
+        'Striker scores twice in football match',
+        'Football league season opens with a derby',
+        'Solar energy prices fall again',
+        'Football striker signs for new club',
+        'Medieval poetry manuscripts discovered'
+      ]
+    };
+
+    it('moves outliers to the topic whose terms they share', () => {
+      const moved = findOutlierReassignments(data, OUTLIER_STRATEGIES.CTFIDF);
+      expect(moved.get(6)).toBe(0);
+      expect(moved.get(7)).toBe(1);
+    });
+
+    it('keeps outliers with no shared terms at -1', () => {
+      expect(findOutlierReassignments(data, OUTLIER_STRATEGIES.CTFIDF).has(8)).toBe(false);
+      expect(findOutlierReassignments(data, OUTLIER_STRATEGIES.CTFIDF, { threshold: 1 }).size).toBe(0);
+    });
+  });
+
+  describe('neighbors', () => {
+    // Topic 0 has three documents a little further from the outlier than topic 1's single closest one
+    const data = {
+      clusters: [0, 0, 0, 1, 1, -1, -1],
+      embeddings: [direction(30), direction(25), direction(20), direction(50), direction(90), direction(42), direction(200)]
+    };
+
+    it('moves outliers to the majority topic among their nearest clustered documents', () => {
+      const moved = findOutlierReassignments(data, OUTLIER_STRATEGIES.NEIGHBORS, { neighbors: 3 });
+      expect(moved.get(5)).toBe(0);
+    });
+
+    it('only lets neighbors at or above the threshold vote', () => {
+      // At 0.99 only the document at 50° (about 0.990 similar) is close enough to vote
+      const moved = findOutlierReassignments(data, OUTLIER_STRATEGIES.NEIGHBORS, { neighbors: 3, threshold: 0.99 });
+      expect(moved.get(5)).toBe(1);
+      expect(moved.has(6)).toBe(false);
+    });
+
+    it('keeps outliers without close neighbors at -1', () => {
+      expect(findOutlierReassignments(data, OUTLIER_STRATEGIES.NEIGHBORS).has(6)).toBe(false);
+    });
+  });
+
+  it('returns nothing when there are no outliers or no topics', () => {
+    const embeddings = [direction(0), direction(90)];
+    expect(findOutlierReassignments({ clusters: [0, 1], embeddings }, OUTLIER_STRATEGIES.EMBEDDINGS).size).toBe(0);
+    expect(findOutlierReassignments({ clusters: [-1, -1], embeddings }, OUTLIER_STRATEGIES.EMBEDDINGS).size).toBe(0);
+  });
+
+  it('rejects unknown strategies', () => {
+    const data = { clusters: [0, -1], embeddings: [direction(0), direction(10)] };
+    expect(() => findOutlierReassignments(data, 'nearest')).toThrow('Unknown outlier strategy');
+  });
+});
+
+describe('reduceOutliers', () => {
+  const data = {
+    clusters: [0, 0, 1, 1, -1, -1],
+    embeddings: [direction(0), direction(10), direction(90), direction(80), direction(20), direction(225)],
+    texts: ['solar energy', 'solar panels', 'football match', 'football goal', 'solar grid', 'medieval poetry']
+  };
+
+  it('leaves clusters untouched when the strategy is none', () => {
+    const result = reduceOutliers(data, { strategy: OUTLIER_STRATEGIES.NONE });
+    expect(result.clusters).toBe(data.clusters);
+    expect(result.reduction).toBeNull();
+  });
+
+  it('applies the selected strategy and counts every strategy', () => {
+    const { clusters, reduction } = reduceOutliers(data, { strategy: OUTLIER_STRATEGIES.EMBEDDINGS });
+    expect(clusters).toEqual([0, 0, 1, 1, 0, -1]);
+    expect(reduction).toMatchObject({
+      strategy: OUTLIER_STRATEGIES.EMBEDDINGS,
+      threshold: 0.3,
+      outliers: 2,
+      moved: 1,
+      reassigned: [4]
+    });
+    expect(Object.keys(reduction.movedByStrategy).sort()).toEqual(
+      [OUTLIER_STRATEGIES.CTFIDF, OUTLIER_STRATEGIES.EMBEDDINGS, OUTLIER_STRATEGIES.NEIGHBORS].sort()
+    );
+    expect(reduction.movedByStrategy[OUTLIER_STRATEGIES.EMBEDDINGS]).toBe(1);
+  });
+
+  it('uses per-strategy thresholds from the settings', () => {
+    const { reduction } = reduceOutliers(data, {
+      strategy: OUTLIER_STRATEGIES.EMBEDDINGS,
+      thresholds: { [OUTLIER_STRATEGIES.EMBEDDINGS]: 0.999 }
+    });
+    expect(reduction.threshold).toBe(0.999);
+    expect(reduction.moved).toBe(0);
+  });
+});
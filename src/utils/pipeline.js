@@ -0,0 +1,597 @@
+// Staged topic-modeling pipeline: embeddings → (seed guidance) → UMAP → (clustering space) → clustering → (outlier reduction)
+// → topic hierarchy → (merge to a topic count) → keywords → (LLM labels)
+// Instead of clustering, the 'zeroshot' method sorts documents into user-defined categories.
+// Every stage's output is kept together with a key describing its inputs. A run only
+// recomputes the stages whose key changed, so tweaking clustering reuses embeddings and UMAP.
+// Runs on the main thread or in src/workers/pipeline.worker.js; an AbortSignal cancels between steps.
+// appendDocuments places new documents on the last fitted map instead of re-running everything.
+
+import { generateEmbeddings, getEmbeddingModelId } from './embeddings';
+import { reduceWithUMAPAsync, fitUMAPAsync, transformWithUMAP } from './dimensionReduction';
+import { applyTransform } from './alignment';
+import {
+  clusterWithKMeans,
+  clusterWithDBSCAN,
+  clusterWithHDBSCAN,
+  orderClustersBySize,
+  searchKBySilhouette,
+  searchEpsBySilhouette
+} from './clustering';
+import { evaluateClustering } from './clusterQuality';
+import { reduceOutliers, findOutlierReassignments, OUTLIER_STRATEGIES, DEFAULT_OUTLIER_SETTINGS } from './outliers';
+import {
+  extractTopicKeywords,
+  generateTopicLabels,
+  createTopicHierarchy,
+  cutTopicHierarchy,
+  rerankTopicKeywords,
+  findRepresentativeDocuments,
+  TOPIC_REPRESENTATIONS,
+  DEFAULT_RERANK_SETTINGS
+} from './topicExtraction';
+import {
+  guideEmbeddings,
+  findSeededTopics,
+  labelSeededTopics,
+  getSeedText,
+  DEFAULT_SEED_SETTINGS
+} from './seedTopics';
+import {
+  classifyDocuments,
+  getCategoryText,
+  DEFAULT_CLASSIFICATION_SETTINGS,
+  UNASSIGNED_LABEL
+} from './classification';
+import { DEFAULT_TOKENIZER_SETTINGS } from './tokenizer';
+import { generateLLMLabels, applyLLMLabels, DEFAULT_LLM_SETTINGS } from './llmLabels';
+import { getDocumentText, hashString, TEXT_MODES } from './documents';
+import { throwIfCancelled } from './cancellation';
+import { METRICS } from './distance';
+
+export const PIPELINE_STAGES = {
+  EMBEDDINGS: 'Generating embeddings',
+  REDUCTION: 'Reducing dimensions',
+  CLUSTERING: 'Clustering topics',
+  KEYWORDS: 'Extracting keywords'
+};
+
+// Keywords kept per topic
+const TOPIC_KEYWORDS = 10;
+
+export const CLUSTERING_METHODS = ['kmeans', 'dbscan', 'hdbscan', 'zeroshot'];
+
+// What the clustering algorithms see; the map always shows the 2D UMAP projection
+export const CLUSTERING_SPACES = {
+  MAP: '2d',               // 2D display coordinates, Euclidean
+  UMAP: 'umap',            // Separate N-D UMAP (cosine, minDist 0) as in BERTopic
+  EMBEDDINGS: 'embeddings' // Raw embeddings, cosine
+};
+
+export const DEFAULT_CLUSTERING_SETTINGS = {
+  method: 'dbscan',
+  k: null,                  // K-Means cluster count, null = auto
+  eps: null,                // DBSCAN radius, null = auto
+  autoSelection: 'heuristic', // How auto k / eps are picked: 'heuristic' or 'silhouette' (search)
+  minPts: 2,                // DBSCAN core point threshold
+  minClusterSize: null,     // HDBSCAN smallest cluster, null = auto (n / 20)
+  minSamples: 1,            // HDBSCAN core distance neighbors
+  selectionMethod: 'eom',   // HDBSCAN cluster selection: 'eom' or 'leaf'
+  space: CLUSTERING_SPACES.MAP,
+  spaceDimensions: 5,       // Components of the N-D UMAP space
+  seed: 42                  // K-Means initialization; UMAP's seed is umap.randomState
+};
+
+// How topics are compared for the hierarchy, and how many to keep (null = all, no merging)
+export const DEFAULT_HIERARCHY_SETTINGS = {
+  representation: TOPIC_REPRESENTATIONS.EMBEDDINGS,
+  topics: null
+};
+
+export const DEFAULT_PIPELINE_SETTINGS = {
+  textMode: TEXT_MODES.TITLE,
+  embedding: {},
+  umap: {},
+  clustering: DEFAULT_CLUSTERING_SETTINGS,
+  outliers: DEFAULT_OUTLIER_SETTINGS,
+  hierarchy: DEFAULT_HIERARCHY_SETTINGS,
+  seeds: DEFAULT_SEED_SETTINGS,
+  classification: DEFAULT_CLASSIFICATION_SETTINGS,
+  tokenizer: DEFAULT_TOKENIZER_SETTINGS,
+  rerank: DEFAULT_RERANK_SETTINGS,
+  llm: DEFAULT_LLM_SETTINGS
+};
+
+/**
+ * Per-stage memo of { key, value }; keep one per document set being explored
+ */
+export function createPipelineCache() {
+  return {};
+}
+
+/**
+ * Run the pipeline, reusing cached stage outputs whose inputs are unchanged
+ *
+ * @param {DocumentRecord[]} documents
+ * @param {Object} settings - { textMode, embedding, umap, clustering, outliers, hierarchy, seeds, classification, tokenizer,
+ *   rerank, llm }, see DEFAULT_PIPELINE_SETTINGS; classification (the categories) only applies with clustering method
+ *   'zeroshot'; tokenizer sets the terms of keywords and of every c-TF-IDF comparison; rerank reorders keywords by
+ *   embedding similarity (MMR); llm is the chat endpoint that titles topics, when enabled
+ * @param {Object} options - { cache, onProgress(stage, progress), signal }
+ * @returns {Promise<Object>} - Results: documents, texts (as embedded), embeddings, coordinates, clusters, probabilities, outlierScores,
+ *   quality, parameterSearch, classification, outlierReduction, topicHierarchy, seedTopics, topics, topicLabels, stagesRun. probabilities and
+ *   outlierScores are null unless clustering with HDBSCAN; parameterSearch is null unless k or eps was picked by
+ *   silhouette search; outlierReduction is null unless an outlier strategy is selected. clusters include reassigned
+ *   outliers and merged topics; quality describes the clustering before either.
+ *   topicHierarchy is createTopicHierarchy's result over the unmerged topics plus representation, keywords
+ *   (top terms per unmerged topic), topicCount (the cut, null if none) and mapping (unmerged → final cluster id).
+ *   seedTopics is null without seed topics, else { topics, documentSeeds (seed per document, -1 for none),
+ *   topicSeeds (seed per seeded topic) }. embeddings are the documents' own; later stages use the guided ones.
+ *   classification is null unless method is 'zeroshot', else { categories, threshold, similarities (best
+ *   category similarity per document) }; clusters are then category indices and -1 is unassigned.
+ *   mapKey identifies the fitted map for appendDocuments; appended lists documents added by it (null here).
+ *   tokenizer is the tokenizer settings, for recomputing keywords after edits. representativeDocuments lists each
+ *   topic's documents closest to its mean embedding, most central first.
+ *   keywordLabels are the c-TF-IDF labels. llmLabels is null unless llm is enabled, else generateLLMLabels' result;
+ *   its titles replace keyword labels in topicLabels, and topicDescriptions holds its descriptions (empty otherwise).
+ */
+export async function runPipeline(documents, settings = DEFAULT_PIPELINE_SETTINGS, options = {}) {
+  const { cache = createPipelineCache(), onProgress = () => {}, signal = null } = options;
+  const {
+    textMode,
+    embedding,
+    umap,
+    clustering,
+    outliers,
+    hierarchy,
+    seeds,
+    classification,
+    tokenizer,
+    rerank,
+    llm
+  } = { ...DEFAULT_PIPELINE_SETTINGS, ...settings };
+
+  if (!documents || documents.length === 0) {
+    throw new Error('No documents provided');
+  }
+
+  const texts = documents.map(doc => getDocumentText(doc, textMode));
+  const stagesRun = [];
+
+  const runStage = async (name, stage, key, compute) => {
+    if (cache[name] && cache[name].key === key) {
+      return cache[name].value;
+    }
+    onProgress(stage, 0);
+    await yieldToBrowser();
+    throwIfCancelled(signal);
+    const value = await compute();
+    throwIfCancelled(signal);
+    cache[name] = { key, value };
+    stagesRun.push(stage);
+    onProgress(stage, 1);
+    return value;
+  };
+
+  // Step 1: Generate embeddings
+  const embeddingsKey = `${getEmbeddingModelId(embedding)}|${texts.length}|${hashString(texts.join('\u0000'))}`;
+  const embeddings = await runStage('embeddings', PIPELINE_STAGES.EMBEDDINGS, embeddingsKey, async () => {
+    const result = await generateEmbeddings(texts, (p) => {
+      onProgress(PIPELINE_STAGES.EMBEDDINGS, p);
+    }, { ...embedding, signal });
+    console.log(`✓ Generated ${result.length} embeddings`);
+    return result;
+  });
+
+  // Step 2: Optionally pull documents toward seed topics (counted as part of embedding)
+  const seedList = seeds.topics || [];
+  const guidedKey = seedList.length > 0 ? `${embeddingsKey}|${stableStringify(seeds)}` : embeddingsKey;
+  const guidance = seedList.length === 0 ? null : await runStage('seeds', PIPELINE_STAGES.EMBEDDINGS, guidedKey, async () => {
+    const seedEmbeddings = await generateEmbeddings(seedList.map(getSeedText), null, { ...embedding, signal });
+    const result = guideEmbeddings(embeddings, seedEmbeddings, seeds);
+    const matched = result.documentSeeds.filter(seed => seed !== -1).length;
+    console.log(`✓ Matched ${matched} of ${embeddings.length} documents to ${seedList.length} seed topics`);
+    return result;
+  });
+  const guidedEmbeddings = guidance ? guidance.embeddings : embeddings;
+
+  // Step 3: Reduce dimensions with UMAP (supervised by the seed matches, if any)
+  // The fitted model stays in the cache for appendDocuments
+  const seedLabels = guidance ? { labels: guidance.documentSeeds } : {};
+  const coordinatesKey = `${guidedKey}|${stableStringify(umap)}`;
+  const { coordinates } = await runStage('coordinates', PIPELINE_STAGES.REDUCTION, coordinatesKey, async () => {
+    const result = await fitUMAPAsync(guidedEmbeddings, { ...umap, ...seedLabels }, {
+      onProgress: (p) => onProgress(PIPELINE_STAGES.REDUCTION, p),
+      signal
+    });
+    console.log(`✓ Reduced to ${result.coordinates.length} 2D coordinates`);
+    return result;
+  });
+
+  // Step 4: Pick the space to cluster in (an N-D UMAP run only when selected)
+  const { space = CLUSTERING_SPACES.MAP, spaceDimensions = 5 } = clustering;
+  let clusteringPoints = coordinates;
+  let metric = METRICS.EUCLIDEAN;
+
+  if (space === CLUSTERING_SPACES.EMBEDDINGS) {
+    clusteringPoints = guidedEmbeddings;
+    metric = METRICS.COSINE;
+  } else if (space === CLUSTERING_SPACES.UMAP) {
+    const spaceKey = `${guidedKey}|${stableStringify(umap)}|${spaceDimensions}`;
+    clusteringPoints = await runStage('clusteringSpace', PIPELINE_STAGES.REDUCTION, spaceKey, async () => {
+      const result = await reduceWithUMAPAsync(guidedEmbeddings, {
+        ...umap,
+        ...seedLabels,
+        nComponents: Math.max(2, Math.min(spaceDimensions, embeddings.length - 2)),
+        minDist: 0,
+        metric: METRICS.COSINE
+      }, {
+        onProgress: (p) => onProgress(PIPELINE_STAGES.REDUCTION, p),
+        signal
+      });
+      console.log(`✓ Reduced to ${result[0].length}-dimensional clustering space`);
+      return result;
+    });
+  }
+
+  // Step 5: Cluster documents, or classify them into the categories
+  const isZeroShot = clustering.method === 'zeroshot';
+  const clustersKey = `${coordinatesKey}|${stableStringify(clustering)}${isZeroShot ? `|${stableStringify(classification)}` : ''}`;
+  const {
+    clusters: clusteredLabels,
+    probabilities,
+    outlierScores,
+    quality,
+    parameterSearch,
+    classification: classificationResult = null
+  } = await runStage('clusters', PIPELINE_STAGES.CLUSTERING, clustersKey, async () => {
+    let rawClusters;
+    let membership = { probabilities: null, outlierScores: null };
+    let parameterSearch = null;
+    const searchAuto = clustering.autoSelection === 'silhouette';
+
+    if (isZeroShot) {
+      const { categories, threshold } = classification;
+      if (!categories || categories.length === 0) {
+        throw new Error('Zero-shot classification needs at least one category');
+      }
+      const categoryEmbeddings = await generateEmbeddings(categories.map(getCategoryText), null, { ...embedding, signal });
+      const { labels, similarities } = classifyDocuments(embeddings, categoryEmbeddings, threshold);
+      const assigned = labels.filter(label => label !== -1).length;
+      console.log(`✓ Classified ${assigned} of ${labels.length} documents into ${categories.length} categories`);
+
+      // Category indices stay as cluster ids so they map back to the category names
+      const quality = evaluateClustering(embeddings, labels, { metric: METRICS.COSINE });
+      return {
+        clusters: labels,
+        ...membership,
+        quality,
+        parameterSearch,
+        classification: { categories, threshold, similarities }
+      };
+    } else if (clustering.method === 'kmeans') {
+      let k = clustering.k;
+      if (!k && searchAuto) {
+        parameterSearch = searchKBySilhouette(clusteringPoints, { metric, seed: clustering.seed });
+        k = parameterSearch.best;
+      }
+      rawClusters = clusterWithKMeans(clusteringPoints, k, { metric, seed: clustering.seed });
+    } else if (clustering.method === 'hdbscan') {
+      const { labels, ...scores } = clusterWithHDBSCAN(clusteringPoints, { ...clustering, metric });
+      rawClusters = labels;
+      membership = scores;
+    } else {
+      let eps = clustering.eps;
+      if (!eps && searchAuto) {
+        parameterSearch = searchEpsBySilhouette(clusteringPoints, clustering.minPts, { metric });
+        eps = parameterSearch.best;
+      }
+      rawClusters = clusterWithDBSCAN(clusteringPoints, eps, clustering.minPts, { metric });
+    }
+
+    console.log(`✓ Found ${new Set(rawClusters).size} clusters`);
+
+    const quality = evaluateClustering(clusteringPoints, rawClusters, { metric });
+
+    // Reorder cluster IDs by size (largest gets ID 0)
+    return { clusters: orderClustersBySize(rawClusters), ...membership, quality, parameterSearch, classification: null };
+  });
+
+  // Step 6: Optionally move outliers into the closest topics (counted as part of clustering)
+  const outliersKey = `${clustersKey}|${textMode}|${stableStringify(outliers)}|${stableStringify(tokenizer)}`;
+  const { clusters: reducedLabels, reduction: outlierReduction } = await runStage('outliers', PIPELINE_STAGES.CLUSTERING, outliersKey, () =>
+    reduceOutliers({ clusters: clusteredLabels, embeddings: guidedEmbeddings, texts, tokenizer }, outliers)
+  );
+
+  // Step 7: Build the topic hierarchy (kept while only the cut changes)
+  const { representation = TOPIC_REPRESENTATIONS.EMBEDDINGS, topics: topicCount = null } = hierarchy;
+  const hierarchyKey = `${outliersKey}|${representation}`;
+  const tree = await runStage('hierarchy', PIPELINE_STAGES.KEYWORDS, hierarchyKey, () => {
+    const result = createTopicHierarchy(reducedLabels, { embeddings: guidedEmbeddings, texts, tokenizer }, representation);
+    const leafKeywords = extractTopicKeywords(texts, reducedLabels, 3, tokenizer);
+    const keywords = {};
+    result.clusterIds.forEach(clusterId => {
+      keywords[clusterId] = leafKeywords[clusterId].map(k => k.term).join(', ');
+    });
+    console.log(`✓ Built topic hierarchy over ${result.clusterIds.length} topics`);
+    return { ...result, representation, keywords };
+  });
+
+  // Step 8: Merge topics down to the chosen count
+  const mergeKey = `${hierarchyKey}|${topicCount}`;
+  const { clusters, topicHierarchy } = await runStage('merge', PIPELINE_STAGES.KEYWORDS, mergeKey, () => {
+    const cut = topicCount && topicCount < tree.clusterIds.length ? topicCount : null;
+    let merged = reducedLabels;
+    if (cut) {
+      const groups = cutTopicHierarchy(tree, cut);
+      merged = orderClustersBySize(reducedLabels.map(c => c === -1 ? -1 : groups.get(c)));
+    }
+
+    // Final id of each unmerged topic, read off any of its documents
+    const mapping = {};
+    reducedLabels.forEach((c, idx) => {
+      if (c !== -1) mapping[c] = merged[idx];
+    });
+    if (cut) console.log(`✓ Merged ${tree.clusterIds.length} topics into ${cut}`);
+    return { clusters: merged, topicHierarchy: { ...tree, topicCount: cut, mapping } };
+  });
+
+  // Step 9: Extract topic keywords; seeded topics are named after their seed, categories by name
+  const topicsKey = `${mergeKey}|${stableStringify(rerank)}`;
+  const { topics, topicLabels, seedTopics, representativeDocuments } = await runStage('topics', PIPELINE_STAGES.KEYWORDS, topicsKey, async () => {
+    const extracted = await extractKeywords(texts, clusters, embeddings, { tokenizer, rerank, embedding, signal });
+    console.log('✓ Extracted topic keywords');
+    let labels = generateTopicLabels(extracted);
+    let seedTopics = null;
+
+    if (guidance) {
+      const topicSeeds = findSeededTopics(clusters, guidance.documentSeeds);
+      console.log(`✓ ${Object.keys(topicSeeds).length} seeded topics`);
+      labels = labelSeededTopics(labels, topicSeeds, seedList, clusters);
+      seedTopics = { topics: seedList, documentSeeds: guidance.documentSeeds, topicSeeds };
+    }
+    if (classificationResult) {
+      labels = labelCategories(labels, classificationResult.categories, topicHierarchy.mapping);
+    }
+    const representativeDocuments = findRepresentativeDocuments(embeddings, clusters);
+    return { topics: extracted, topicLabels: labels, seedTopics, representativeDocuments };
+  });
+
+  // Step 10: Title and describe topics with a chat model; keyword labels remain where it gives none
+  let llmLabels = null;
+  if (llm.enabled) {
+    const labelsKey = `${topicsKey}|${stableStringify(llm)}`;
+    llmLabels = await runStage('labels', PIPELINE_STAGES.KEYWORDS, labelsKey, () =>
+      generateLLMLabels(getLabelInputs(documents, topics, representativeDocuments), llm, {
+        onProgress: (p) => onProgress(PIPELINE_STAGES.KEYWORDS, p),
+        signal
+      })
+    );
+    // An unreachable endpoint shouldn't stick: try again on the next run
+    if (llmLabels.error) delete cache.labels;
+  }
+  const keywordLabels = generateTopicLabels(topics);
+  const { topicLabels: labels, topicDescriptions } = applyLLMLabels(topicLabels, keywordLabels, llmLabels ? llmLabels.labels : {});
+
+  console.log(stagesRun.length > 0
+    ? `✓ Pipeline complete (ran: ${stagesRun.join(', ')})`
+    : '✓ Pipeline complete (all stages cached)');
+
+  return {
+    documents,
+    texts,
+    embeddings,
+    coordinates,
+    clusters,
+    probabilities,
+    outlierScores,
+    quality,
+    parameterSearch,
+    classification: classificationResult,
+    outlierReduction,
+    topicHierarchy,
+    seedTopics,
+    topics,
+    topicLabels: labels,
+    keywordLabels,
+    topicDescriptions,
+    llmLabels,
+    representativeDocuments,
+    mapKey: coordinatesKey,
+    appended: null,
+    tokenizer,
+    stagesRun
+  };
+}
+
+/**
+ * Add documents to the current map without refitting: embed only the new documents, place them with the
+ * fitted UMAP model and give each the topic most common among its nearest existing documents (or its
+ * category with the zero-shot method). Existing documents keep their positions and topics; keywords are
+ * recomputed over all documents.
+ *
+ * @param {Object} previous - Results of the last runPipeline (or appendDocuments) with the same cache
+ * @param {DocumentRecord[]} newDocuments
+ * @param {Object} settings - The settings previous was computed with
+ * @param {Object} options - { cache, onProgress(stage, progress), signal }
+ * @returns {Promise<Object>} - Results as from runPipeline, with appended listing the new documents' indices.
+ *   HDBSCAN membership is unknown for new documents (null).
+ */
+export async function appendDocuments(previous, newDocuments, settings = DEFAULT_PIPELINE_SETTINGS, options = {}) {
+  const { cache = createPipelineCache(), onProgress = () => {}, signal = null } = options;
+  const {
+    textMode,
+    embedding,
+    clustering,
+    outliers,
+    seeds,
+    classification,
+    tokenizer,
+    rerank
+  } = { ...DEFAULT_PIPELINE_SETTINGS, ...settings };
+
+  if (!newDocuments || newDocuments.length === 0) {
+    throw new Error('No documents provided');
+  }
+  if (!cache.coordinates || cache.coordinates.key !== previous.mapKey) {
+    throw new Error('The fitted map is no longer available; recalculate the results first');
+  }
+
+  const start = previous.documents.length;
+  const newIndices = newDocuments.map((_, i) => start + i);
+  const newTexts = newDocuments.map(doc => getDocumentText(doc, textMode));
+  const texts = [...previous.texts, ...newTexts];
+
+  onProgress(PIPELINE_STAGES.EMBEDDINGS, 0);
+  await yieldToBrowser();
+  throwIfCancelled(signal);
+  const newEmbeddings = await generateEmbeddings(newTexts, (p) => {
+    onProgress(PIPELINE_STAGES.EMBEDDINGS, p);
+  }, { ...embedding, signal });
+  const embeddings = [...previous.embeddings, ...newEmbeddings];
+
+  // Guide every document exactly as the fitted run did, so old and new are compared alike
+  let guidedEmbeddings = embeddings;
+  let seedTopics = previous.seedTopics;
+  if (seedTopics) {
+    const seedEmbeddings = await generateEmbeddings(seedTopics.topics.map(getSeedText), null, { ...embedding, signal });
+    const guidance = guideEmbeddings(embeddings, seedEmbeddings, seeds);
+    guidedEmbeddings = guidance.embeddings;
+    seedTopics = { ...seedTopics, documentSeeds: guidance.documentSeeds };
+  }
+
+  onProgress(PIPELINE_STAGES.REDUCTION, 0);
+  await yieldToBrowser();
+  throwIfCancelled(signal);
+  let newCoordinates = transformWithUMAP(cache.coordinates.value.model, newIndices.map(idx => guidedEmbeddings[idx]));
+  // The model places documents in its own frame; follow the map if it was aligned to an earlier one
+  if (previous.alignment) {
+    newCoordinates = applyTransform(newCoordinates, previous.alignment.transform);
+  }
+  onProgress(PIPELINE_STAGES.REDUCTION, 1);
+
+  onProgress(PIPELINE_STAGES.CLUSTERING, 0);
+  await yieldToBrowser();
+  throwIfCancelled(signal);
+  const clusters = [...previous.clusters, ...newDocuments.map(() => -1)];
+  const neighborTopics = findOutlierReassignments({ clusters, embeddings: guidedEmbeddings, texts }, OUTLIER_STRATEGIES.NEIGHBORS, {
+    neighbors: outliers.neighbors
+  });
+  newIndices.forEach(idx => {
+    if (neighborTopics.has(idx)) clusters[idx] = neighborTopics.get(idx);
+  });
+
+  let classificationResult = previous.classification;
+  if (clustering.method === 'zeroshot' && classificationResult) {
+    const { categories, threshold } = classification;
+    const categoryEmbeddings = await generateEmbeddings(categories.map(getCategoryText), null, { ...embedding, signal });
+    const { labels, similarities } = classifyDocuments(newEmbeddings, categoryEmbeddings, threshold);
+    // Categories map to topics through any merge; a category with no topic on the map keeps the neighbors' vote
+    const mapping = previous.topicHierarchy ? previous.topicHierarchy.mapping : {};
+    labels.forEach((category, i) => {
+      if (category === -1) {
+        clusters[start + i] = -1;
+      } else if (category in mapping) {
+        clusters[start + i] = mapping[category];
+      }
+    });
+    classificationResult = { ...classificationResult, similarities: [...classificationResult.similarities, ...similarities] };
+  }
+  console.log(`✓ Assigned ${newIndices.filter(idx => clusters[idx] !== -1).length} of ${newIndices.length} new documents to topics`);
+  onProgress(PIPELINE_STAGES.CLUSTERING, 1);
+
+  onProgress(PIPELINE_STAGES.KEYWORDS, 0);
+  await yieldToBrowser();
+  const topics = await extractKeywords(texts, clusters, embeddings, { tokenizer, rerank, embedding, signal });
+
+  // Keyword labels follow the new keywords; names (seeds, categories, "Unassigned") are kept
+  const previousKeywordLabels = generateTopicLabels(previous.topics);
+  const keywordLabels = generateTopicLabels(topics);
+  const topicLabels = { ...keywordLabels };
+  Object.entries(previous.topicLabels).forEach(([clusterId, label]) => {
+    if (clusterId in topicLabels && label !== previousKeywordLabels[clusterId]) topicLabels[clusterId] = label;
+  });
+  onProgress(PIPELINE_STAGES.KEYWORDS, 1);
+
+  const padding = newDocuments.map(() => null);
+  console.log(`✓ Appended ${newDocuments.length} documents to the map`);
+
+  return {
+    ...previous,
+    documents: [...previous.documents, ...newDocuments],
+    texts,
+    embeddings,
+    coordinates: [...previous.coordinates, ...newCoordinates],
+    clusters,
+    probabilities: previous.probabilities && [...previous.probabilities, ...padding],
+    outlierScores: previous.outlierScores && [...previous.outlierScores, ...padding],
+    classification: classificationResult,
+    seedTopics,
+    topics,
+    topicLabels,
+    keywordLabels,
+    representativeDocuments: findRepresentativeDocuments(embeddings, clusters),
+    appended: [...(previous.appended || []), ...newIndices],
+    stagesRun: [PIPELINE_STAGES.EMBEDDINGS, PIPELINE_STAGES.REDUCTION, PIPELINE_STAGES.CLUSTERING, PIPELINE_STAGES.KEYWORDS]
+  };
+}
+
+// Keywords per topic by c-TF-IDF, reranked by MMR against the topics' documents when enabled
+async function extractKeywords(texts, clusters, embeddings, { tokenizer, rerank, embedding, signal }) {
+  if (!rerank.enabled) {
+    return extractTopicKeywords(texts, clusters, TOPIC_KEYWORDS, tokenizer);
+  }
+  const candidates = extractTopicKeywords(texts, clusters, Math.max(TOPIC_KEYWORDS, rerank.candidates), tokenizer);
+  const terms = [...new Set(Object.values(candidates).flat().map(k => k.term))];
+  if (terms.length === 0) return candidates;
+
+  const termVectors = await generateEmbeddings(terms, null, { ...embedding, signal });
+  const termEmbeddings = new Map(terms.map((term, i) => [term, termVectors[i]]));
+  console.log(`✓ Reranked ${terms.length} candidate keywords by MMR (diversity ${rerank.diversity})`);
+  return rerankTopicKeywords(candidates, { embeddings, clusters, termEmbeddings }, {
+    diversity: rerank.diversity,
+    topN: TOPIC_KEYWORDS
+  });
+}
+
+// What the chat model sees per topic: its keywords and the titles of its representative documents
+function getLabelInputs(documents, topics, representativeDocuments) {
+  return Object.entries(topics).map(([clusterId, keywords]) => ({
+    id: Number(clusterId),
+    keywords: keywords.map(k => k.term),
+    documents: (representativeDocuments[clusterId] || []).map(idx => documents[idx].title)
+  }));
+}
+
+// Name topics after their categories; categories merged along the hierarchy are joined with "+"
+function labelCategories(topicLabels, categories, mapping) {
+  const names = {};
+  Object.entries(mapping).forEach(([category, clusterId]) => {
+    names[clusterId] = [...(names[clusterId] || []), categories[category].name];
+  });
+
+  const labels = { ...topicLabels, [-1]: UNASSIGNED_LABEL };
+  Object.entries(names).forEach(([clusterId, categoryNames]) => {
+    labels[clusterId] = categoryNames.join(' + ');
+  });
+  return labels;
+}
+
+// Serialize settings with sorted keys so equal settings always produce the same cache key
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  return `{${Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    .join(',')}}`;
+}
+
+// Let the UI paint progress (or a worker receive a cancel message) before a stage starts
+function yieldToBrowser() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
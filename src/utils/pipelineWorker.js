@@ -0,0 +1,89 @@
+// Main-thread client for src/workers/pipeline.worker.js
+// Wraps the message protocol in promises: one pending run at a time, newer runs supersede older ones.
+
+import { CancelledError } from './cancellation';
+
+/**
+ * Start the pipeline worker
+ * @returns {{ run: function, sweep: function, append: function, cancel: function, terminate: function }}
+ *   run(documents, settings, onProgress) resolves with the pipeline results,
+ *   sweep(documents, settings, sweep, onProgress) with the parameter sweep report (see utils/sweep.js) and
+ *   append(previous, documents, settings, onProgress) with previous plus the new documents (see appendDocuments);
+ *   each rejects with a CancelledError if cancelled or superseded by another run or sweep
+ */
+export function createPipelineWorker() {
+  const worker = new Worker(new URL('../workers/pipeline.worker.js', import.meta.url));
+  let nextRunId = 0;
+  let pending = null;
+
+  const settle = (runId) => {
+    if (!pending || pending.runId !== runId) return null;
+    const settled = pending;
+    pending = null;
+    return settled;
+  };
+
+  worker.addEventListener('message', (event) => {
+    const { type, runId } = event.data;
+
+    if (type === 'progress') {
+      if (pending && pending.runId === runId) {
+        pending.onProgress(event.data.stage, event.data.progress);
+      }
+      return;
+    }
+
+    const settled = settle(runId);
+    if (!settled) return;
+
+    if (type === 'result') {
+      settled.resolve(event.data.results);
+    } else if (type === 'cancelled') {
+      settled.reject(new CancelledError());
+    } else {
+      settled.reject(new Error(event.data.message));
+    }
+  });
+
+  worker.addEventListener('error', (event) => {
+    if (pending) {
+      const settled = settle(pending.runId);
+      settled.reject(new Error(event.message || 'Pipeline worker failed'));
+    }
+  });
+
+  // Reject the pending run right away so the UI doesn't wait for the worker to reach a safe point
+  const cancel = () => {
+    if (!pending) return;
+    const settled = settle(pending.runId);
+    worker.postMessage({ type: 'cancel', runId: settled.runId });
+    settled.reject(new CancelledError());
+  };
+
+  const start = (message, onProgress) => {
+    // The worker aborts the previous run itself when a new one arrives
+    if (pending) {
+      settle(pending.runId).reject(new CancelledError('Superseded by a newer run'));
+    }
+
+    const runId = ++nextRunId;
+    return new Promise((resolve, reject) => {
+      pending = { runId, resolve, reject, onProgress };
+      worker.postMessage({ ...message, runId });
+    });
+  };
+
+  return {
+    run: (documents, settings, onProgress = () => {}) =>
+      start({ type: 'run', documents, settings }, onProgress),
+    sweep: (documents, settings, sweep, onProgress = () => {}) =>
+      start({ type: 'sweep', documents, settings, sweep }, onProgress),
+    append: (previous, documents, settings, onProgress = () => {}) =>
+      start({ type: 'append', previous, documents, settings }, onProgress),
+    cancel,
+    terminate: () => {
+      cancel();
+      worker.terminate();
+    }
+  };
+}
@@ -0,0 +1,145 @@
+// Seeded (guided) topics, like BERTopic's seed_topic_list: each seed is a name plus typical terms.
+// Documents close to a seed's embedding are nudged toward it and labelled for supervised UMAP,
+// so they gather into that topic; everything else still clusters freely into discovered topics.
+
+import { cosineDistance, normalizeVectors } from './distance';
+
+// threshold: minimum cosine similarity between a document and a seed for the document to be guided.
+// weight: share of the seed embedding in a guided document's embedding (BERTopic averages 3:1).
+export const DEFAULT_SEED_SETTINGS = {
+  topics: [],
+  threshold: 0.3,
+  weight: 0.25
+};
+
+/**
+ * Parse seed topics written one per line as "Name: term, term, ..."
+ * A line without a name uses its first term as the name; blank lines and lines starting with # are skipped.
+ * @param {string} text
+ * @returns {{name: string, terms: string[]}[]}
+ */
+export function parseSeedTopics(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const colon = line.indexOf(':');
+      const name = colon === -1 ? '' : line.slice(0, colon).trim();
+      const terms = line.slice(colon + 1).split(',').map(term => term.trim()).filter(Boolean);
+      return { name: name || terms[0] || '', terms };
+    })
+    .filter(seed => seed.name);
+}
+
+/**
+ * Inverse of parseSeedTopics
+ * @param {{name: string, terms: string[]}[]} topics
+ * @returns {string}
+ */
+export function formatSeedTopics(topics) {
+  return topics.map(seed => `${seed.name}: ${seed.terms.join(', ')}`).join('\n');
+}
+
+/**
+ * Text embedded for a seed: its name followed by its terms
+ * @param {{name: string, terms: string[]}} seed
+ * @returns {string}
+ */
+export function getSeedText(seed) {
+  return [seed.name, ...seed.terms].join(' ');
+}
+
+/**
+ * Match documents to their most similar seed and pull matched embeddings toward it
+ * @param {number[][]} embeddings - Document embeddings
+ * @param {number[][]} seedEmbeddings - One per seed topic
+ * @param {Object} options - { threshold, weight }, see DEFAULT_SEED_SETTINGS
+ * @returns {{embeddings: number[][], documentSeeds: number[]}} - Guided unit-length embeddings, and the
+ *   seed index per document (-1 when no seed reaches the threshold)
+ */
+export function guideEmbeddings(embeddings, seedEmbeddings, options = {}) {
+  const { threshold = DEFAULT_SEED_SETTINGS.threshold, weight = DEFAULT_SEED_SETTINGS.weight } = options;
+  const seeds = normalizeVectors(seedEmbeddings);
+  const documentSeeds = [];
+
+  const guided = normalizeVectors(embeddings).map(embedding => {
+    let best = -1;
+    let bestSimilarity = threshold;
+    seeds.forEach((seed, s) => {
+      const similarity = 1 - cosineDistance(embedding, seed);
+      if (similarity >= bestSimilarity) {
+        best = s;
+        bestSimilarity = similarity;
+      }
+    });
+    documentSeeds.push(best);
+    if (best === -1) return embedding;
+    return embedding.map((value, d) => (1 - weight) * value + weight * seeds[best][d]);
+  });
+
+  return { embeddings: normalizeVectors(guided), documentSeeds };
+}
+
+/**
+ * Seed behind each topic: a topic is seeded when one seed matches at least half of its documents
+ * @param {number[]} clusters - Topic per document, -1 for outliers
+ * @param {number[]} documentSeeds - Seed per document, -1 for none
+ * @returns {Object<number, number>} - Topic id → seed index, seeded topics only
+ */
+export function findSeededTopics(clusters, documentSeeds) {
+  const counts = new Map();
+  clusters.forEach((c, idx) => {
+    if (c === -1) return;
+    if (!counts.has(c)) counts.set(c, { size: 0, seeds: new Map() });
+    const entry = counts.get(c);
+    entry.size++;
+    const seed = documentSeeds[idx];
+    if (seed !== -1) entry.seeds.set(seed, (entry.seeds.get(seed) || 0) + 1);
+  });
+
+  const topicSeeds = {};
+  counts.forEach(({ size, seeds }, clusterId) => {
+    let best = -1;
+    let bestCount = 0;
+    seeds.forEach((count, seed) => {
+      if (count > bestCount) {
+        best = seed;
+        bestCount = count;
+      }
+    });
+    if (best !== -1 && bestCount * 2 >= size) topicSeeds[clusterId] = best;
+  });
+  return topicSeeds;
+}
+
+/**
+ * Label seeded topics with their seed's name. When a seed spans several topics, the largest gets
+ * the bare name and the others add their own keywords.
+ * @param {Object} topicLabels - Labels by topic id
+ * @param {Object<number, number>} topicSeeds - From findSeededTopics
+ * @param {{name: string}[]} seeds
+ * @param {number[]} clusters - For ordering topics that share a seed
+ * @returns {Object} - New labels
+ */
+export function labelSeededTopics(topicLabels, topicSeeds, seeds, clusters) {
+  const sizes = new Map();
+  clusters.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+
+  const bySeed = new Map();
+  Object.entries(topicSeeds).forEach(([clusterId, seed]) => {
+    if (!bySeed.has(seed)) bySeed.set(seed, []);
+    bySeed.get(seed).push(clusterId);
+  });
+
+  const labels = { ...topicLabels };
+  bySeed.forEach((clusterIds, seed) => {
+    clusterIds
+      .sort((a, b) => (sizes.get(Number(b)) || 0) - (sizes.get(Number(a)) || 0))
+      .forEach((clusterId, i) => {
+        const keywords = (labels[clusterId] || '').replace(/^Topic \S+: /, '');
+        labels[clusterId] = i === 0 || !keywords ? seeds[seed].name : `${seeds[seed].name} – ${keywords}`;
+      });
+  });
+  return labels;
+}
@@ -0,0 +1,59 @@
+// Agreement between clusterings of the same documents, for checking that topics hold up across runs
+
+/**
+ * Adjusted Rand Index (Hubert & Arabie 1985) between two labelings of the same points
+ * Noise (-1) counts as one more label, so runs that disagree on outliers score lower.
+ * @param {number[]} labelsA
+ * @param {number[]} labelsB
+ * @returns {number} - 1 for identical partitions (up to renaming), about 0 for chance agreement
+ */
+export function adjustedRandIndex(labelsA, labelsB) {
+  if (labelsA.length !== labelsB.length) {
+    throw new Error('Labelings must cover the same points');
+  }
+
+  const n = labelsA.length;
+  const contingency = new Map();
+  const rowSums = new Map();
+  const columnSums = new Map();
+
+  for (let i = 0; i < n; i++) {
+    const a = labelsA[i];
+    const b = labelsB[i];
+    const cell = `${a}|${b}`;
+    contingency.set(cell, (contingency.get(cell) || 0) + 1);
+    rowSums.set(a, (rowSums.get(a) || 0) + 1);
+    columnSums.set(b, (columnSums.get(b) || 0) + 1);
+  }
+
+  const pairs = (count) => count * (count - 1) / 2;
+  const sumPairs = (counts) => [...counts.values()].reduce((sum, count) => sum + pairs(count), 0);
+
+  const index = sumPairs(contingency);
+  const rowPairs = sumPairs(rowSums);
+  const columnPairs = sumPairs(columnSums);
+  const totalPairs = pairs(n);
+
+  const expected = totalPairs > 0 ? rowPairs * columnPairs / totalPairs : 0;
+  const maximum = (rowPairs + columnPairs) / 2;
+
+  // Both labelings put everything in one cluster (or every point alone): identical by definition
+  if (maximum === expected) return 1;
+  return (index - expected) / (maximum - expected);
+}
+
+/**
+ * Symmetric matrix of ARI between every pair of labelings (1 on the diagonal)
+ * @param {number[][]} labelings
+ * @returns {number[][]}
+ */
+export function pairwiseAdjustedRandIndex(labelings) {
+  const matrix = labelings.map(() => new Array(labelings.length).fill(1));
+
+  for (let i = 0; i < labelings.length; i++) {
+    for (let j = i + 1; j < labelings.length; j++) {
+      matrix[i][j] = matrix[j][i] = adjustedRandIndex(labelings[i], labelings[j]);
+    }
+  }
+  return matrix;
+}
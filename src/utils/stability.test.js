@@ -0,0 +1,58 @@
+import { adjustedRandIndex, pairwiseAdjustedRandIndex } from './stability';
+
+// Deterministic labels in [0, k) from a linear congruential generator
+const randomLabels = (count, k, seed) => {
+  let state = seed;
+  return Array.from({ length: count }, () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return Math.floor(state / 4294967296 * k);
+  });
+};
+
+describe('adjustedRandIndex', () => {
+  it('is 1 for identical labelings and for renamed ones', () => {
+    const labels = [0, 0, 1, 1, 2, 2, -1];
+    expect(adjustedRandIndex(labels, labels)).toBe(1);
+    expect(adjustedRandIndex(labels, [5, 5, 3, 3, 0, 0, 9])).toBe(1);
+  });
+
+  it('matches known values for small labelings', () => {
+    // Reference values from scikit-learn's adjusted_rand_score
+    expect(adjustedRandIndex([0, 0, 1, 2], [0, 0, 1, 1])).toBeCloseTo(4 / 7, 10);
+    expect(adjustedRandIndex([0, 0, 1, 1], [0, 1, 0, 1])).toBeCloseTo(-0.5, 10);
+    expect(adjustedRandIndex([0, 0, 0, 0], [0, 1, 2, 3])).toBe(0);
+  });
+
+  it('is close to 0 for independent labelings', () => {
+    const ari = adjustedRandIndex(randomLabels(2000, 4, 1), randomLabels(2000, 4, 7));
+    expect(Math.abs(ari)).toBeLessThan(0.01);
+  });
+
+  it('counts noise as its own label', () => {
+    expect(adjustedRandIndex([0, 0, 1, 1], [0, 0, -1, -1])).toBe(1);
+    expect(adjustedRandIndex([0, 0, 1, 1], [0, 0, 1, -1])).toBeLessThan(1);
+  });
+
+  it('treats two single-cluster labelings as identical', () => {
+    expect(adjustedRandIndex([3, 3, 3], [0, 0, 0])).toBe(1);
+  });
+
+  it('rejects labelings of different lengths', () => {
+    expect(() => adjustedRandIndex([0, 1], [0, 1, 1])).toThrow('same points');
+  });
+});
+
+describe('pairwiseAdjustedRandIndex', () => {
+  it('returns a symmetric matrix with 1 on the diagonal', () => {
+    const labelings = [[0, 0, 1, 1], [1, 1, 0, 0], [0, 1, 0, 1]];
+    const matrix = pairwiseAdjustedRandIndex(labelings);
+
+    expect(matrix).toHaveLength(3);
+    matrix.forEach((row, i) => {
+      expect(row[i]).toBe(1);
+      row.forEach((value, j) => expect(value).toBe(matrix[j][i]));
+    });
+    expect(matrix[0][1]).toBe(1);
+    expect(matrix[0][2]).toBeCloseTo(-0.5, 10);
+  });
+});
@@ -0,0 +1,176 @@
+// Parameter sweep: run the pipeline over a grid of UMAP / clustering parameters and several seeds,
+// then summarize each configuration by topic count, outliers, quality and stability across seeds.
+
+import { runPipeline, createPipelineCache, DEFAULT_PIPELINE_SETTINGS } from './pipeline';
+import { pairwiseAdjustedRandIndex } from './stability';
+import { throwIfCancelled } from './cancellation';
+
+// Sweepable parameters and the settings group each belongs to
+export const SWEEP_PARAMETERS = {
+  nNeighbors: 'umap',
+  minDist: 'umap',
+  k: 'clustering',
+  eps: 'clustering',
+  minPts: 'clustering',
+  minClusterSize: 'clustering',
+  minSamples: 'clustering'
+};
+
+export const DEFAULT_SWEEP_SEEDS = [42, 7, 1234];
+
+/**
+ * Order configurations most stable first; ones that found no topics (trivially stable) go last
+ * @param {Object[]} configurations - From runParameterSweep
+ * @returns {Object[]}
+ */
+export function rankConfigurations(configurations) {
+  const score = (config) => config.topicCount.max === 0 || config.stability === null ? -Infinity : config.stability;
+  return [...configurations].sort((a, b) => score(b) - score(a));
+}
+
+/**
+ * Every combination of the grid's values, UMAP parameters varying slowest
+ * @param {Object} grid - { parameter: values[] }, see SWEEP_PARAMETERS
+ * @returns {Object[]} - One { parameter: value } object per combination
+ */
+export function expandSweepGrid(grid) {
+  const parameters = Object.keys(grid).filter(name => grid[name] && grid[name].length > 0);
+  const unknown = parameters.filter(name => !SWEEP_PARAMETERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sweep parameter(s): ${unknown.join(', ')}`);
+  }
+
+  const ordered = [...parameters.filter(isUmap), ...parameters.filter(name => !isUmap(name))];
+
+  return ordered.reduce(
+    (combinations, name) => combinations.flatMap(combination =>
+      grid[name].map(value => ({ ...combination, [name]: value }))
+    ),
+    [{}]
+  );
+}
+
+/**
+ * Run the pipeline for every grid combination and seed
+ * Embeddings are computed once. Runs are ordered so each UMAP layout (parameters + seed) is computed once
+ * and every clustering combination is run on it before moving on.
+ *
+ * @param {DocumentRecord[]} documents
+ * @param {Object} settings - Base pipeline settings; swept parameters override them
+ * @param {Object} sweep - { grid, seeds }; each seed sets umap.randomState and clustering.seed
+ * @param {Object} options - { cache, onProgress(label, progress), signal }
+ * @returns {Promise<Object>} - { runs, configurations, ari }: runs in execution order, one summary per
+ *   grid combination (sorted as the grid), and the run × run Adjusted Rand Index matrix
+ */
+export async function runParameterSweep(documents, settings = DEFAULT_PIPELINE_SETTINGS, sweep = {}, options = {}) {
+  const { cache = createPipelineCache(), onProgress = () => {}, signal = null } = options;
+  const { grid = {}, seeds = DEFAULT_SWEEP_SEEDS } = sweep;
+  const base = { ...DEFAULT_PIPELINE_SETTINGS, ...settings };
+
+  if (seeds.length === 0) {
+    throw new Error('A sweep needs at least one seed');
+  }
+
+  const combinations = expandSweepGrid(grid);
+  const umapKey = (combination) => JSON.stringify(Object.keys(combination).filter(isUmap).map(name => combination[name]));
+
+  // Group combinations sharing UMAP parameters so each layout is computed once per seed
+  const umapGroups = [];
+  combinations.forEach((combination, index) => {
+    const key = umapKey(combination);
+    let group = umapGroups.find(g => g.key === key);
+    if (!group) {
+      group = { key, members: [] };
+      umapGroups.push(group);
+    }
+    group.members.push(index);
+  });
+
+  const total = combinations.length * seeds.length;
+  const runs = [];
+  const labelings = [];
+
+  for (const group of umapGroups) {
+    for (const seed of seeds) {
+      for (const index of group.members) {
+        throwIfCancelled(signal);
+        const parameters = combinations[index];
+        const runSettings = applySweepParameters(base, parameters, seed);
+        const runNumber = runs.length + 1;
+
+        const results = await runPipeline(documents, runSettings, {
+          cache,
+          signal,
+          onProgress: (stage, p) => onProgress(`Run ${runNumber}/${total}: ${stage}`, (runs.length + p) / total)
+        });
+
+        labelings.push(results.clusters);
+        runs.push({
+          configuration: index,
+          parameters,
+          seed,
+          topicCount: new Set(results.clusters.filter(c => c !== -1)).size,
+          outlierCount: results.clusters.filter(c => c === -1).length,
+          quality: results.quality
+        });
+      }
+    }
+  }
+
+  const ari = pairwiseAdjustedRandIndex(labelings);
+  const configurations = combinations.map((parameters, index) => summarizeConfiguration(parameters, runs, ari, index));
+
+  console.log(`✓ Sweep complete: ${combinations.length} configurations × ${seeds.length} seeds`);
+  return { runs, configurations, ari };
+}
+
+function applySweepParameters(base, parameters, seed) {
+  const umap = { ...base.umap, randomState: seed };
+  const clustering = { ...base.clustering, seed };
+
+  Object.entries(parameters).forEach(([name, value]) => {
+    if (isUmap(name)) {
+      umap[name] = value;
+    } else {
+      clustering[name] = value;
+    }
+  });
+
+  // Sweeps compare clusterings, so topics are never merged down to a fixed count, nor titled by an LLM
+  return { ...base, umap, clustering, hierarchy: { ...base.hierarchy, topics: null }, llm: { ...base.llm, enabled: false } };
+}
+
+function isUmap(name) {
+  return SWEEP_PARAMETERS[name] === 'umap';
+}
+
+// Mean / range of each statistic over a configuration's seeds; stability is the mean ARI between its seeds
+function summarizeConfiguration(parameters, runs, ari, index) {
+  const members = runs
+    .map((run, runIndex) => ({ run, runIndex }))
+    .filter(({ run }) => run.configuration === index);
+
+  const values = (pick) => members.map(({ run }) => pick(run)).filter(value => value !== null && value !== undefined);
+  const mean = (list) => list.length > 0 ? list.reduce((sum, value) => sum + value, 0) / list.length : null;
+
+  const agreements = [];
+  for (let i = 0; i < members.length; i++) {
+    for (let j = i + 1; j < members.length; j++) {
+      agreements.push(ari[members[i].runIndex][members[j].runIndex]);
+    }
+  }
+
+  const topicCounts = values(run => run.topicCount);
+  return {
+    parameters,
+    runs: members.map(({ runIndex }) => runIndex),
+    topicCount: { mean: mean(topicCounts), min: Math.min(...topicCounts), max: Math.max(...topicCounts) },
+    outlierCount: mean(values(run => run.outlierCount)),
+    silhouette: mean(values(run => run.quality && run.quality.silhouette)),
+    daviesBouldin: mean(values(run => run.quality && run.quality.daviesBouldin)),
+    calinskiHarabasz: mean(values(run => run.quality && run.quality.calinskiHarabasz)),
+    // null with a single seed: nothing to compare against
+    stability: mean(agreements),
+    minStability: agreements.length > 0 ? Math.min(...agreements) : null
+  };
+}
@@ -0,0 +1,304 @@
+// Tokenizer for topic keywords (c-TF-IDF): stop-word presets per kind of corpus plus user additions,
+// optional stemming or lemmatization so inflections count as one term, and acronyms or alphanumeric
+// tokens ("AI", "CATP", "5G", "SAM2") kept in their original case instead of lowercased or dropped.
+
+const ENGLISH_STOP_WORDS = [
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+  'by', 'can', 'cannot', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each',
+  'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+  'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'itself', 'just', 'me', 'might', 'more', 'most', 'must', 'my', 'myself', 'no',
+  'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours',
+  'ourselves', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than',
+  'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they',
+  'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+];
+
+// Words in nearly every headline: reporting verbs, time words, feed boilerplate
+const NEWS_STOP_WORDS = [
+  'says', 'said', 'say', 'told', 'tells', 'new', 'news', 'latest', 'live', 'update', 'updates',
+  'breaking', 'report', 'reports', 'reported', 'watch', 'video', 'photos', 'pictures', 'today',
+  'yesterday', 'tomorrow', 'week', 'year', 'years', 'day', 'days', 'amid', 'also', 'get', 'gets',
+  'may', 'one', 'two', 'first', 'last', 'top', 'make', 'makes', 'back', 'could', 'according'
+];
+
+// Words in nearly every paper title
+const ACADEMIC_STOP_WORDS = [
+  'using', 'via', 'based', 'new', 'novel', 'towards', 'efficient', 'effective', 'improved',
+  'method', 'approach', 'framework', 'model', 'system', 'algorithm', 'technique', 'methods',
+  'approaches', 'frameworks', 'models', 'systems', 'algorithms', 'techniques'
+];
+
+export const STOP_WORD_PRESETS = {
+  none: { name: 'None', words: [] },
+  english: { name: 'English', words: ENGLISH_STOP_WORDS },
+  news: { name: 'News', words: [...ENGLISH_STOP_WORDS, ...NEWS_STOP_WORDS] },
+  academic: { name: 'Academic', words: [...ENGLISH_STOP_WORDS, ...ACADEMIC_STOP_WORDS] }
+};
+
+export const NORMALIZATIONS = {
+  NONE: 'none',
+  STEM: 'stem',  // Porter stemmer: aggressive, "computing" and "computation" become one term
+  LEMMA: 'lemma' // Plurals, -ing and -ed forms and common irregular forms only
+};
+
+// stopWords: a STOP_WORD_PRESETS key; customStopWords: extra words, matched in any case;
+// keepAcronyms: keep tokens like "AI" and "5G" as written instead of lowercasing them
+export const DEFAULT_TOKENIZER_SETTINGS = {
+  stopWords: 'academic',
+  customStopWords: [],
+  normalization: NORMALIZATIONS.NONE,
+  keepAcronyms: true
+};
+
+/**
+ * Parse stop words separated by commas or newlines
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseStopWords(text) {
+  return text.split(/[,\n]/).map(word => word.trim()).filter(Boolean);
+}
+
+/**
+ * Tokenizer for one set of settings. Tokens are terms to count: lowercased, normalized words and
+ * acronyms as written. displayTerm turns a term (or a phrase of terms) back into the form most
+ * often seen by this tokenizer, so stems never show up in keywords.
+ * @param {Object} settings - See DEFAULT_TOKENIZER_SETTINGS
+ * @returns {{tokenize: function(string): string[], displayTerm: function(string): string}}
+ */
+export function createTokenizer(settings = DEFAULT_TOKENIZER_SETTINGS) {
+  const { stopWords, customStopWords = [], normalization = NORMALIZATIONS.NONE, keepAcronyms = true } = {
+    ...DEFAULT_TOKENIZER_SETTINGS,
+    ...settings
+  };
+  const preset = STOP_WORD_PRESETS[stopWords];
+  if (!preset) {
+    throw new Error(`Unknown stop-word preset: ${stopWords}`);
+  }
+  const presetWords = new Set(preset.words);
+  const customWords = new Set(customStopWords.map(word => word.toLowerCase()));
+  const normalize = normalization === NORMALIZATIONS.STEM
+    ? stemWord
+    : normalization === NORMALIZATIONS.LEMMA ? lemmatizeWord : (word) => word;
+
+  // term → (surface form → count)
+  const surfaces = new Map();
+  const record = (term, surface) => {
+    if (!surfaces.has(term)) surfaces.set(term, new Map());
+    const forms = surfaces.get(term);
+    forms.set(surface, (forms.get(surface) || 0) + 1);
+  };
+
+  const toTerm = (word) => {
+    if (customWords.has(word.toLowerCase())) return null;
+    if (keepAcronyms && isAcronym(word)) {
+      // "LLMs" and "LLM" are one term once inflections are merged
+      return normalization === NORMALIZATIONS.NONE ? word : word.replace(/^([A-Z0-9-]+[A-Z0-9])s$/, '$1');
+    }
+    const lower = word.toLowerCase();
+    if (lower.length <= 2 || presetWords.has(lower)) return null;
+    // Hyphenated compounds are normalized on their last part: "data-driven" stays, "pre-trained" → "pre-train"
+    const parts = lower.split('-');
+    parts[parts.length - 1] = normalize(parts[parts.length - 1]);
+    return parts.join('-');
+  };
+
+  const tokenize = (text) => {
+    const terms = [];
+    text
+      .replace(/[^\w\s-]/g, ' ')
+      .split(/\s+/)
+      .map(word => word.replace(/^-+|-+$/g, ''))
+      .forEach(word => {
+        if (!word) return;
+        const term = toTerm(word);
+        if (!term) return;
+        record(term, keepAcronyms && isAcronym(word) ? word : word.toLowerCase());
+        terms.push(term);
+      });
+    return terms;
+  };
+
+  const displayWord = (term) => {
+    const forms = surfaces.get(term);
+    if (!forms) return term;
+    let best = term;
+    let bestCount = 0;
+    forms.forEach((count, form) => {
+      if (count > bestCount) {
+        best = form;
+        bestCount = count;
+      }
+    });
+    return best;
+  };
+
+  return {
+    tokenize,
+    displayTerm: (term) => term.split(' ').map(displayWord).join(' ')
+  };
+}
+
+// Acronyms and product-like names: a part with an uppercase letter after its first character ("AI",
+// "ViType", "GNN-to-MLP") or with letters and digits ("5G", "SAM2"). "High-Fidelity" is not one.
+function isAcronym(word) {
+  return word.split('-').some(part =>
+    part.length >= 2 && (/^.+[A-Z]/.test(part) || (/\d/.test(part) && /[A-Za-z]/.test(part)))
+  );
+}
+
+const IRREGULAR_LEMMAS = {
+  children: 'child', men: 'man', women: 'woman', people: 'person', mice: 'mouse', feet: 'foot',
+  teeth: 'tooth', geese: 'goose', analyses: 'analysis', criteria: 'criterion', phenomena: 'phenomenon',
+  went: 'go', gone: 'go', took: 'take', taken: 'take', gave: 'give', given: 'give', made: 'make',
+  built: 'build', brought: 'bring', taught: 'teach', thought: 'think', found: 'find', held: 'hold',
+  won: 'win', led: 'lead', seen: 'see', ran: 'run', fallen: 'fall', risen: 'rise', grew: 'grow',
+  grown: 'grow', sold: 'sell', bought: 'buy', paid: 'pay', struck: 'strike', chose: 'choose',
+  chosen: 'choose', spoke: 'speak', spoken: 'speak', wrote: 'write', written: 'write', began: 'begin',
+  begun: 'begin'
+};
+
+// Look plural, aren't
+const INVARIANT_WORDS = new Set(['news', 'series', 'species', 'lens', 'means', 'whereas', 'always', 'perhaps']);
+
+/**
+ * Dictionary form of an inflected lowercase word: plurals, -ing and -ed forms, common irregulars
+ * @param {string} word
+ * @returns {string}
+ */
+export function lemmatizeWord(word) {
+  if (IRREGULAR_LEMMAS[word]) return IRREGULAR_LEMMAS[word];
+  if (word.length <= 3 || INVARIANT_WORDS.has(word) || !/^[a-z]+$/.test(word)) return word;
+
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (/(sses|xes|ches|shes|zzes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is|ics)$/.test(word)) return word.slice(0, -1);
+
+  for (const suffix of ['ing', 'ed']) {
+    if (!word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length);
+    if (stem.length < 3 || !hasVowel(stem)) return word;
+    return restoreStemEnding(stem);
+  }
+  return word;
+}
+
+/**
+ * Porter (1980) stem of a lowercase word
+ * @param {string} word
+ * @returns {string}
+ */
+export function stemWord(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+  let w = word;
+
+  // Step 1a: plurals
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+
+  // Step 1b: -eed, -ed, -ing
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    for (const suffix of ['ed', 'ing']) {
+      if (w.endsWith(suffix) && hasVowel(w.slice(0, -suffix.length))) {
+        w = restoreStemEnding(w.slice(0, -suffix.length));
+        break;
+      }
+    }
+  }
+
+  // Step 1c: y → i after a vowel-containing stem
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) w = w.slice(0, -1) + 'i';
+
+  w = replaceSuffix(w, STEP2_SUFFIXES, stem => measure(stem) > 0);
+  w = replaceSuffix(w, STEP3_SUFFIXES, stem => measure(stem) > 0);
+  w = replaceSuffix(w, STEP4_SUFFIXES, (stem, suffix) =>
+    measure(stem) > 1 && (suffix !== 'ion' || /[st]$/.test(stem))
+  );
+
+  // Step 5: final -e and -ll
+  if (w.endsWith('e')) {
+    const stem = w.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsCVC(stem))) w = stem;
+  }
+  if (w.endsWith('ll') && measure(w) > 1) w = w.slice(0, -1);
+
+  return w;
+}
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', abli: 'able', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const STEP4_SUFFIXES = Object.fromEntries([
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou',
+  'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].map(suffix => [suffix, '']));
+
+// Replace the longest matching suffix when the stem before it passes the condition
+function replaceSuffix(word, suffixes, condition) {
+  const suffix = Object.keys(suffixes)
+    .filter(s => word.endsWith(s))
+    .sort((a, b) => b.length - a.length)[0];
+  if (suffix === undefined) return word;
+  const stem = word.slice(0, -suffix.length);
+  return condition(stem, suffix) ? stem + suffixes[suffix] : word;
+}
+
+// After removing -ed or -ing: "hop(p)" → "hop", "hop" → "hope", "conflat" → "conflate"
+function restoreStemEnding(stem) {
+  if (/(at|bl|iz)$/.test(stem)) return stem + 'e';
+  if (endsDoubleConsonant(stem) && !/[lsz]$/.test(stem)) return stem.slice(0, -1);
+  if (measure(stem) === 1 && endsCVC(stem)) return stem + 'e';
+  return stem;
+}
+
+function isConsonant(word, i) {
+  const c = word[i];
+  if ('aeiou'.includes(c)) return false;
+  if (c === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+// Porter's m: the number of vowel-consonant sequences
+function measure(stem) {
+  let m = 0;
+  let i = 0;
+  while (i < stem.length && isConsonant(stem, i)) i++;
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) i++;
+    if (i >= stem.length) break;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+function hasVowel(stem) {
+  return [...stem].some((_, i) => !isConsonant(stem, i));
+}
+
+function endsDoubleConsonant(word) {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// Consonant-vowel-consonant, the last not w, x or y
+function endsCVC(word) {
+  const n = word.length;
+  return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1]);
+}
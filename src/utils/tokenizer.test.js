@@ -0,0 +1,71 @@
+import { createTokenizer, stemWord, lemmatizeWord, parseStopWords, DEFAULT_TOKENIZER_SETTINGS } from './tokenizer';
+
+describe('createTokenizer', () => {
+  it('drops the academic stop words by default, as before presets existed', () => {
+    expect(DEFAULT_TOKENIZER_SETTINGS.stopWords).toBe('academic');
+    const { tokenize } = createTokenizer();
+    expect(tokenize('A novel framework for graph learning using transformers'))
+      .toEqual(['graph', 'learning', 'transformers']);
+  });
+
+  it('keeps acronyms and alphanumeric tokens as written', () => {
+    const { tokenize } = createTokenizer();
+    expect(tokenize('AI on 5G networks with SAM2 and High-Fidelity audio'))
+      .toEqual(['AI', '5G', 'networks', 'SAM2', 'high-fidelity', 'audio']);
+  });
+
+  it('lowercases and drops short words with keepAcronyms off', () => {
+    const { tokenize } = createTokenizer({ ...DEFAULT_TOKENIZER_SETTINGS, keepAcronyms: false });
+    expect(tokenize('AI on 5G networks')).toEqual(['networks']);
+  });
+
+  it('matches custom stop words in any case', () => {
+    const { tokenize } = createTokenizer({ ...DEFAULT_TOKENIZER_SETTINGS, stopWords: 'news', customStopWords: ['Reuters'] });
+    expect(tokenize('REUTERS says markets rally')).toEqual(['markets', 'rally']);
+  });
+
+  it('shows the most common surface form of a stemmed term', () => {
+    const { tokenize, displayTerm } = createTokenizer({ ...DEFAULT_TOKENIZER_SETTINGS, normalization: 'stem' });
+    const terms = tokenize('computing computing computation');
+    expect(new Set(terms).size).toBe(1);
+    expect(displayTerm(terms[0])).toBe('computing');
+  });
+
+  it('rejects unknown presets', () => {
+    expect(() => createTokenizer({ stopWords: 'legal' })).toThrow('Unknown stop-word preset');
+  });
+});
+
+describe('stemWord', () => {
+  it.each([
+    ['caresses', 'caress'],
+    ['ponies', 'poni'],
+    ['relational', 'relat'],
+    ['conditional', 'condit'],
+    ['generalization', 'gener'],
+    ['hopping', 'hop'],
+    ['running', 'run']
+  ])('stems %s to %s', (word, stem) => {
+    expect(stemWord(word)).toBe(stem);
+  });
+});
+
+describe('lemmatizeWord', () => {
+  it.each([
+    ['studies', 'study'],
+    ['boxes', 'box'],
+    ['networks', 'network'],
+    ['news', 'news'],
+    ['physics', 'physics'],
+    ['children', 'child'],
+    ['training', 'train']
+  ])('lemmatizes %s to %s', (word, lemma) => {
+    expect(lemmatizeWord(word)).toBe(lemma);
+  });
+});
+
+describe('parseStopWords', () => {
+  it('splits on commas and lines', () => {
+    expect(parseStopWords('reuters, exclusive\n opinion ,')).toEqual(['reuters', 'exclusive', 'opinion']);
+  });
+});
@@ -1,44 +1,13 @@
-// Topic extraction using c-TF-IDF with simple tokenization
+// Topic extraction using c-TF-IDF over the tokenizer's terms (see tokenizer.js)
 // Works with semantic embeddings from transformers.js
 
-const STOP_WORDS = new Set([
-  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
-  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
-  'by', 'can', 'cannot', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each',
-  'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
-  'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
-  'its', 'itself', 'just', 'me', 'might', 'more', 'most', 'must', 'my', 'myself', 'no',
-  'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours',
-  'ourselves', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than',
-  'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they',
-  'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we',
-  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
-  'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
-  // Domain-specific stop words
-  'using', 'via', 'based', 'new', 'novel', 'towards', 'efficient', 'effective', 'improved',
-  'method', 'approach', 'framework', 'model', 'system', 'algorithm', 'technique', 'methods',
-  'approaches', 'frameworks', 'models', 'systems', 'algorithms', 'techniques'
-]);
+import { createTokenizer, DEFAULT_TOKENIZER_SETTINGS } from './tokenizer';
 
 /**
- * Tokenize and clean text
- * Since we're using semantic embeddings, we rely on simple unigram tokenization
- * The semantic understanding comes from the transformer model, not n-grams
- */
-function tokenize(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, ' ')
-    .split(/\s+/)
-    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
-}
-
-/**
- * Extract important phrases (2-3 word sequences) from text
+ * Extract important phrases (2-3 word sequences) from a text's tokens
  * These help create more descriptive topic labels
  */
-function extractPhrases(text) {
-  const tokens = tokenize(text);
+function extractPhrases(tokens) {
   const phrases = [];
   
   // Extract bigrams (2-word phrases)
@@ -60,83 +29,90 @@ function extractPhrases(text) {
  * Calculate c-TF-IDF (class-based TF-IDF) for cluster keyword extraction
  * This identifies terms that are distinctive to each cluster
  */
-function calculateClassTFIDF(documents, clusterLabels) {
+function calculateClassTFIDF(documents, clusterLabels, tokenizer) {
   const uniqueClusters = [...new Set(clusterLabels)].filter(c => c !== -1);
+  const clusterTerms = countClusterTerms(documents, clusterLabels, uniqueClusters, tokenizer);
+  const idf = calculateClassIDF(clusterTerms);
+
+  // Calculate c-TF-IDF scores
   const clusterScores = {};
-  
-  // Group documents by cluster
-  const clusterDocs = {};
   uniqueClusters.forEach(clusterId => {
-    clusterDocs[clusterId] = documents.filter((_, idx) => clusterLabels[idx] === clusterId);
+    clusterScores[clusterId] = weighTerms(clusterTerms[clusterId].counts, clusterTerms[clusterId].total, idf);
   });
-  
-  // For each cluster, create a combined document
-  const clusterTexts = {};
-  uniqueClusters.forEach(clusterId => {
-    clusterTexts[clusterId] = clusterDocs[clusterId].join(' ');
+
+  return { clusterScores, idf };
+}
+
+/**
+ * Term and phrase counts of some clusters, each cluster's documents read as one combined document
+ * @returns {Object<number, {counts: Object<string, number>, total: number}>}
+ */
+function countClusterTerms(documents, clusterLabels, clusterIds, tokenizer) {
+  const clusterDocs = new Map(clusterIds.map(clusterId => [clusterId, []]));
+  documents.forEach((text, idx) => {
+    if (clusterDocs.has(clusterLabels[idx])) clusterDocs.get(clusterLabels[idx]).push(text);
   });
-  
-  // Extract terms and phrases from cluster texts
+
   const clusterTerms = {};
-  uniqueClusters.forEach(clusterId => {
-    const text = clusterTexts[clusterId];
-    const words = tokenize(text);
-    const phrases = extractPhrases(text);
-    clusterTerms[clusterId] = [...words, ...phrases];
-  });
-  
-  // Calculate term frequency for each cluster
-  const clusterTF = {};
-  uniqueClusters.forEach(clusterId => {
-    const terms = clusterTerms[clusterId];
-    const tf = {};
+  clusterDocs.forEach((texts, clusterId) => {
+    const words = tokenizer.tokenize(texts.join(' '));
+    const terms = [...words, ...extractPhrases(words)];
+    const counts = {};
     terms.forEach(term => {
-      tf[term] = (tf[term] || 0) + 1;
+      counts[term] = (counts[term] || 0) + 1;
     });
-    clusterTF[clusterId] = tf;
+    clusterTerms[clusterId] = { counts, total: terms.length };
   });
-  
-  // Calculate IDF: log(total clusters / clusters containing term)
-  const allTerms = new Set();
-  uniqueClusters.forEach(clusterId => {
-    Object.keys(clusterTF[clusterId]).forEach(term => allTerms.add(term));
+  return clusterTerms;
+}
+
+// IDF: log(total clusters / clusters containing term), smoothed
+function calculateClassIDF(clusterTerms) {
+  const clusterIds = Object.keys(clusterTerms);
+  const clustersWithTerm = {};
+  clusterIds.forEach(clusterId => {
+    Object.keys(clusterTerms[clusterId].counts).forEach(term => {
+      clustersWithTerm[term] = (clustersWithTerm[term] || 0) + 1;
+    });
   });
-  
+
   const idf = {};
-  allTerms.forEach(term => {
-    const clustersWithTerm = uniqueClusters.filter(
-      clusterId => clusterTF[clusterId][term] > 0
-    ).length;
-    idf[term] = Math.log((uniqueClusters.length + 1) / (clustersWithTerm + 1));
+  Object.entries(clustersWithTerm).forEach(([term, count]) => {
+    idf[term] = Math.log((clusterIds.length + 1) / (count + 1));
   });
+  return idf;
+}
+
+/**
+ * TF-IDF weights for one bag of terms; terms missing from idf are dropped
+ */
+function weighTerms(termCounts, totalTerms, idf) {
+  const scores = {};
   
-  // Calculate c-TF-IDF scores
-  uniqueClusters.forEach(clusterId => {
-    const scores = {};
-    const totalTerms = clusterTerms[clusterId].length;
+  Object.entries(termCounts).forEach(([term, count]) => {
+    if (idf[term] === undefined) return;
+    const tf = count / totalTerms;
     
-    Object.entries(clusterTF[clusterId]).forEach(([term, count]) => {
-      const tf = count / totalTerms;
-      
-      // Boost multi-word phrases as they're more descriptive
-      const wordCount = term.split(' ').length;
-      let phraseBoost = 1.0;
-      if (wordCount === 3) phraseBoost = 2.0;      // Trigrams
-      else if (wordCount === 2) phraseBoost = 1.5; // Bigrams
-      
-      scores[term] = tf * idf[term] * phraseBoost;
-    });
+    // Boost multi-word phrases as they're more descriptive
+    const wordCount = term.split(' ').length;
+    let phraseBoost = 1.0;
+    if (wordCount === 3) phraseBoost = 2.0;      // Trigrams
+    else if (wordCount === 2) phraseBoost = 1.5; // Bigrams
     
-    clusterScores[clusterId] = scores;
+    scores[term] = tf * idf[term] * phraseBoost;
   });
   
-  return clusterScores;
+  return scores;
 }
 
 /**
  * Extract top keywords for each cluster using c-TF-IDF
+ * @param {string[]} documents - Texts of all documents
+ * @param {number[]} clusterLabels - Cluster per document, -1 for noise
+ * @param {number} topN - Keywords per topic
+ * @param {Object} tokenizerSettings - See DEFAULT_TOKENIZER_SETTINGS; terms are shown in their most common written form
  */
-export function extractTopicKeywords(documents, clusterLabels, topN = 10) {
+export function extractTopicKeywords(documents, clusterLabels, topN = 10, tokenizerSettings = DEFAULT_TOKENIZER_SETTINGS) {
   const uniqueClusters = [...new Set(clusterLabels)].filter(c => c !== -1);
   const topics = {};
   
@@ -145,7 +121,8 @@ export function extractTopicKeywords(documents, clusterLabels, topN = 10) {
   }
   
   // Use c-TF-IDF for better inter-cluster discrimination
-  const clusterScores = calculateClassTFIDF(documents, clusterLabels);
+  const tokenizer = createTokenizer(tokenizerSettings);
+  const { clusterScores } = calculateClassTFIDF(documents, clusterLabels, tokenizer);
   
   uniqueClusters.forEach(clusterId => {
     const scores = clusterScores[clusterId];
@@ -154,7 +131,7 @@ export function extractTopicKeywords(documents, clusterLabels, topN = 10) {
     const sortedTerms = Object.entries(scores)
       .sort((a, b) => b[1] - a[1])
       .slice(0, topN)
-      .map(([term, score]) => ({ term, score }));
+      .map(([term, score]) => ({ term: tokenizer.displayTerm(term), score }));
     
     topics[clusterId] = sortedTerms;
   });
@@ -162,6 +139,225 @@ export function extractTopicKeywords(documents, clusterLabels, topN = 10) {
   return topics;
 }
 
+/**
+ * Keywords of some topics only, for edits that change a few topics' documents
+ * The other topics' term counts are reused for the IDF instead of tokenizing their documents again.
+ * @param {string[]} documents - Texts of all documents
+ * @param {number[]} clusterLabels - Cluster per document, -1 for noise
+ * @param {number[]} changedIds - Topics to extract keywords for
+ * @param {Object|null} termCounts - Term counts per topic from an earlier call on the same texts and settings;
+ *   null to count every topic
+ * @param {number} topN - Keywords per topic
+ * @param {Object} tokenizerSettings - See DEFAULT_TOKENIZER_SETTINGS
+ * @returns {{topics: Object, termCounts: Object}} - Keywords of the changed topics, term counts of all topics
+ */
+export function updateTopicKeywords(documents, clusterLabels, changedIds, termCounts, topN = 10, tokenizerSettings = DEFAULT_TOKENIZER_SETTINGS) {
+  const uniqueClusters = [...new Set(clusterLabels)].filter(c => c !== -1);
+  const changed = new Set(changedIds);
+  const toCount = termCounts
+    ? uniqueClusters.filter(clusterId => changed.has(clusterId) || !termCounts[clusterId])
+    : uniqueClusters;
+
+  const tokenizer = createTokenizer(tokenizerSettings);
+  const counted = countClusterTerms(documents, clusterLabels, toCount, tokenizer);
+  const allCounts = {};
+  uniqueClusters.forEach(clusterId => {
+    allCounts[clusterId] = counted[clusterId] || termCounts[clusterId];
+  });
+  const idf = calculateClassIDF(allCounts);
+
+  const topics = {};
+  changedIds.filter(clusterId => allCounts[clusterId]).forEach(clusterId => {
+    topics[clusterId] = Object.entries(weighTerms(allCounts[clusterId].counts, allCounts[clusterId].total, idf))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topN)
+      .map(([term, score]) => ({ term: tokenizer.displayTerm(term), score }));
+  });
+
+  return { topics, termCounts: allCounts };
+}
+
+/**
+ * Keywords of each topic within groups of its documents, such as time periods
+ * Terms are weighted by the IDF over all topics, so a topic's groups are compared on one scale
+ * (as in BERTopic's topics_over_time).
+ * @param {string[]} documents - Texts of all documents
+ * @param {number[]} clusterLabels - Cluster per document, -1 for noise (left out)
+ * @param {Array<string|null>} groups - Group per document, null to leave the document out
+ * @param {number} topN - Keywords per topic and group
+ * @param {Object} tokenizerSettings - See DEFAULT_TOKENIZER_SETTINGS
+ * @returns {Object<string, Object<number, {term: string, score: number}[]>>} - Keywords by group, then topic
+ */
+export function extractGroupKeywords(documents, clusterLabels, groups, topN = 5, tokenizerSettings = DEFAULT_TOKENIZER_SETTINGS) {
+  const tokenizer = createTokenizer(tokenizerSettings);
+  const { idf } = calculateClassTFIDF(documents, clusterLabels, tokenizer);
+
+  // group → topic → texts
+  const groupTexts = new Map();
+  documents.forEach((text, idx) => {
+    const group = groups[idx];
+    const clusterId = clusterLabels[idx];
+    if (group === null || clusterId === -1) return;
+    if (!groupTexts.has(group)) groupTexts.set(group, new Map());
+    const topicTexts = groupTexts.get(group);
+    if (!topicTexts.has(clusterId)) topicTexts.set(clusterId, []);
+    topicTexts.get(clusterId).push(text);
+  });
+
+  const keywords = {};
+  groupTexts.forEach((topicTexts, group) => {
+    keywords[group] = {};
+    topicTexts.forEach((texts, clusterId) => {
+      const words = tokenizer.tokenize(texts.join(' '));
+      const terms = [...words, ...extractPhrases(words)];
+      const counts = {};
+      terms.forEach(term => {
+        counts[term] = (counts[term] || 0) + 1;
+      });
+      keywords[group][clusterId] = Object.entries(weighTerms(counts, terms.length, idf))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topN)
+        .map(([term, score]) => ({ term: tokenizer.displayTerm(term), score }));
+    });
+  });
+
+  return keywords;
+}
+
+// Optional reranking of c-TF-IDF candidates by embeddings (KeyBERT-style Maximal Marginal Relevance).
+// diversity: 0 ranks purely by similarity to the topic, 1 purely by dissimilarity to terms already picked.
+// candidates: c-TF-IDF terms per topic to rerank.
+export const DEFAULT_RERANK_SETTINGS = {
+  enabled: false,
+  diversity: 0.3,
+  candidates: 30
+};
+
+/**
+ * Rerank each topic's candidate keywords by Maximal Marginal Relevance: terms similar to the topic's
+ * mean document embedding, but unlike the terms already picked, so "deep learning" and
+ * "deep learning vision" don't both make it to the top
+ * @param {Object} candidates - Keywords per topic, as from extractTopicKeywords
+ * @param {Object} data - { embeddings, clusters, termEmbeddings (Map term → embedding) }
+ * @param {Object} options - { diversity, topN }
+ * @returns {Object} - Keywords per topic; score is the term's cosine similarity to the topic
+ */
+export function rerankTopicKeywords(candidates, data, options = {}) {
+  const { embeddings, clusters, termEmbeddings } = data;
+  const { diversity = DEFAULT_RERANK_SETTINGS.diversity, topN = 10 } = options;
+  const clusterIds = Object.keys(candidates).map(Number);
+  const centroids = topicEmbeddingCentroids(embeddings, clusters, clusterIds);
+  
+  const topics = {};
+  clusterIds.forEach((clusterId, t) => {
+    const terms = candidates[clusterId].filter(k => termEmbeddings.has(k.term));
+    const vectors = terms.map(k => termEmbeddings.get(k.term));
+    const relevance = vectors.map(vector => cosineSimilarity(vector, centroids[t]));
+    topics[clusterId] = maximalMarginalRelevance(vectors, relevance, topN, diversity)
+      .map(i => ({ term: terms[i].term, score: relevance[i] }));
+  });
+  return topics;
+}
+
+// Indices of the picked vectors, in order: (1 - diversity) · relevance - diversity · max similarity to picked
+function maximalMarginalRelevance(vectors, relevance, topN, diversity) {
+  const picked = [];
+  const redundancy = vectors.map(() => -Infinity);
+  const remaining = new Set(vectors.map((_, i) => i));
+  
+  while (picked.length < topN && remaining.size > 0) {
+    let best = -1;
+    let bestScore = -Infinity;
+    remaining.forEach(i => {
+      const score = picked.length === 0
+        ? relevance[i]
+        : (1 - diversity) * relevance[i] - diversity * redundancy[i];
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+    picked.push(best);
+    remaining.delete(best);
+    remaining.forEach(i => {
+      redundancy[i] = Math.max(redundancy[i], cosineSimilarity(vectors[i], vectors[best]));
+    });
+  }
+  return picked;
+}
+
+/**
+ * Most central documents of each topic: those most similar to the topic's mean embedding
+ * @param {number[][]} embeddings - Document embeddings
+ * @param {number[]} clusterLabels - Cluster per document, -1 for noise (no representatives)
+ * @param {number} topN - Documents per topic
+ * @returns {Object<number, number[]>} - Document indices per topic, most representative first
+ */
+export function findRepresentativeDocuments(embeddings, clusterLabels, topN = 3) {
+  const clusterIds = [...new Set(clusterLabels)].filter(c => c !== -1);
+  const representatives = {};
+  if (!embeddings || embeddings.length !== clusterLabels.length) return representatives;
+  
+  const centroids = topicEmbeddingCentroids(embeddings, clusterLabels, clusterIds);
+  clusterIds.forEach((clusterId, t) => {
+    representatives[clusterId] = clusterLabels
+      .map((c, idx) => c === clusterId ? [idx, cosineSimilarity(embeddings[idx], centroids[t])] : null)
+      .filter(Boolean)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topN)
+      .map(([idx]) => idx);
+  });
+  return representatives;
+}
+
+/**
+ * Cosine similarity between documents' TF-IDF vectors and each topic's c-TF-IDF vector
+ * Documents are weighted with the topics' IDF, so both live in the same term space.
+ * @param {string[]} documents - Texts of all documents
+ * @param {number[]} clusterLabels - Cluster per document, -1 for noise
+ * @param {number[]} documentIndices - Documents to score
+ * @param {Object} tokenizerSettings - See DEFAULT_TOKENIZER_SETTINGS
+ * @returns {{ clusterIds: number[], similarities: number[][] }} - similarities[i][j] between
+ *   documentIndices[i] and clusterIds[j]
+ */
+export function computeTopicTermSimilarities(documents, clusterLabels, documentIndices, tokenizerSettings = DEFAULT_TOKENIZER_SETTINGS) {
+  const clusterIds = [...new Set(clusterLabels)].filter(c => c !== -1);
+  if (clusterIds.length === 0) {
+    return { clusterIds, similarities: documentIndices.map(() => []) };
+  }
+  
+  const tokenizer = createTokenizer(tokenizerSettings);
+  const { clusterScores, idf } = calculateClassTFIDF(documents, clusterLabels, tokenizer);
+  const topicNorms = clusterIds.map(clusterId => vectorNorm(clusterScores[clusterId]));
+  
+  const similarities = documentIndices.map(idx => {
+    const words = tokenizer.tokenize(documents[idx]);
+    const terms = [...words, ...extractPhrases(words)];
+    const counts = {};
+    terms.forEach(term => {
+      counts[term] = (counts[term] || 0) + 1;
+    });
+    const weights = weighTerms(counts, terms.length, idf);
+    const norm = vectorNorm(weights);
+    
+    return clusterIds.map((clusterId, t) => {
+      if (norm === 0 || topicNorms[t] === 0) return 0;
+      const topicScores = clusterScores[clusterId];
+      let dot = 0;
+      Object.entries(weights).forEach(([term, weight]) => {
+        dot += weight * (topicScores[term] || 0);
+      });
+      return dot / (norm * topicNorms[t]);
+    });
+  });
+  
+  return { clusterIds, similarities };
+}
+
+function vectorNorm(weights) {
+  return Math.sqrt(Object.values(weights).reduce((sum, w) => sum + w * w, 0));
+}
+
 /**
  * Generate topic labels from keywords with smarter formatting
  */
@@ -198,49 +394,133 @@ export function generateTopicLabels(topics) {
   return labels;
 }
 
+export const TOPIC_REPRESENTATIONS = {
+  EMBEDDINGS: 'embeddings', // Mean embedding of each topic's documents
+  CTFIDF: 'c-tf-idf'        // Each topic's c-TF-IDF term weights
+};
+
 /**
- * Create a hierarchical structure from topics for dendrogram visualization
+ * Agglomerative hierarchy of topics, for a dendrogram and for merging topics
+ * Topics are compared by cosine distance between their representations and merged with
+ * average linkage (UPGMA), so merge distances never decrease.
+ *
+ * @param {number[]} clusterLabels - Cluster per document, -1 for noise (left out)
+ * @param {Object} data - { embeddings, texts, tokenizer }; embeddings for the embedding representation, texts and
+ *   tokenizer settings for c-TF-IDF
+ * @param {string} representation - One of TOPIC_REPRESENTATIONS
+ * @returns {{ clusterIds: number[], sizes: number[], merges: {left: number, right: number, distance: number, size: number}[] }}
+ *   Nodes below clusterIds.length are topics (indices into clusterIds); merge i creates node clusterIds.length + i.
+ *   size counts the topics under a merge.
  */
-export function createTopicHierarchy(topics, documents, clusterLabels, coordinates) {
-  // Calculate cluster centroids
-  const uniqueClusters = [...new Set(clusterLabels)].filter(c => c !== -1);
-  const centroids = {};
+export function createTopicHierarchy(clusterLabels, data, representation = TOPIC_REPRESENTATIONS.EMBEDDINGS) {
+  const clusterIds = [...new Set(clusterLabels)].filter(c => c !== -1).sort((a, b) => a - b);
+  const sizes = clusterIds.map(clusterId => clusterLabels.filter(c => c === clusterId).length);
+  const m = clusterIds.length;
   
-  uniqueClusters.forEach(clusterId => {
-    const clusterPoints = coordinates.filter((_, idx) => clusterLabels[idx] === clusterId);
-    if (clusterPoints.length > 0) {
-      const centroid = [
-        clusterPoints.reduce((sum, p) => sum + p[0], 0) / clusterPoints.length,
-        clusterPoints.reduce((sum, p) => sum + p[1], 0) / clusterPoints.length
-      ];
-      centroids[clusterId] = centroid;
+  const vectors = representation === TOPIC_REPRESENTATIONS.CTFIDF
+    ? topicTermVectors(data.texts, clusterLabels, clusterIds, data.tokenizer)
+    : topicEmbeddingCentroids(data.embeddings, clusterLabels, clusterIds);
+  
+  // Distances between active nodes, keyed by node id
+  const distance = new Map();
+  const pairKey = (a, b) => a < b ? `${a}|${b}` : `${b}|${a}`;
+  for (let i = 0; i < m; i++) {
+    for (let j = i + 1; j < m; j++) {
+      distance.set(pairKey(i, j), 1 - cosineSimilarity(vectors[i], vectors[j]));
     }
-  });
+  }
   
-  // Calculate distances between clusters
-  const clusterIds = Object.keys(centroids).map(Number);
-  const distances = [];
+  const active = new Map(clusterIds.map((_, i) => [i, 1])); // node → topics under it
+  const merges = [];
   
-  for (let i = 0; i < clusterIds.length; i++) {
-    for (let j = i + 1; j < clusterIds.length; j++) {
-      const id1 = clusterIds[i];
-      const id2 = clusterIds[j];
-      const dist = euclideanDistance(centroids[id1], centroids[id2]);
-      distances.push({ id1, id2, distance: dist });
+  while (active.size > 1) {
+    let best = null;
+    const nodes = [...active.keys()];
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const d = distance.get(pairKey(nodes[i], nodes[j]));
+        if (!best || d < best.distance) best = { left: nodes[i], right: nodes[j], distance: d };
+      }
     }
+    
+    const node = m + merges.length;
+    const leftSize = active.get(best.left);
+    const rightSize = active.get(best.right);
+    active.delete(best.left);
+    active.delete(best.right);
+    
+    // Average linkage: size-weighted mean of the merged nodes' distances
+    active.forEach((_, other) => {
+      distance.set(pairKey(node, other), (
+        leftSize * distance.get(pairKey(best.left, other)) +
+        rightSize * distance.get(pairKey(best.right, other))
+      ) / (leftSize + rightSize));
+    });
+    
+    active.set(node, leftSize + rightSize);
+    merges.push({ ...best, size: leftSize + rightSize });
   }
   
-  distances.sort((a, b) => a.distance - b.distance);
-  
-  return {
-    centroids,
-    distances,
-    clusterIds
+  return { clusterIds, sizes, merges };
+}
+
+/**
+ * Cut a topic hierarchy to a number of topics by applying its closest merges first
+ * @param {Object} hierarchy - From createTopicHierarchy
+ * @param {number} topicCount - Topics to keep; at least 1
+ * @returns {Map<number, number>} - Original cluster id → id of its merged group (the group's smallest cluster id)
+ */
+export function cutTopicHierarchy(hierarchy, topicCount) {
+  const { clusterIds, merges } = hierarchy;
+  const m = clusterIds.length;
+  const parent = new Int32Array(m + merges.length).map((_, idx) => idx);
+  const find = (x) => {
+    while (parent[x] !== x) x = parent[x];
+    return x;
   };
+  
+  merges.slice(0, Math.max(0, m - Math.max(1, topicCount))).forEach(({ left, right }, i) => {
+    parent[find(left)] = m + i;
+    parent[find(right)] = m + i;
+  });
+  
+  const groupIds = new Map();
+  const mapping = new Map();
+  clusterIds.forEach((clusterId, i) => {
+    const root = find(i);
+    if (!groupIds.has(root)) groupIds.set(root, clusterId);
+    mapping.set(clusterId, groupIds.get(root));
+  });
+  return mapping;
 }
 
-function euclideanDistance(point1, point2) {
-  return Math.sqrt(
-    Math.pow(point1[0] - point2[0], 2) + Math.pow(point1[1] - point2[1], 2)
-  );
+function topicEmbeddingCentroids(embeddings, clusterLabels, clusterIds) {
+  return clusterIds.map(clusterId => {
+    const members = embeddings.filter((_, idx) => clusterLabels[idx] === clusterId);
+    const centroid = new Array(members[0].length).fill(0);
+    members.forEach(embedding => {
+      embedding.forEach((value, d) => {
+        centroid[d] += value;
+      });
+    });
+    return centroid.map(value => value / members.length);
+  });
+}
+
+// Sparse c-TF-IDF vectors as { term: weight }
+function topicTermVectors(texts, clusterLabels, clusterIds, tokenizerSettings = DEFAULT_TOKENIZER_SETTINGS) {
+  const { clusterScores } = calculateClassTFIDF(texts, clusterLabels, createTokenizer(tokenizerSettings));
+  return clusterIds.map(clusterId => clusterScores[clusterId]);
+}
+
+// Works for dense arrays and sparse { term: weight } objects
+function cosineSimilarity(a, b) {
+  const entries = Array.isArray(a) ? a.map((value, i) => [i, value]) : Object.entries(a);
+  let dot = 0;
+  entries.forEach(([key, value]) => {
+    dot += value * (b[key] || 0);
+  });
+  const normA = Math.sqrt(Object.values(a).reduce((sum, v) => sum + v * v, 0));
+  const normB = Math.sqrt(Object.values(b).reduce((sum, v) => sum + v * v, 0));
+  return normA === 0 || normB === 0 ? 0 : dot / (normA * normB);
 }
@@ -0,0 +1,346 @@
+// Plotly traces for the topic map, shared by the web app and the CLI's standalone HTML export
+
+const OUTLIER_COLOR = '#cccccc';
+const BRANCH_COLOR = '#adb5bd';
+const APPENDED_OUTLINE = '#212529';
+const POINT_SIZE = 16;
+const REPRESENTATIVE_SIZE = 26;
+
+/**
+ * Axis ranges covering every point plus 10% padding, so the view doesn't jump between topics
+ * @param {number[][]} coordinates - 2D coordinates
+ * @returns {{xRange: number[], yRange: number[]}}
+ */
+export function getTopicMapRanges(coordinates) {
+  const allX = coordinates.map(coord => coord[0]);
+  const allY = coordinates.map(coord => coord[1]);
+  const xMin = Math.min(...allX);
+  const xMax = Math.max(...allX);
+  const yMin = Math.min(...allY);
+  const yMax = Math.max(...allY);
+  
+  // Add 10% padding to the ranges
+  const xPadding = (xMax - xMin) * 0.1;
+  const yPadding = (yMax - yMin) * 0.1;
+  return {
+    xRange: [xMin - xPadding, xMax + xPadding],
+    yRange: [yMin - yPadding, yMax + yPadding]
+  };
+}
+
+/**
+ * One scatter trace per cluster, outliers (-1) last and grey
+ * customdata holds document indices so clicks can be mapped back to documents; appended documents are outlined
+ * and representative documents are named in their hover text
+ * @param {Object} results - { documents, coordinates, clusters, topicLabels, probabilities, outlierScores, outlierReduction,
+ *   appended, colorSlots, representativeDocuments }
+ * @param {Object} options - { highlightRepresentatives: draw representative documents larger }
+ * @returns {Object[]} - Plotly traces
+ */
+export function buildTopicMapTraces(results, { highlightRepresentatives = false } = {}) {
+  const { documents, coordinates, clusters, topicLabels, probabilities, outlierScores, outlierReduction, appended, colorSlots } = results;
+  const reassigned = new Set(outlierReduction ? outlierReduction.reassigned : []);
+  const added = new Set(appended || []);
+  // Document index → rank among its topic's representatives
+  const representativeRanks = new Map();
+  Object.values(results.representativeDocuments || {}).forEach(indices => {
+    indices.forEach((idx, rank) => representativeRanks.set(idx, rank));
+  });
+  const uniqueClusters = [...new Set(clusters)].sort((a, b) => {
+    // Sort: put -1 (outliers) at the end, others in ascending order
+    if (a === -1) return 1;
+    if (b === -1) return -1;
+    return a - b;
+  });
+  const colors = getTopicColors(clusters, colorSlots);
+  
+  return uniqueClusters.map(clusterId => {
+    const label = escapeHtml(topicLabels[clusterId] || `Cluster ${clusterId}`);
+    const clusterIndices = clusters
+      .map((c, idx) => c === clusterId ? idx : -1)
+      .filter(idx => idx !== -1);
+    
+    return {
+      x: clusterIndices.map(idx => coordinates[idx][0]),
+      y: clusterIndices.map(idx => coordinates[idx][1]),
+      text: clusterIndices.map(idx => documents[idx].title),
+      hovertext: clusterIndices.map(idx => formatHoverText(documents[idx], describePoint(clusterId, idx, {
+        representativeRanks,
+        added,
+        reassigned,
+        outlierReduction,
+        probabilities,
+        outlierScores
+      }))),
+      customdata: clusterIndices,
+      mode: 'markers',
+      type: 'scatter',
+      name: label,
+      meta: label,
+      marker: {
+        size: highlightRepresentatives
+          ? clusterIndices.map(idx => representativeRanks.has(idx) ? REPRESENTATIVE_SIZE : POINT_SIZE)
+          : POINT_SIZE,
+        color: colors.get(clusterId),
+        opacity: 0.7,
+        line: {
+          color: APPENDED_OUTLINE,
+          width: clusterIndices.map(idx => added.has(idx) ? 2.5 : 0)
+        }
+      },
+      hovertemplate: '%{hovertext}<br>Topic: %{meta}<extra></extra>'
+    };
+  });
+}
+
+function describePoint(clusterId, idx, { representativeRanks, added, reassigned, outlierReduction, probabilities, outlierScores }) {
+  const representative = representativeRanks.has(idx) ? `★ Representative document #${representativeRanks.get(idx) + 1}` : null;
+  let origin;
+  if (added.has(idx)) origin = 'Added without refitting the map';
+  else if (reassigned.has(idx)) origin = `Reassigned outlier (${outlierReduction.strategy})`;
+  else origin = formatMembership(clusterId, idx, probabilities, outlierScores);
+  return [representative, origin].filter(Boolean).join('<br>') || null;
+}
+
+// HDBSCAN membership strength for clustered points, outlier score for noise
+function formatMembership(clusterId, idx, probabilities, outlierScores) {
+  if (!probabilities) return null;
+  return clusterId === -1
+    ? `Outlier score: ${outlierScores[idx].toFixed(2)}`
+    : `Membership: ${Math.round(probabilities[idx] * 100)}%`;
+}
+
+/**
+ * Hover label for a document: bold wrapped title, source and date, description snippet
+ * @param {DocumentRecord} doc
+ * @param {string} [extra] - Additional line, e.g. cluster membership
+ */
+export function formatHoverText(doc, extra = null) {
+  const lines = [`<b>${wrapText(escapeHtml(doc.title))}</b>`];
+  const meta = [doc.source, formatDate(doc.date)].filter(Boolean).join(' • ');
+  if (meta) {
+    lines.push(`<i>${escapeHtml(meta)}</i>`);
+  }
+  if (doc.description) {
+    const snippet = doc.description.length > 200 ? doc.description.slice(0, 200) + '…' : doc.description;
+    lines.push(wrapText(escapeHtml(snippet)));
+  }
+  if (extra) {
+    lines.push(extra);
+  }
+  if (doc.url) {
+    lines.push('<i>Click for link</i>');
+  }
+  return lines.join('<br>');
+}
+
+export function formatDate(isoDate) {
+  return isoDate ? new Date(isoDate).toLocaleDateString() : null;
+}
+
+// Topic labels (custom names, LLM titles) can hold anything, so they go through this too, and into
+// hover templates only via %{meta}: Plotly doesn't expand %{...} inside substituted values
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Plotly hover labels don't wrap, so break long text into lines of ~60 characters
+function wrapText(text, width = 60) {
+  const lines = [];
+  let current = '';
+  text.split(' ').forEach(word => {
+    if (current.length + word.length + 1 > width && current.length > 0) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) lines.push(current);
+  return lines.join('<br>');
+}
+
+/**
+ * Color of every cluster id in clusters, as drawn on the topic map; outliers (-1) are grey
+ * @param {number[]} clusters
+ * @param {Object<number, number>} [colorSlots] - Palette index per topic (see utils/alignment.js); topics
+ *   without one use their id, or the lowest free index when their id's is taken
+ * @returns {Map<number, string>}
+ */
+export function getTopicColors(clusters, colorSlots = null) {
+  const uniqueClusters = [...new Set(clusters)].filter(c => c !== -1).sort((a, b) => a - b);
+  const slots = new Map();
+  if (colorSlots) {
+    uniqueClusters.forEach(clusterId => {
+      if (clusterId in colorSlots) slots.set(clusterId, colorSlots[clusterId]);
+    });
+  }
+  const used = new Set(slots.values());
+  let nextSlot = 0;
+  uniqueClusters.forEach(clusterId => {
+    if (slots.has(clusterId)) return;
+    let slot = clusterId;
+    if (used.has(slot)) {
+      while (used.has(nextSlot)) nextSlot++;
+      slot = nextSlot;
+    }
+    slots.set(clusterId, slot);
+    used.add(slot);
+  });
+
+  const colors = generateColors(Math.max(0, ...slots.values()) + 1);
+  const topicColors = new Map([...slots].map(([clusterId, slot]) => [clusterId, colors[slot]]));
+  if (clusters.includes(-1)) topicColors.set(-1, OUTLIER_COLOR);
+  return topicColors;
+}
+
+/**
+ * Horizontal dendrogram of a topic hierarchy (see createTopicHierarchy), leaves top to bottom
+ * Branches inside a merged topic take its map color; the dashed line marks the cut.
+ * @param {Object} topicHierarchy - Pipeline result: clusterIds, sizes, merges, keywords, topicCount, mapping
+ * @param {number[]} clusters - Final clusters, for colors
+ * @param {Object<number, number>} [colorSlots] - As for getTopicColors
+ * @returns {{ traces: Object[], tickvals: number[], ticktext: string[] }}
+ */
+export function buildDendrogramTraces(topicHierarchy, clusters, colorSlots = null) {
+  const { clusterIds, sizes, merges, keywords, topicCount, mapping } = topicHierarchy;
+  const m = clusterIds.length;
+  const colors = getTopicColors(clusters, colorSlots);
+  const appliedMerges = topicCount ? m - topicCount : 0;
+  
+  // Leaf order: depth-first from the root so branches never cross
+  const order = [];
+  const visit = (node) => {
+    if (node < m) {
+      order.push(node);
+    } else {
+      visit(merges[node - m].left);
+      visit(merges[node - m].right);
+    }
+  };
+  if (m > 0) visit(m > 1 ? m + merges.length - 1 : 0);
+  
+  const position = new Map(); // node → [x (distance), y]
+  order.forEach((leaf, rank) => position.set(leaf, [0, rank]));
+  
+  const branches = new Map(); // color → polyline with null gaps
+  merges.forEach((merge, i) => {
+    const [xLeft, yLeft] = position.get(merge.left);
+    const [xRight, yRight] = position.get(merge.right);
+    position.set(m + i, [merge.distance, (yLeft + yRight) / 2]);
+    
+    const color = i < appliedMerges ? colors.get(mapping[clusterIds[firstLeaf(merge, merges, m)]]) : BRANCH_COLOR;
+    if (!branches.has(color)) branches.set(color, { x: [], y: [] });
+    const line = branches.get(color);
+    line.x.push(xLeft, merge.distance, merge.distance, xRight, null);
+    line.y.push(yLeft, yLeft, yRight, yRight, null);
+  });
+  
+  const traces = [...branches].map(([color, line]) => ({
+    ...line,
+    type: 'scatter',
+    mode: 'lines',
+    line: { color, width: 2 },
+    hoverinfo: 'skip',
+    showlegend: false
+  }));
+  
+  traces.push({
+    x: order.map(() => 0),
+    y: order.map((_, rank) => rank),
+    type: 'scatter',
+    mode: 'markers',
+    marker: { size: 10, color: order.map(leaf => colors.get(mapping[clusterIds[leaf]])) },
+    hovertext: order.map(leaf => `${escapeHtml(keywords[clusterIds[leaf]] || '')}<br>${sizes[leaf]} documents` +
+      `<br>Shown as topic ${mapping[clusterIds[leaf]]}`),
+    hovertemplate: '%{hovertext}<extra></extra>',
+    showlegend: false
+  });
+  
+  if (appliedMerges > 0) {
+    const below = merges[appliedMerges - 1].distance;
+    const above = merges[appliedMerges] ? merges[appliedMerges].distance : below;
+    const x = (below + above) / 2;
+    traces.push({
+      x: [x, x],
+      y: [-0.5, m - 0.5],
+      type: 'scatter',
+      mode: 'lines',
+      line: { color: '#dc3545', width: 1, dash: 'dash' },
+      hoverinfo: 'skip',
+      showlegend: false
+    });
+  }
+  
+  return {
+    traces,
+    tickvals: order.map((_, rank) => rank),
+    ticktext: order.map(leaf => truncate(keywords[clusterIds[leaf]] || `Topic ${clusterIds[leaf]}`, 40))
+  };
+}
+
+/**
+ * Documents per topic and period (see computeTopicsOverTime), one trace per topic in its map color
+ * Hovering a period shows the topic's keywords in that period.
+ * @param {Object} overTime - From computeTopicsOverTime
+ * @param {Object} topicLabels - Labels by topic id
+ * @param {number[]} clusters - Final clusters, for colors
+ * @param {Object<number, number>} [colorSlots] - As for getTopicColors
+ * @param {Object} options - { stacked: stacked areas instead of lines }
+ * @returns {Object[]} - Plotly traces
+ */
+export function buildTopicsOverTimeTraces(overTime, topicLabels, clusters, colorSlots = null, { stacked = true } = {}) {
+  const colors = getTopicColors(clusters, colorSlots);
+  const dateFormat = overTime.bin === 'month' ? '%B %Y' : overTime.bin === 'week' ? 'Week of %b %d, %Y' : '%b %d, %Y';
+
+  return Object.entries(overTime.topics).map(([clusterId, { counts, keywords }]) => {
+    const name = topicLabels[clusterId] || `Topic ${clusterId}`;
+    const color = colors.get(Number(clusterId));
+    return {
+      x: overTime.periods,
+      y: counts,
+      type: 'scatter',
+      mode: stacked ? 'lines' : 'lines+markers',
+      name: escapeHtml(name),
+      meta: escapeHtml(truncate(name, 60)),
+      line: { color, width: stacked ? 0.5 : 2 },
+      marker: { color, size: 5 },
+      ...(stacked ? { stackgroup: 'topics' } : {}),
+      hovertext: keywords.map(terms => terms.length > 0 ? wrapText(escapeHtml(terms.map(k => k.term).join(', '))) : '<i>No documents</i>'),
+      hovertemplate: `<b>%{meta}</b><br>%{x|${dateFormat}}: %{y} documents<br>%{hovertext}<extra></extra>`
+    };
+  });
+}
+
+// Any leaf under a merge; every leaf under an applied merge shares one final topic
+function firstLeaf(merge, merges, m) {
+  let node = merge.left;
+  while (node >= m) node = merges[node - m].left;
+  return node;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+export function generateColors(count) {
+  const colors = [
+    '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+    '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf',
+    '#aec7e8', '#ffbb78', '#98df8a', '#ff9896', '#c5b0d5',
+    '#c49c94', '#f7b6d2', '#c7c7c7', '#dbdb8d', '#9edae5'
+  ];
+  
+  if (count <= colors.length) {
+    return colors.slice(0, count);
+  }
+  
+  // Generate more colors if needed
+  const additionalColors = [];
+  for (let i = 0; i < count - colors.length; i++) {
+    const hue = (i * 137.508) % 360; // Golden angle
+    additionalColors.push(`hsl(${hue}, 70%, 50%)`);
+  }
+  
+  return [...colors, ...additionalColors];
+}
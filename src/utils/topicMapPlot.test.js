@@ -0,0 +1,27 @@
+import { buildTopicMapTraces, buildTopicsOverTimeTraces } from './topicMapPlot';
+import { toDocuments } from './documents';
+
+const label = '<img src=x onerror=alert(1)> 100% %{x} & more';
+const escaped = '&lt;img src=x onerror=alert(1)&gt; 100% %{x} &amp; more';
+
+describe('topic labels in plots', () => {
+  it('escapes labels in map legend names and keeps them out of hover templates', () => {
+    const traces = buildTopicMapTraces({
+      documents: toDocuments(['first title', 'second title']),
+      coordinates: [[0, 0], [1, 1]],
+      clusters: [0, -1],
+      topicLabels: { 0: label, '-1': 'Outliers' }
+    });
+    expect(traces[0].name).toBe(escaped);
+    expect(traces[0].meta).toBe(escaped);
+    expect(traces[0].hovertemplate).toBe('%{hovertext}<br>Topic: %{meta}<extra></extra>');
+  });
+
+  it('escapes labels in topics-over-time traces', () => {
+    const overTime = { bin: 'day', periods: ['2024-01-01'], topics: { 0: { counts: [1], keywords: [[]] } } };
+    const [trace] = buildTopicsOverTimeTraces(overTime, { 0: label }, [0]);
+    expect(trace.name).toBe(escaped);
+    expect(trace.meta).toBe(escaped);
+    expect(trace.hovertemplate).not.toContain(label);
+  });
+});
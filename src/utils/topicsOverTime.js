@@ -0,0 +1,128 @@
+// Topics over time, like BERTopic's dynamic topic modeling: dated documents are binned by day, week or
+// month, and each topic gets its document count and c-TF-IDF keywords per period. Topics aren't refitted;
+// only their keywords are recomputed within each period. Periods follow local time.
+
+import { extractGroupKeywords } from './topicExtraction';
+import { DEFAULT_TOKENIZER_SETTINGS } from './tokenizer';
+
+export const TIME_BINS = {
+  AUTO: 'auto',   // Finest of the others with at most MAX_AUTO_PERIODS periods
+  DAY: 'day',
+  WEEK: 'week',   // Starting on Monday
+  MONTH: 'month'
+};
+
+const MAX_AUTO_PERIODS = 60;
+
+// Keywords kept per topic and period
+const PERIOD_KEYWORDS = 5;
+
+/**
+ * First day of the period holding a date, at local midnight
+ * @param {Date} date
+ * @param {string} bin - TIME_BINS.DAY, WEEK or MONTH
+ * @returns {Date}
+ */
+export function getPeriodStart(date, bin) {
+  if (bin === TIME_BINS.MONTH) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (bin === TIME_BINS.WEEK) {
+    day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+  }
+  return day;
+}
+
+/**
+ * Finest bin that splits the dates into at most MAX_AUTO_PERIODS periods
+ * @param {Date[]} dates
+ * @returns {string} - TIME_BINS.DAY, WEEK or MONTH
+ */
+export function chooseTimeBin(dates) {
+  const { first, last } = dateRange(dates);
+  return [TIME_BINS.DAY, TIME_BINS.WEEK].find(bin => countPeriods(first, last, bin) <= MAX_AUTO_PERIODS) || TIME_BINS.MONTH;
+}
+
+/**
+ * Count and describe each topic per period
+ * @param {DocumentRecord[]} documents - Documents without a date are left out
+ * @param {string[]} texts - Texts the keywords come from, one per document
+ * @param {number[]} clusters - Topic per document, -1 for outliers (left out)
+ * @param {Object} options - { bin: one of TIME_BINS, tokenizer: tokenizer settings }
+ * @returns {Object|null} - null without dated documents, else { bin (never auto), periods (period starts as
+ *   YYYY-MM-DD, consecutive, empty periods included), topics: { [topic id]: { counts, keywords } } with one
+ *   entry per period, undated (documents left out for lacking a date) }
+ */
+export function computeTopicsOverTime(documents, texts, clusters, options = {}) {
+  const { bin = TIME_BINS.AUTO, tokenizer = DEFAULT_TOKENIZER_SETTINGS } = options;
+  const dates = documents.map(doc => doc.date ? new Date(doc.date) : null);
+  const dated = dates.filter(Boolean);
+  if (dated.length === 0) return null;
+
+  const resolvedBin = bin === TIME_BINS.AUTO ? chooseTimeBin(dated) : bin;
+  const periodOf = dates.map(date => date ? formatPeriod(getPeriodStart(date, resolvedBin)) : null);
+  const { first, last } = dateRange(dated);
+  const periods = listPeriods(first, last, resolvedBin);
+  const periodIndex = new Map(periods.map((period, i) => [period, i]));
+
+  const keywords = extractGroupKeywords(texts, clusters, periodOf, PERIOD_KEYWORDS, tokenizer);
+  const topics = {};
+  [...new Set(clusters)].filter(c => c !== -1).sort((a, b) => a - b).forEach(clusterId => {
+    topics[clusterId] = {
+      counts: periods.map(() => 0),
+      keywords: periods.map(period => (keywords[period] && keywords[period][clusterId]) || [])
+    };
+  });
+  clusters.forEach((clusterId, idx) => {
+    if (clusterId !== -1 && periodOf[idx] !== null) topics[clusterId].counts[periodIndex.get(periodOf[idx])]++;
+  });
+
+  return { bin: resolvedBin, periods, topics, undated: documents.length - dated.length };
+}
+
+// Earliest and latest date; reduce rather than Math.min(...), which overflows the stack on large inputs
+function dateRange(dates) {
+  return dates.reduce(
+    (range, date) => ({
+      first: date < range.first ? date : range.first,
+      last: date > range.last ? date : range.last
+    }),
+    { first: dates[0], last: dates[0] }
+  );
+}
+
+// Number of periods listPeriods would return, without listing them, so one outlier date can't
+// allocate decades of days just to pick a bin
+function countPeriods(first, last, bin) {
+  const start = getPeriodStart(first, bin);
+  const end = getPeriodStart(last, bin);
+  if (bin === TIME_BINS.MONTH) {
+    return (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + 1;
+  }
+  // Whole days between local dates, counted in UTC so daylight saving changes don't matter
+  const days = (Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) -
+    Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / 86400000;
+  return days / (bin === TIME_BINS.WEEK ? 7 : 1) + 1;
+}
+
+// Every period start from the one holding first to the one holding last
+function listPeriods(first, last, bin) {
+  const periods = [];
+  const end = getPeriodStart(last, bin).getTime();
+  for (let start = getPeriodStart(first, bin); start.getTime() <= end; start = nextPeriod(start, bin)) {
+    periods.push(formatPeriod(start));
+  }
+  return periods;
+}
+
+// Calendar arithmetic on local dates, so daylight saving changes don't shift periods
+function nextPeriod(start, bin) {
+  if (bin === TIME_BINS.MONTH) return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + (bin === TIME_BINS.WEEK ? 7 : 1));
+}
+
+function formatPeriod(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,63 @@
+import { chooseTimeBin, computeTopicsOverTime, getPeriodStart, TIME_BINS } from './topicsOverTime';
+import { toDocuments } from './documents';
+
+// Local noon, so the day can't shift with the test machine's time zone
+const day = (year, month, date) => new Date(year, month - 1, date, 12);
+
+describe('getPeriodStart', () => {
+  it('starts weeks on Monday and months on the 1st', () => {
+    const sunday = day(2026, 10, 18);
+    expect(getPeriodStart(sunday, TIME_BINS.WEEK)).toEqual(new Date(2026, 9, 12));
+    expect(getPeriodStart(sunday, TIME_BINS.MONTH)).toEqual(new Date(2026, 9, 1));
+  });
+});
+
+describe('chooseTimeBin', () => {
+  it('picks the finest bin with at most 60 periods', () => {
+    expect(chooseTimeBin([day(2026, 1, 1), day(2026, 3, 1)])).toBe(TIME_BINS.DAY);
+    expect(chooseTimeBin([day(2026, 1, 1), day(2026, 3, 2)])).toBe(TIME_BINS.WEEK);
+    expect(chooseTimeBin([day(2026, 1, 1), day(2027, 6, 1)])).toBe(TIME_BINS.MONTH);
+  });
+
+  it('copes with an outlier date decades away and with large inputs', () => {
+    const dates = Array.from({ length: 200000 }, (_, i) => day(2026, 1, 1 + i % 28));
+    dates.push(new Date(0));
+    expect(chooseTimeBin(dates)).toBe(TIME_BINS.MONTH);
+  });
+});
+
+describe('computeTopicsOverTime', () => {
+  const raw = [
+    ['climate summit emissions', day(2026, 10, 1), 0],
+    ['climate summit talks', day(2026, 10, 2), 0],
+    ['emissions targets summit', day(2026, 10, 9), 0],
+    ['football derby win', day(2026, 10, 1), 1],
+    ['undated football story', null, 1],
+    ['outlier story', day(2026, 10, 3), -1]
+  ];
+  const documents = toDocuments(raw.map(([title, date]) => ({ title, date: date && date.toISOString() })));
+  const texts = raw.map(([text]) => text);
+  const clusters = raw.map(([, , cluster]) => cluster);
+
+  it('counts each topic per consecutive period, empty periods included', () => {
+    const overTime = computeTopicsOverTime(documents, texts, clusters, { bin: TIME_BINS.WEEK });
+    expect(overTime.bin).toBe(TIME_BINS.WEEK);
+    expect(overTime.periods).toEqual(['2026-09-28', '2026-10-05']);
+    expect(overTime.topics[0].counts).toEqual([2, 1]);
+    expect(overTime.topics[1].counts).toEqual([1, 0]);
+    expect(overTime.topics[-1]).toBeUndefined();
+    expect(overTime.undated).toBe(1);
+  });
+
+  it('resolves auto to a concrete bin and keeps keywords per period', () => {
+    const overTime = computeTopicsOverTime(documents, texts, clusters);
+    expect(overTime.bin).toBe(TIME_BINS.DAY);
+    expect(overTime.periods).toHaveLength(9);
+    expect(overTime.topics[0].keywords[0].map(k => k.term)).toContain('climate');
+    expect(overTime.topics[0].keywords[3]).toEqual([]);
+  });
+
+  it('returns null without dated documents', () => {
+    expect(computeTopicsOverTime(toDocuments(['a b']), ['a b'], [0])).toBeNull();
+  });
+});
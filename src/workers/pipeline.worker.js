@@ -0,0 +1,64 @@
+// Runs the topic-modeling pipeline off the main thread
+// Keeps its own stage cache and loaded models between runs; only the newest run is kept alive.
+//
+// Messages in:  { type: 'run', runId, documents, settings } | { type: 'sweep', runId, documents, settings, sweep }
+//               { type: 'append', runId, previous, documents, settings } | { type: 'cancel', runId }
+// Messages out: { type: 'progress', runId, stage, progress } | { type: 'result', runId, results }
+//               { type: 'cancelled', runId } | { type: 'error', runId, message }
+
+import { runPipeline, appendDocuments, createPipelineCache } from '../utils/pipeline';
+import { runParameterSweep } from '../utils/sweep';
+import { isCancelledError } from '../utils/cancellation';
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+const cache = createPipelineCache();
+let currentRun = null;
+
+async function run({ type, runId, documents, settings, sweep, previous }) {
+  // A new run supersedes whatever is still in progress
+  if (currentRun) currentRun.controller.abort();
+
+  const controller = new AbortController();
+  currentRun = { runId, controller };
+
+  const options = {
+    cache,
+    signal: controller.signal,
+    onProgress: (stage, progress) => ctx.postMessage({ type: 'progress', runId, stage, progress })
+  };
+
+  try {
+    let results;
+    if (type === 'sweep') {
+      // Share the embeddings but keep the displayed map's UMAP and clustering stages cached
+      results = await runParameterSweep(documents, settings, sweep, { ...options, cache: { embeddings: cache.embeddings } });
+    } else if (type === 'append') {
+      results = await appendDocuments(previous, documents, settings, options);
+    } else {
+      results = await runPipeline(documents, settings, options);
+    }
+    ctx.postMessage({ type: 'result', runId, results });
+  } catch (err) {
+    if (isCancelledError(err)) {
+      console.log(`✓ Run ${runId} cancelled`);
+      ctx.postMessage({ type: 'cancelled', runId });
+    } else {
+      console.error('Pipeline worker error:', err);
+      ctx.postMessage({ type: 'error', runId, message: err.message || 'An error occurred during processing' });
+    }
+  } finally {
+    if (currentRun && currentRun.runId === runId) currentRun = null;
+  }
+}
+
+ctx.addEventListener('message', (event) => {
+  const message = event.data;
+
+  if (message.type === 'run' || message.type === 'sweep' || message.type === 'append') {
+    run(message);
+  } else if (message.type === 'cancel' && currentRun && currentRun.runId === message.runId) {
+    currentRun.controller.abort();
+  }
+});